@@ -10,18 +10,27 @@
  *   const result = await evaluateRecordsAcl("51", [1, 2, 3]);
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Evaluate record permissions
  * @param {string|number} appId - The app ID
  * @param {Array<string|number>} ids - Array of record IDs
  * @param {Object} options
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
  * @returns {Promise<{ rights: Array }>}
  */
 export async function evaluateRecordsAcl(appId, ids, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -31,11 +40,11 @@ export async function evaluateRecordsAcl(appId, ids, options = {}) {
     throw new Error("At least one record ID is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Evaluating record permissions for App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     console.log(`   Records: ${ids.join(", ")}`);
   }
 
@@ -60,7 +69,8 @@ export async function evaluateRecordsAcl(appId, ids, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const args = process.argv.slice(2);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
   const appId = args[0];
   const recordIds = args.slice(1);
 
@@ -71,7 +81,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  evaluateRecordsAcl(appId, recordIds).catch((error) => {
+  evaluateRecordsAcl(appId, recordIds, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to evaluate record permissions");
     console.error(error.message);
     process.exit(1);
@@ -31,7 +31,18 @@
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  diffByKey,
+  formatDiff,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Update record permissions
@@ -39,11 +50,14 @@ import { createKintoneClient, getRootDir } from "../common/index.mjs";
  * @param {Object} aclSettings - ACL settings
  * @param {Array} aclSettings.rights - Rights array
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ revision: string }>}
  */
 export async function updateRecordAcl(appId, aclSettings, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -54,14 +68,23 @@ export async function updateRecordAcl(appId, aclSettings, options = {}) {
     throw new Error("Rights array is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Updating record permissions for App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     console.log(`   Permission entries: ${rights.length}`);
   }
 
+  if (dryRun) {
+    const current = await client.app.getRecordAcl({ app: appId, preview: true });
+    const diff = diffByKey(current.rights, rights, (right) => right.filterCond || "(all records)");
+    return reportDryRun(
+      { summary: formatDiff("Record permission rules", diff), request: { app: appId, rights } },
+      { silent }
+    );
+  }
+
   const result = await client.app.updateRecordAcl({
     app: appId,
     rights
@@ -81,8 +104,10 @@ export async function updateRecordAcl(appId, aclSettings, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
-  const aclJsonPath = process.argv[3];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const appId = args[0];
+  const aclJsonPath = args[1];
 
   if (!appId || !aclJsonPath) {
     console.error("Error: App ID and ACL JSON path are required");
@@ -103,7 +128,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  updateRecordAcl(appId, aclSettings).catch((error) => {
+  updateRecordAcl(appId, aclSettings, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to update record permissions");
     console.error(error.message);
     if (error.errors) {
@@ -12,11 +12,21 @@
  * Note: This creates a preview app. Use deploy-app.mjs to make it live.
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 // Parse arguments
-const appName = process.argv[2];
-const spaceId = process.argv[3];
+const { args, globals } = parseCliArgs(process.argv.slice(2));
+if (globals.json) redirectLogsToStderr();
+const appName = args[0];
+const spaceId = args[1];
 
 if (!appName) {
   console.error("Error: App name is required");
@@ -30,10 +40,10 @@ if (!appName) {
 }
 
 async function main() {
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { profile: globals.profile, guestSpaceId: globals.guestSpaceId });
 
   console.log(`\n🔄 Creating new app: "${appName}"...`);
-  console.log(`   Domain: ${credentials.domain}`);
+  logConnection(credentials);
   if (spaceId) {
     console.log(`   Space ID: ${spaceId}`);
   }
@@ -44,6 +54,11 @@ async function main() {
       params.space = spaceId;
     }
 
+    if (globals.dryRun) {
+      const location = spaceId ? `in space ${spaceId}` : "outside any space";
+      return reportDryRun({ summary: [`Would create app "${appName}" ${location}`], request: params });
+    }
+
     const result = await client.app.addApp(params);
 
     console.log(`\n✅ Successfully created preview app`);
@@ -58,6 +73,7 @@ async function main() {
     // Return result for programmatic use
     return result;
   } catch (error) {
+    writeError(error, globals);
     console.error("\n❌ Failed to create app");
     console.error(error.message);
     if (error.errors) {
@@ -67,4 +83,8 @@ async function main() {
   }
 }
 
-main();
+main().then((result) => writeResult(result, globals)).catch((error) => {
+  writeError(error, globals);
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
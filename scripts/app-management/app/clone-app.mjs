@@ -0,0 +1,316 @@
+#!/usr/bin/env node
+/**
+ * Clone the configuration of a kintone app into a new app
+ *
+ * Usage (CLI):
+ *   node scripts/app-management/app/clone-app.mjs <sourceAppId> [--name=<appName>] [--space=<spaceId>] [--thread=<threadId>]
+ *     [--to-profile=<name>] [--to-guest-space=<id>] [--mapping=<mappingJsonPath>] [--preview] [--no-deploy]
+ *
+ * Usage (Programmatic):
+ *   import { cloneApp } from "./clone-app.mjs";
+ *   const { appId } = await cloneApp("51", { toProfile: "prod", mapping: { apps: { "12": "34" } } });
+ *
+ * The source app is read with the active profile (--profile, --guest-space).
+ * The new app is created with --to-profile / --to-guest-space, or the same
+ * connection when they are omitted. Fields, layout, app settings, views,
+ * reports, process management, permissions and notifications are copied,
+ * then the new app is deployed.
+ *
+ * Mapping file format:
+ * {
+ *   "apps": { "12": "34" },                          // lookup / related records app IDs
+ *   "entities": {
+ *     "USER:taro": "USER:taro.yamada",               // users, groups and departments
+ *     "ORGANIZATION:sales": "ORGANIZATION:sales-th"  // in permissions, notifications, process
+ *   }
+ * }
+ * Lookups to the source app itself point to the new app automatically.
+ *
+ * Note: Creating an app needs password authentication (API tokens cannot).
+ * JS/CSS customization is not copied; use customize:update on the new app.
+ */
+
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import {
+  applySnapshotParts,
+  createKintoneClient,
+  fetchSnapshotParts,
+  getRootDir,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  waitForDeploy,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
+
+/** Entity types that refer to users, groups or departments of a domain */
+const ENTITY_TYPES = ["USER", "GROUP", "ORGANIZATION"];
+
+/** Field types whose defaultValue and entities are lists of entities */
+const ENTITY_FIELD_TYPES = ["USER_SELECT", "ORGANIZATION_SELECT", "GROUP_SELECT"];
+
+/**
+ * Visit every object inside a value
+ * @param {*} value
+ * @param {(item: Object) => void} visit
+ */
+function walk(value, visit) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => walk(item, visit));
+  } else if (value && typeof value === "object") {
+    visit(value);
+    Object.values(value).forEach((item) => walk(item, visit));
+  }
+}
+
+/**
+ * Collect the apps referred to by lookup and related records fields
+ * @param {Object} fieldsPart - fields.json part
+ * @returns {Array<{ relatedApp: { app: string, code?: string } }>} Objects holding a relatedApp
+ */
+function findAppReferences(fieldsPart) {
+  const references = [];
+  walk(fieldsPart.properties, (item) => {
+    if ((item.lookup || item.referenceTable) && item.type) {
+      const setting = item.lookup || item.referenceTable;
+      if (setting.relatedApp) references.push(setting);
+    }
+  });
+  return references;
+}
+
+/**
+ * Rewrite users, groups and departments with the "entities" of a mapping
+ * Only entity positions are rewritten: `entity` of the ACL, notification and
+ * process management assignee settings, and the defaultValue / entities of
+ * user, department and group selection fields. GROUP fields and layout rows
+ * have the same { type, code } shape but are not entities.
+ * @param {Object<string, Object>} parts - Snapshot parts (changed in place)
+ * @param {Object<string, string>} entities - "TYPE:code" -> "TYPE:code"
+ * @returns {{ remapped: number, kept: string[] }} Entities left as they were
+ */
+function remapEntities(parts, entities) {
+  let remapped = 0;
+  const kept = new Set();
+  const remap = (entity) => {
+    if (!ENTITY_TYPES.includes(entity?.type) || typeof entity.code !== "string") return;
+    const target = entities[`${entity.type}:${entity.code}`];
+    if (!target) {
+      kept.add(`${entity.type}:${entity.code}`);
+      return;
+    }
+    const [type, ...code] = target.split(":");
+    entity.type = type;
+    entity.code = code.join(":");
+    remapped++;
+  };
+
+  walk(parts, (item) => {
+    if (item.entity) remap(item.entity);
+    if (ENTITY_FIELD_TYPES.includes(item.type)) {
+      [item.defaultValue, item.entities].filter(Array.isArray).forEach((list) => list.forEach(remap));
+    }
+  });
+  return { remapped, kept: [...kept] };
+}
+
+/**
+ * Clone an app
+ * @param {string|number} sourceAppId - The app to copy
+ * @param {Object} [options]
+ * @param {string} [options.name] - Name of the new app (default: source app name)
+ * @param {string|number} [options.space] - Space to create the new app in
+ * @param {string|number} [options.thread] - Thread of the space (default: the space's default thread)
+ * @param {string} [options.toProfile] - Profile of the target domain (default: same as the source)
+ * @param {string|number} [options.toGuestSpace] - Guest space of the target (default: same as the source)
+ * @param {{ apps?: Object<string, string>, entities?: Object<string, string> }} [options.mapping] - ID mapping
+ * @param {boolean} [options.preview=false] - Copy the source's pre-live settings instead of the deployed ones
+ * @param {boolean} [options.deploy=true] - Deploy the new app
+ * @param {string} [options.profile] - Profile of the source domain (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the source (default: from env)
+ * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
+ * @returns {Promise<{ appId: string, applied: string[], deploy: { success: boolean, status: string }|null }>}
+ */
+export async function cloneApp(sourceAppId, options = {}) {
+  const {
+    name,
+    space,
+    thread,
+    toProfile,
+    toGuestSpace,
+    mapping = {},
+    preview = false,
+    deploy = true,
+    profile,
+    guestSpaceId,
+    silent = false,
+    dryRun = false
+  } = options;
+
+  if (!sourceAppId) {
+    throw new Error("Source app ID is required");
+  }
+
+  const source = await createKintoneClient(import.meta.url, { appId: sourceAppId, profile, guestSpaceId, silent });
+  let target = source;
+  if (toProfile || toGuestSpace) {
+    target = await createKintoneClient(import.meta.url, {
+      profile: toProfile || profile,
+      guestSpaceId: toGuestSpace || guestSpaceId,
+      silent
+    });
+  }
+  const crossDomain = target.credentials.domain !== source.credentials.domain;
+
+  if (!silent) {
+    console.log(`\n🔄 Cloning App ${sourceAppId}...`);
+    console.log(`   From: ${source.credentials.domain}${source.credentials.profile ? ` (profile ${source.credentials.profile})` : ""}`);
+    console.log(`   To: ${target.credentials.domain}${target.credentials.profile ? ` (profile ${target.credentials.profile})` : ""}`);
+    console.log(`   Auth: ${target.credentials.authLabel}`);
+    if (target.credentials.guestSpaceId) console.log(`   Guest space: ${target.credentials.guestSpaceId}`);
+    if (space) console.log(`   Space ID: ${space}`);
+    if (preview) console.log(`   Mode: Preview (pre-live) settings of the source`);
+  }
+
+  const parts = await fetchSnapshotParts(source.client, sourceAppId, { preview });
+  delete parts["customize.json"];
+  const appName = name || parts["app.json"].name;
+  parts["app.json"].name = appName;
+
+  const appMapping = { ...mapping.apps };
+  const references = findAppReferences(parts["fields.json"]);
+  const unmapped = [
+    ...new Set(
+      references
+        .map(({ relatedApp }) => String(relatedApp.app))
+        .filter((app) => app !== String(sourceAppId) && !appMapping[app])
+    )
+  ];
+  if (crossDomain && unmapped.length > 0) {
+    throw new Error(
+      `Lookup / related records fields refer to apps ${unmapped.join(", ")} of ${source.credentials.domain}. ` +
+        'Add them to "apps" in the mapping file.'
+    );
+  }
+
+  const { remapped, kept } = remapEntities(parts, mapping.entities || {});
+  if (!silent) {
+    console.log(`   Fields: ${Object.keys(parts["fields.json"].properties).length}, Views: ${Object.keys(parts["views.json"].views).length}, Reports: ${Object.keys(parts["reports.json"].reports).length}`);
+    console.log(`   App references: ${references.length}, Entities remapped: ${remapped}`);
+    if (crossDomain && kept.length > 0) {
+      console.log(`   ⚠️  Not in the mapping, must exist on ${target.credentials.domain}: ${kept.join(", ")}`);
+    }
+  }
+
+  const params = { name: appName };
+  if (space) params.space = space;
+  if (thread) params.thread = thread;
+
+  if (dryRun) {
+    const location = space ? `in space ${space}` : "outside any space";
+    const summary = [
+      `Would create app "${appName}" ${location} on ${target.credentials.domain}`,
+      `Would copy: ${Object.keys(parts).join(", ")}`,
+      `App references remapped: ${references.filter(({ relatedApp }) => appMapping[relatedApp.app]).length}, to itself: ${references.filter(({ relatedApp }) => String(relatedApp.app) === String(sourceAppId)).length}`,
+      `Entities remapped: ${remapped}`
+    ];
+    if (unmapped.length > 0) summary.push(`Apps referred to as is: ${unmapped.join(", ")}`);
+    return reportDryRun({ summary, request: params }, { silent });
+  }
+
+  const { app: appId } = await target.client.app.addApp(params);
+  if (!silent) console.log(`\n   Created App ${appId}`);
+
+  appMapping[String(sourceAppId)] = String(appId);
+  references.forEach((setting) => {
+    const mapped = appMapping[String(setting.relatedApp.app)];
+    // The app code belongs to the source app, so only the ID is kept
+    if (mapped) setting.relatedApp = { app: mapped };
+  });
+
+  const result = { appId: String(appId), applied: [], deploy: null };
+  try {
+    const current = await fetchSnapshotParts(target.client, appId);
+    Object.assign(result, await applySnapshotParts(target.client, appId, current, parts, { silent }));
+
+    if (deploy) {
+      if (!silent) console.log("   Deploying...");
+      await target.client.app.deployApp({ apps: [{ app: appId }] });
+      result.deploy = await waitForDeploy(target.client, appId);
+      if (!result.deploy.success) {
+        throw new Error(`Deploy of App ${appId} finished with status ${result.deploy.status}`);
+      }
+    }
+  } catch (error) {
+    // The new app stays in place so the problem can be fixed there
+    error.appId = result.appId;
+    throw error;
+  }
+
+  if (!silent) {
+    console.log(`\n✅ Successfully cloned App ${sourceAppId} to App ${appId}`);
+    console.log("");
+    console.log("📝 Next step:");
+    console.log(deploy
+      ? `   Set up JS/CSS: npm run customize:update -- ${appId} <customizeJsonPath>`
+      : `   Deploy app: npm run deploy:app -- ${appId}`);
+  }
+
+  return result;
+}
+
+// CLI execution
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const sourceAppId = args.find(arg => !arg.startsWith("--"));
+  const getArg = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.slice(name.length + 3);
+  const mappingPath = getArg("mapping");
+
+  if (!sourceAppId) {
+    console.error("Error: Source app ID is required");
+    console.error("Usage: node scripts/app-management/app/clone-app.mjs <sourceAppId> [--name=<appName>] [--space=<spaceId>] [--thread=<threadId>] [--to-profile=<name>] [--to-guest-space=<id>] [--mapping=<mappingJsonPath>] [--preview] [--no-deploy]");
+    console.error("Example: node scripts/app-management/app/clone-app.mjs 51 --to-profile=prod --mapping=./clone-mapping.json");
+    process.exit(1);
+  }
+
+  let mapping = {};
+  if (mappingPath) {
+    try {
+      const rootDir = getRootDir(import.meta.url);
+      mapping = JSON.parse(readFileSync(resolve(rootDir, mappingPath), "utf-8"));
+    } catch (error) {
+      console.error(`Error: Failed to read mapping JSON from ${mappingPath}`);
+      console.error(error.message);
+      process.exit(1);
+    }
+  }
+
+  cloneApp(sourceAppId, {
+    name: getArg("name"),
+    space: getArg("space"),
+    thread: getArg("thread"),
+    toProfile: getArg("to-profile"),
+    toGuestSpace: getArg("to-guest-space"),
+    mapping,
+    preview: args.includes("--preview"),
+    deploy: !args.includes("--no-deploy"),
+    ...globals
+  }).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
+    console.error("\n❌ Failed to clone app");
+    console.error(error.message);
+    if (error.errors) {
+      console.error("Details:", JSON.stringify(error.errors, null, 2));
+    }
+    if (error.appId) {
+      console.error(`\n⚠️  App ${error.appId} was created but is not complete`);
+      if (error.applied?.length > 0) console.error(`   Copied: ${error.applied.join(", ")}`);
+    }
+    process.exit(1);
+  });
+}
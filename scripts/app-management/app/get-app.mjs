@@ -12,29 +12,39 @@
 
 import { writeFileSync, mkdirSync, existsSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Get a single kintone app
  * @param {string|number} appId - The app ID
  * @param {Object} options
  * @param {boolean} [options.saveToFile=true] - Whether to save result to JSON file
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
  * @returns {Promise<Object>} App information
  */
 export async function getApp(appId, options = {}) {
-  const { saveToFile = true, silent = false } = options;
+  const { saveToFile = true, profile, guestSpaceId, silent = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
   const rootDir = getRootDir(import.meta.url);
 
   if (!silent) {
     console.log(`\n🔄 Fetching app ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
   }
 
   const app = await client.app.getApp({ id: appId });
@@ -64,7 +74,9 @@ export async function getApp(appId, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const appId = args[0];
 
   if (!appId) {
     console.error("Error: App ID is required");
@@ -72,7 +84,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  getApp(appId).catch((error) => {
+  getApp(appId, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to get app");
     console.error(error.message);
     process.exit(1);
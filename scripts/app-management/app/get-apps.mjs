@@ -12,23 +12,34 @@
 
 import { writeFileSync, mkdirSync, existsSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Get all kintone apps
  * @param {Object} options
  * @param {boolean} [options.saveToFile=true] - Whether to save result to JSON file
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
  * @returns {Promise<{ apps: Array }>}
  */
 export async function getApps(options = {}) {
-  const { saveToFile = true, silent = false } = options;
+  const { saveToFile = true, profile, guestSpaceId, silent = false } = options;
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { profile, guestSpaceId, silent });
   const rootDir = getRootDir(import.meta.url);
 
   if (!silent) {
-    console.log(`\n🔄 Fetching all apps from ${credentials.domain}...`);
+    console.log(`\n🔄 Fetching all apps...`);
+    logConnection(credentials);
   }
 
   const apps = await client.app.getApps({});
@@ -54,7 +65,10 @@ export async function getApps(options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  getApps().catch((error) => {
+  const { globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  getApps(globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to fetch apps");
     console.error(error.message);
     process.exit(1);
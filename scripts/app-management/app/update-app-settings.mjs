@@ -23,7 +23,17 @@
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  describePropertyChanges,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Update app settings of a kintone app
@@ -34,11 +44,14 @@ import { createKintoneClient, getRootDir } from "../common/index.mjs";
  * @param {Object} [settings.icon] - Icon settings
  * @param {string} [settings.theme] - Color theme (WHITE, RED, BLUE, GREEN, YELLOW, BLACK)
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ revision: string }>}
  */
 export async function updateAppSettings(appId, settings, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -48,15 +61,27 @@ export async function updateAppSettings(appId, settings, options = {}) {
     throw new Error("Settings object is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Updating app settings for App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     if (settings.name) console.log(`   Name: ${settings.name}`);
     if (settings.theme) console.log(`   Theme: ${settings.theme}`);
   }
 
+  if (dryRun) {
+    const current = await client.app.getAppSettings({ app: appId, preview: true });
+    const changes = describePropertyChanges(current, settings);
+    return reportDryRun(
+      {
+        summary: changes.length > 0 ? changes : ["Settings already match, nothing to change"],
+        request: { app: appId, ...settings }
+      },
+      { silent }
+    );
+  }
+
   const result = await client.app.updateAppSettings({
     app: appId,
     ...settings
@@ -76,8 +101,10 @@ export async function updateAppSettings(appId, settings, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
-  const settingsJsonPath = process.argv[3];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const appId = args[0];
+  const settingsJsonPath = args[1];
 
   if (!appId || !settingsJsonPath) {
     console.error("Error: App ID and settings JSON path are required");
@@ -109,7 +136,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  updateAppSettings(appId, settings).catch((error) => {
+  updateAppSettings(appId, settings, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to update app settings");
     console.error(error.message);
     if (error.errors) {
@@ -41,7 +41,16 @@
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Execute bulk request
@@ -50,11 +59,14 @@ import { createKintoneClient, getRootDir } from "../common/index.mjs";
  * @param {string} requests[].api - API endpoint (e.g., "/k/v1/record.json")
  * @param {Object} requests[].payload - Request payload
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ results: Object[] }>}
  */
 export async function bulkRequest(requests, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!requests || !Array.isArray(requests) || requests.length === 0) {
     throw new Error("Requests array is required");
@@ -63,16 +75,25 @@ export async function bulkRequest(requests, options = {}) {
     throw new Error("Maximum 20 requests allowed per bulkRequest");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Executing ${requests.length} request(s)...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     requests.forEach((req, i) => {
       console.log(`   ${i + 1}. ${req.method} ${req.api}`);
     });
   }
 
+  if (dryRun) {
+    const summary = requests.map((req, i) => {
+      const target = req.payload?.app ? ` (App ${req.payload.app})` : "";
+      return `${i + 1}. ${req.method} ${req.api}${target}`;
+    });
+    summary.push("All requests would run in one transaction: if one fails, none are applied");
+    return reportDryRun({ summary, request: { requests } }, { silent });
+  }
+
   const result = await client.bulkRequest({ requests });
 
   if (!silent) {
@@ -85,7 +106,9 @@ export async function bulkRequest(requests, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const requestsJsonPath = process.argv[2];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const requestsJsonPath = args[0];
 
   if (!requestsJsonPath) {
     console.error("Error: Requests JSON path is required");
@@ -114,7 +137,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  bulkRequest(requests).catch((error) => {
+  bulkRequest(requests, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to execute bulk request");
     console.error(error.message);
     if (error.errors) {
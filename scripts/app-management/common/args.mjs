@@ -0,0 +1,93 @@
+/**
+ * Global command-line flags shared by every app-management script
+ *
+ * Each script splits the global flags from its own arguments in its CLI
+ * block (parseCliArgs) and passes them to its function as options, so
+ * importing a script never reads or changes process.argv.
+ */
+
+/**
+ * Global flag definitions
+ * - value flags are written as --name=<value>
+ * - boolean flags are written as --name
+ * - key is the option the flag is passed as (default: camelCase name)
+ */
+export const GLOBAL_FLAGS = {
+  profile: {
+    type: "string",
+    placeholder: "<name>",
+    description: "Use settings from .env.<name>"
+  },
+  "guest-space": {
+    type: "string",
+    placeholder: "<id>",
+    key: "guestSpaceId",
+    description: "Access apps in the given guest space"
+  },
+  json: {
+    type: "boolean",
+    description: "Write only the JSON result (or error) to stdout, logs to stderr"
+  },
+  "dry-run": {
+    type: "boolean",
+    description: "Show what would change without writing anything"
+  }
+};
+
+/**
+ * Get the option key of a global flag
+ * @param {string} name - Flag name (e.g. "dry-run")
+ * @returns {string} Key (e.g. "dryRun")
+ */
+function toKey(name) {
+  return GLOBAL_FLAGS[name].key || name.replace(/-([a-z])/g, (_, char) => char.toUpperCase());
+}
+
+/**
+ * Split global flags from the rest of the arguments
+ * Only the flags that were given are set in globals, so they can be
+ * spread over a script's options.
+ * @param {string[]} argv - Arguments (without node and script path), e.g. process.argv.slice(2)
+ * @returns {{ args: string[], globals: { profile?: string, guestSpaceId?: string, json?: boolean, dryRun?: boolean } }}
+ */
+export function parseCliArgs(argv) {
+  const globals = {};
+  const args = [];
+
+  for (const arg of argv) {
+    const match = arg.match(/^--([^=]+)(?:=(.*))?$/);
+    const definition = match && GLOBAL_FLAGS[match[1]];
+
+    if (!definition) {
+      args.push(arg);
+      continue;
+    }
+
+    // --name without a value (or a boolean flag with one, e.g. a script's
+    // own --json=<path>) is left for the script to handle
+    const hasValue = match[2] !== undefined;
+    if (hasValue !== (definition.type === "string")) {
+      args.push(arg);
+      continue;
+    }
+
+    globals[toKey(match[1])] = hasValue ? match[2] : true;
+  }
+
+  return { args, globals };
+}
+
+/**
+ * Turn global flags back into command-line arguments
+ * @param {Object} globals - Global flags (as returned by parseCliArgs)
+ * @returns {string[]} Arguments (e.g. ["--profile=dev"])
+ */
+export function formatGlobalArgs(globals) {
+  const args = [];
+  for (const [name, definition] of Object.entries(GLOBAL_FLAGS)) {
+    const value = globals[toKey(name)];
+    if (value === undefined || value === false) continue;
+    args.push(definition.type === "string" ? `--${name}=${value}` : `--${name}`);
+  }
+  return args;
+}
@@ -0,0 +1,24 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { formatGlobalArgs, parseCliArgs } from "./args.mjs";
+
+describe("parseCliArgs", () => {
+  it("splits the global flags from the script's own arguments", () => {
+    const { args, globals } = parseCliArgs(["--profile=dev", "51", "--dry-run", "--guest-space=3", "--fields=a,b"]);
+    assert.deepEqual(args, ["51", "--fields=a,b"]);
+    assert.deepEqual(globals, { profile: "dev", dryRun: true, guestSpaceId: "3" });
+  });
+
+  it("leaves a script's own flag with the same name but another form", () => {
+    const { args, globals } = parseCliArgs(["51", "--json=./records.json", "--profile"]);
+    assert.deepEqual(args, ["51", "--json=./records.json", "--profile"]);
+    assert.deepEqual(globals, {});
+  });
+});
+
+describe("formatGlobalArgs", () => {
+  it("turns parsed flags back into arguments", () => {
+    const { globals } = parseCliArgs(["--guest-space=3", "--json", "--profile=dev"]);
+    assert.deepEqual(formatGlobalArgs(globals), ["--profile=dev", "--guest-space=3", "--json"]);
+  });
+});
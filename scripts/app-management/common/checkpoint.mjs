@@ -0,0 +1,127 @@
+/**
+ * Checkpoint files for resumable bulk writes
+ *
+ * addAllRecords, updateAllRecords and deleteAllRecords are atomic per chunk
+ * of 2000 records only. The writers send one chunk at a time and record each
+ * finished chunk in kintone-app-structure/checkpoints/, so a failed run can
+ * be resumed without adding, updating or deleting the same records twice.
+ */
+
+import { createHash } from "crypto";
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { resolve } from "path";
+import { getRootDir } from "./env.mjs";
+
+/** Records per chunk; kintone rolls back a failed chunk as a whole */
+export const CHECKPOINT_CHUNK_SIZE = 2000;
+
+/**
+ * Get the checkpoint file path for an operation on a given input
+ * The input is hashed, so a different records file never resumes the wrong run.
+ * @param {string|number} appId - The app ID
+ * @param {"add"|"update"|"upsert"|"delete"} operation
+ * @param {Array} items - Records the operation writes
+ * @returns {string} Absolute file path
+ */
+export function getCheckpointPath(appId, operation, items) {
+  const hash = createHash("sha256").update(JSON.stringify(items)).digest("hex").slice(0, 12);
+  const rootDir = getRootDir(import.meta.url);
+  return resolve(rootDir, "kintone-app-structure", "checkpoints", `app_${appId}_${operation}_${hash}.json`);
+}
+
+/**
+ * Read a checkpoint file
+ * @param {string} checkpointPath
+ * @returns {{ appId: string, operation: string, total: number, chunkSize: number, completedChunks: number, results: Object[], updatedAt: string }|null}
+ */
+export function readCheckpoint(checkpointPath) {
+  if (!existsSync(checkpointPath)) return null;
+  return JSON.parse(readFileSync(checkpointPath, "utf-8"));
+}
+
+/**
+ * Delete a checkpoint file
+ * @param {string} checkpointPath
+ */
+export function removeCheckpoint(checkpointPath) {
+  rmSync(checkpointPath, { force: true });
+}
+
+/**
+ * Run a bulk write chunk by chunk, saving progress after every chunk
+ * On failure the error gets `completedRecords` and, when earlier chunks were
+ * written, `checkpoint` (file path). On success the checkpoint is removed.
+ * @template T
+ * @param {Object} params
+ * @param {string|number} params.appId - The app ID
+ * @param {"add"|"update"|"upsert"|"delete"} params.operation
+ * @param {Array} params.items - Records to write
+ * @param {(chunk: Array) => Promise<T[]>} params.writeChunk - Writes one chunk, returns one result per record
+ * @param {boolean} [params.resume=false] - Continue from an existing checkpoint
+ * @param {boolean} [params.silent=false] - Whether to suppress console output
+ * @returns {Promise<{ results: T[], resumedFrom: number }>} `resumedFrom` is the number of records skipped
+ */
+export async function runWithCheckpoint(params) {
+  const { appId, operation, items, writeChunk, resume = false, silent = false } = params;
+  const checkpointPath = getCheckpointPath(appId, operation, items);
+  const existing = readCheckpoint(checkpointPath);
+
+  if (existing && !resume) {
+    const done = Math.min(existing.completedChunks * existing.chunkSize, existing.total);
+    const error = new Error(
+      `A previous ${operation} run stopped after ${done} of ${existing.total} record(s). ` +
+        `Use --resume to continue it, or delete ${checkpointPath} to start over.`
+    );
+    error.checkpoint = checkpointPath;
+    throw error;
+  }
+
+  const checkpoint = existing || {
+    appId: String(appId),
+    operation,
+    total: items.length,
+    chunkSize: CHECKPOINT_CHUNK_SIZE,
+    completedChunks: 0,
+    results: [],
+    updatedAt: new Date().toISOString()
+  };
+  const resumedFrom = Math.min(checkpoint.completedChunks * checkpoint.chunkSize, items.length);
+
+  if (!silent && resumedFrom > 0) {
+    console.log(`   ↪️  Resuming after ${resumedFrom} record(s) from ${checkpointPath}`);
+  }
+
+  const save = () => {
+    checkpoint.updatedAt = new Date().toISOString();
+    mkdirSync(resolve(checkpointPath, ".."), { recursive: true });
+    writeFileSync(checkpointPath, JSON.stringify(checkpoint, null, 2), "utf-8");
+  };
+
+  for (let start = resumedFrom; start < items.length; start += checkpoint.chunkSize) {
+    const chunk = items.slice(start, start + checkpoint.chunkSize);
+    try {
+      const results = await writeChunk(chunk);
+      checkpoint.results.push(...results);
+      checkpoint.completedChunks++;
+    } catch (error) {
+      // A failed chunk is rolled back by kintone, so only earlier chunks need a checkpoint
+      if (checkpoint.completedChunks > 0) {
+        save();
+        error.checkpoint = checkpointPath;
+      } else {
+        removeCheckpoint(checkpointPath);
+      }
+      error.completedRecords = start;
+      throw error;
+    }
+    if (start + chunk.length < items.length) {
+      save();
+      if (!silent) {
+        console.log(`   Saved checkpoint: ${start + chunk.length}/${items.length} record(s) done`);
+      }
+    }
+  }
+
+  removeCheckpoint(checkpointPath);
+  return { results: checkpoint.results, resumedFrom };
+}
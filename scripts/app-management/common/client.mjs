@@ -2,31 +2,65 @@
  * Kintone REST API Client factory
  */
 
+import { resolve } from "path";
 import { getRootDir, loadEnv, getKintoneCredentials } from "./env.mjs";
+import { applyRetry, getRetryConfig } from "./retry.mjs";
 
 /**
  * Create a kintone REST API client
  * @param {string} importMetaUrl - import.meta.url from the calling script
- * @returns {Promise<{ client: import("@kintone/rest-api-client").KintoneRestAPIClient, credentials: { domain: string, username: string, password: string, baseUrl: string } }>}
+ * @param {Object} [options]
+ * @param {string|number} [options.appId] - Target app ID (selects KINTONE_API_TOKEN_<appId> if set)
+ * @param {string|number} [options.guestSpaceId] - Guest space ID (default: env)
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {Object} [options.retry] - Overrides for the retry settings read from env (see getRetryConfig)
+ * @param {boolean} [options.silent=false] - Whether to suppress retry logs
+ * @returns {Promise<{ client: import("@kintone/rest-api-client").KintoneRestAPIClient, credentials: ReturnType<typeof getKintoneCredentials> }>}
  */
-export async function createKintoneClient(importMetaUrl) {
+export async function createKintoneClient(importMetaUrl, options = {}) {
+  const { appId, guestSpaceId, profile, retry, silent = false } = options;
   const rootDir = getRootDir(importMetaUrl);
-  const env = loadEnv(rootDir);
-  const credentials = getKintoneCredentials(env);
+  const env = loadEnv(rootDir, profile);
+  const credentials = getKintoneCredentials(env, { appId, guestSpaceId });
 
   const { KintoneRestAPIClient } = await import("@kintone/rest-api-client");
 
-  const client = new KintoneRestAPIClient({
-    baseUrl: credentials.baseUrl,
-    auth: {
-      username: credentials.username,
-      password: credentials.password
-    }
-  });
+  const auth =
+    credentials.authMethod === "apiToken"
+      ? { apiToken: credentials.apiToken }
+      : { username: credentials.username, password: credentials.password };
+
+  const clientOptions = { baseUrl: credentials.baseUrl, auth };
+  if (credentials.guestSpaceId) {
+    clientOptions.guestSpaceId = credentials.guestSpaceId;
+  }
+  if (credentials.basicAuth) {
+    clientOptions.basicAuth = credentials.basicAuth;
+  }
+  if (credentials.clientCert) {
+    clientOptions.clientCertAuth = {
+      pfxFilePath: resolve(rootDir, credentials.clientCert.path),
+      password: credentials.clientCert.password
+    };
+  }
+
+  const client = new KintoneRestAPIClient(clientOptions);
+  applyRetry(client, { ...getRetryConfig(env), ...retry }, { silent });
 
   return { client, credentials };
 }
 
+/**
+ * Print the domain, profile, auth method and guest space a script connects with
+ * @param {ReturnType<typeof getKintoneCredentials>} credentials - Credentials from createKintoneClient
+ */
+export function logConnection(credentials) {
+  console.log(`   Domain: ${credentials.domain}`);
+  if (credentials.profile) console.log(`   Profile: ${credentials.profile}`);
+  console.log(`   Auth: ${credentials.authLabel}`);
+  if (credentials.guestSpaceId) console.log(`   Guest space: ${credentials.guestSpaceId}`);
+}
+
 /**
  * Wait for deploy to complete
  * @param {import("@kintone/rest-api-client").KintoneRestAPIClient} client
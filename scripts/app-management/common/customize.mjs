@@ -0,0 +1,349 @@
+/**
+ * Helpers for deploying the built customization files to an app
+ *
+ * The bundle files replace only the app's entries that came from this
+ * project: files whose fileKey the release log records for the same bundle
+ * file, and dev server URLs (https://localhost:9000/js/index.js). Libraries
+ * and other files set in the app are kept in their place, even when they
+ * have the same name. Which bundle belongs to which app comes from
+ * customize.config.json (scripts/esbuild/apps-config.mjs).
+ *
+ * Every deploy is recorded in a release log under
+ * kintone-app-structure/releases/<domain>/app_<appId>/: the settings the app
+ * had before, with their files downloaded, the git commit, the time and the
+ * fileKeys of the bundle files it put in the settings. A release can be
+ * restored exactly, even after kintone has deleted the uploaded files it
+ * replaced.
+ */
+
+import { execSync } from "child_process";
+import { existsSync, mkdirSync, readFileSync, rmSync, writeFileSync } from "fs";
+import { basename, dirname, resolve } from "path";
+import { APPS_CONFIG_FILE, DEFAULT_PROFILE, findApp, loadAppsConfig } from "../../esbuild/apps-config.mjs";
+
+const PLATFORMS = ["desktop", "mobile"];
+const TYPES = ["js", "css"];
+
+/**
+ * Files of the production build (scripts/esbuild/build.mjs) that belong to an app
+ * With customize.config.json the app is looked up by its ID in the active
+ * profile; without it, the template's dist/js/index.js and dist/style/style.css.
+ * @param {string} rootDir - Project root
+ * @param {string|number} appId - The app ID
+ * @param {string} [profile] - Active profile (default: "default")
+ * @returns {{ name: string, bundle: Array<{ platform: string, type: string, path: string }> }}
+ * @throws {Error} When the config file does not map the app
+ */
+export function getCustomizeBundle(rootDir, appId, profile = DEFAULT_PROFILE) {
+  const config = loadAppsConfig(rootDir);
+  const app = findApp(config, appId, profile);
+  if (!app) {
+    const mapped = config.apps
+      .filter((item) => item.appIds[profile])
+      .map((item) => `${item.name} (${item.appIds[profile]})`);
+    throw new Error(
+      `App ${appId} is not in ${APPS_CONFIG_FILE} for profile "${profile}"` +
+        (mapped.length > 0 ? `. Apps of the profile: ${mapped.join(", ")}` : "")
+    );
+  }
+  return { name: app.name, bundle: app.bundles.map(({ platform, type, path }) => ({ platform, type, path })) };
+}
+
+/**
+ * Whether a customization entry was deployed from a bundle file
+ * Once the release log has the bundle file, only the fileKeys recorded for
+ * it match. Before its first deploy, a file of the same name (uploaded by
+ * hand) is taken over, so the customization does not run twice.
+ * @param {Object} entry - Entry of getAppCustomize ({ type: "URL", url } or { type: "FILE", file })
+ * @param {string} path - Bundle file, e.g. "dist/js/index.js"
+ * @param {Array<{ path: string, fileKey: string }>} [deployed=[]] - Files this project put in the settings (getDeployedFiles)
+ * @returns {boolean}
+ */
+export function isBundleEntry(entry, path, deployed = []) {
+  if (entry.type === "FILE") {
+    if (!deployed.some((file) => file.path === path)) {
+      return entry.file?.name === basename(path);
+    }
+    return deployed.some((file) => file.path === path && file.fileKey === entry.file?.fileKey);
+  }
+  if (entry.type === "URL") {
+    try {
+      const url = new URL(entry.url);
+      return ["localhost", "127.0.0.1"].includes(url.hostname) && url.pathname === `/${path.replace(/^dist\//, "")}`;
+    } catch {
+      return false;
+    }
+  }
+  return false;
+}
+
+/**
+ * Convert a getAppCustomize entry into the form updateAppCustomize accepts
+ * @param {Object} entry
+ * @returns {Object}
+ */
+function toRequestEntry(entry) {
+  return entry.type === "FILE" ? { type: "FILE", file: { fileKey: entry.file.fileKey } } : entry;
+}
+
+/**
+ * Describe an entry for logs
+ * @param {Object} entry
+ * @returns {string}
+ */
+export function describeCustomizeEntry(entry) {
+  return entry.type === "FILE" ? `${entry.file.name || entry.file.fileKey} (file)` : entry.url;
+}
+
+/**
+ * Put uploaded bundle files into the current customization settings
+ * Each file takes the place of the first entry it replaces and the other
+ * matching entries are removed; a file without a match is added before the
+ * next uploaded file of its list (shared.js before desktop.js), or last.
+ * @param {Object} current - Response of getAppCustomize
+ * @param {Array<{ platform: string, type: string, path: string, fileKey: string }>} uploaded
+ * @param {Array<{ path: string, fileKey: string }>} [deployed=[]] - Files this project put in the settings (getDeployedFiles)
+ * @returns {{ request: Object, replaced: Object[], kept: Object[] }}
+ *   `request` is ready for updateAppCustomize (without `app`)
+ */
+export function mergeCustomizeFiles(current, uploaded, deployed = []) {
+  const request = { scope: current.scope };
+  const replaced = [];
+  const kept = [];
+
+  for (const platform of PLATFORMS) {
+    request[platform] = {};
+    for (const type of TYPES) {
+      let entries = [...(current[platform]?.[type] || [])];
+      const added = new Set();
+      // Last file first, so a new file can be put before the one that follows it
+      let next = entries.length;
+      for (const file of uploaded.filter((item) => item.platform === platform && item.type === type).reverse()) {
+        const bundleEntry = { type: "FILE", file: { fileKey: file.fileKey, name: basename(file.path) } };
+        added.add(bundleEntry);
+        const matches = (entry) => isBundleEntry(entry, file.path, deployed);
+        const index = entries.findIndex(matches);
+        replaced.unshift(...entries.filter(matches));
+        if (index === -1) {
+          entries.splice(next, 0, bundleEntry);
+        } else {
+          entries = entries.flatMap((entry, i) => (i === index ? [bundleEntry] : matches(entry) ? [] : [entry]));
+          next = index;
+        }
+      }
+      kept.push(...entries.filter((entry) => !added.has(entry)));
+      request[platform][type] = entries.map(toRequestEntry);
+    }
+  }
+
+  return { request, replaced, kept };
+}
+
+/**
+ * Download uploaded customization files into <dir>/customize/
+ * FILE entries are replaced by { type: "FILE", file: { fileKey, name, contentType, size }, path };
+ * the fileKey is only kept to tell which files were bundle files.
+ * @param {import("@kintone/rest-api-client").KintoneRestAPIClient} client
+ * @param {Object} customize - Response of getAppCustomize
+ * @param {string} dir - Folder to save into
+ * @returns {Promise<{ customize: Object, files: string[] }>}
+ */
+export async function downloadCustomizeFiles(client, customize, dir) {
+  rmSync(resolve(dir, "customize"), { recursive: true, force: true });
+  const files = [];
+  const result = { ...customize };
+
+  for (const platform of PLATFORMS) {
+    if (!customize[platform]) continue;
+    result[platform] = {};
+    for (const type of TYPES) {
+      const used = new Set();
+      result[platform][type] = [];
+      for (const entry of customize[platform][type] || []) {
+        if (entry.type !== "FILE") {
+          result[platform][type].push(entry);
+          continue;
+        }
+        const { file } = entry;
+        // Two uploads may share a name; keep both
+        let name = file.name;
+        for (let i = 2; used.has(name); i++) name = `${i}_${file.name}`;
+        used.add(name);
+
+        const path = `customize/${platform}/${type}/${name}`;
+        const data = await client.file.downloadFile({ fileKey: file.fileKey });
+        mkdirSync(dirname(resolve(dir, path)), { recursive: true });
+        writeFileSync(resolve(dir, path), Buffer.from(data));
+        files.push(path);
+        result[platform][type].push({ type: "FILE", file, path });
+      }
+    }
+  }
+
+  return { customize: result, files };
+}
+
+/**
+ * Upload the files saved by downloadCustomizeFiles again
+ * @param {import("@kintone/rest-api-client").KintoneRestAPIClient} client
+ * @param {Object} customize - Settings with { type: "FILE", file, path } entries
+ * @param {string} dir - Folder the paths are relative to
+ * @returns {Promise<Object>} Settings ready for updateAppCustomize (without `app`)
+ */
+export async function uploadCustomizeFiles(client, customize, dir) {
+  const request = { scope: customize.scope };
+  for (const platform of PLATFORMS) {
+    request[platform] = {};
+    for (const type of TYPES) {
+      request[platform][type] = [];
+      for (const entry of customize[platform]?.[type] || []) {
+        if (entry.type !== "FILE") {
+          request[platform][type].push(entry);
+          continue;
+        }
+        const { fileKey } = await client.file.uploadFile({
+          file: { name: entry.file.name, data: readFileSync(resolve(dir, entry.path)) }
+        });
+        request[platform][type].push({ type: "FILE", file: { fileKey } });
+      }
+    }
+  }
+  return request;
+}
+
+/**
+ * Find the fileKeys the uploaded files got in the settings
+ * uploadFile returns a temporary fileKey; once saved in the settings, the
+ * file has another one, which getAppCustomize returns.
+ * @param {Object} request - Settings sent to updateAppCustomize
+ * @param {Object} saved - getAppCustomize after the update (preview)
+ * @param {Array<{ platform: string, type: string, fileKey: string }>} files - Files in `request`, by their upload fileKey
+ * @returns {Array<Object>} The files with the fileKey of the settings
+ */
+export function getSavedFileKeys(request, saved, files) {
+  return files.map((file) => {
+    const index = request[file.platform][file.type].findIndex((entry) => entry.file?.fileKey === file.fileKey);
+    const entry = saved[file.platform]?.[file.type]?.[index];
+    return entry?.type === "FILE" ? { ...file, fileKey: entry.file.fileKey } : file;
+  });
+}
+
+/**
+ * Find the bundle files among restored settings
+ * @param {Object} customize - Settings saved by downloadCustomizeFiles (with the fileKeys they had)
+ * @param {Object} request - uploadCustomizeFiles of those settings (new fileKeys, in the same order)
+ * @param {Array<{ path: string, fileKey: string }>} deployed - From getDeployedFiles
+ * @returns {Array<{ platform: string, type: string, path: string, fileKey: string }>} With the fileKeys of `request`
+ */
+export function findRestoredBundleFiles(customize, request, deployed) {
+  const files = [];
+  for (const platform of PLATFORMS) {
+    for (const type of TYPES) {
+      (customize[platform]?.[type] || []).forEach((entry, index) => {
+        const bundleFile = entry.type === "FILE" && deployed.find((file) => file.fileKey === entry.file.fileKey);
+        if (bundleFile) {
+          files.push({ platform, type, path: bundleFile.path, fileKey: request[platform][type][index].file.fileKey });
+        }
+      });
+    }
+  }
+  return files;
+}
+
+/**
+ * Get the release log folder of an app
+ * @param {string} rootDir - Project root
+ * @param {string} domain - kintone domain; app IDs of different domains are kept apart
+ * @param {string|number} appId - The app ID
+ * @returns {string} Absolute path
+ */
+export function getReleaseDir(rootDir, domain, appId) {
+  return resolve(rootDir, "kintone-app-structure", "releases", domain, `app_${appId}`);
+}
+
+/**
+ * Read the release log of an app
+ * @param {string} releaseDir - From getReleaseDir
+ * @returns {Array<{ id: string, kind: string, createdAt: string, commit: string|null, dirty: boolean, files: Object[], restoredFrom?: string }>}
+ *   Oldest first
+ */
+export function readReleaseLog(releaseDir) {
+  const logPath = resolve(releaseDir, "releases.json");
+  return existsSync(logPath) ? JSON.parse(readFileSync(logPath, "utf-8")) : [];
+}
+
+/**
+ * Bundle files this project put in the app's settings, from the release log
+ * @param {string} releaseDir - From getReleaseDir
+ * @returns {Array<{ platform: string, type: string, path: string, fileKey: string }>}
+ */
+export function getDeployedFiles(releaseDir) {
+  return readReleaseLog(releaseDir).flatMap((release) => release.files.filter((file) => file.fileKey));
+}
+
+/**
+ * Set the files of a recorded release, once they are in the settings
+ * @param {string} releaseDir - From getReleaseDir
+ * @param {string} id - Release ID
+ * @param {Array<{ platform: string, type: string, path: string, fileKey: string }>} files
+ */
+export function setReleaseFiles(releaseDir, id, files) {
+  const log = readReleaseLog(releaseDir);
+  const release = log.find((item) => item.id === id);
+  if (!release) throw new Error(`Release ${id} not found in ${releaseDir}`);
+  release.files = files;
+  writeFileSync(resolve(releaseDir, "releases.json"), `${JSON.stringify(log, null, 2)}\n`, "utf-8");
+}
+
+/**
+ * Current git commit of the project
+ * @param {string} rootDir - Project root
+ * @returns {{ commit: string|null, dirty: boolean }} commit is null outside a git repository
+ */
+function getGitCommit(rootDir) {
+  try {
+    const run = (command) => execSync(command, { cwd: rootDir, stdio: ["ignore", "pipe", "ignore"] }).toString().trim();
+    return { commit: run("git rev-parse HEAD"), dirty: run("git status --porcelain") !== "" };
+  } catch {
+    return { commit: null, dirty: false };
+  }
+}
+
+/**
+ * Record a release: save the app's live settings and files before they are replaced
+ * @param {import("@kintone/rest-api-client").KintoneRestAPIClient} client
+ * @param {Object} params
+ * @param {string} params.rootDir - Project root
+ * @param {string} params.domain - kintone domain
+ * @param {string|number} params.appId - The app ID
+ * @param {"deploy"|"rollback"} params.kind - What replaces the settings
+ * @param {Object[]} [params.files=[]] - Files being deployed (path, size, ...); their fileKeys are
+ *   added with setReleaseFiles once they are in the settings
+ * @param {string} [params.restoredFrom] - Release being restored (rollback)
+ * @returns {Promise<Object>} The release entry; its folder holds customize.json and customize/
+ */
+export async function saveRelease(client, params) {
+  const { rootDir, domain, appId, kind, files = [], restoredFrom } = params;
+  const releaseDir = getReleaseDir(rootDir, domain, appId);
+  const log = readReleaseLog(releaseDir);
+  const id = String(log.reduce((max, release) => Math.max(max, Number(release.id)), 0) + 1);
+  const dir = resolve(releaseDir, id);
+
+  const previous = await client.app.getAppCustomize({ app: appId });
+  mkdirSync(dir, { recursive: true });
+  const { customize } = await downloadCustomizeFiles(client, previous, dir);
+  delete customize.revision;
+  writeFileSync(resolve(dir, "customize.json"), `${JSON.stringify(customize, null, 2)}\n`, "utf-8");
+
+  const release = {
+    id,
+    kind,
+    createdAt: new Date().toISOString(),
+    ...getGitCommit(rootDir),
+    files,
+    ...(restoredFrom ? { restoredFrom } : {})
+  };
+  log.push(release);
+  writeFileSync(resolve(releaseDir, "releases.json"), `${JSON.stringify(log, null, 2)}\n`, "utf-8");
+  return release;
+}
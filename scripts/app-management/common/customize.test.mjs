@@ -0,0 +1,115 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { findRestoredBundleFiles, getSavedFileKeys, mergeCustomizeFiles } from "./customize.mjs";
+
+const file = (fileKey, name) => ({ type: "FILE", file: { fileKey, name, contentType: "text/javascript", size: "10" } });
+const url = (href) => ({ type: "URL", url: href });
+
+const emptyPlatform = { js: [], css: [] };
+
+describe("mergeCustomizeFiles", () => {
+  const uploaded = [
+    { platform: "desktop", type: "js", path: "dist/js/shared.js", fileKey: "new-shared" },
+    { platform: "desktop", type: "js", path: "dist/js/index.js", fileKey: "new-index" }
+  ];
+
+  it("replaces only the files recorded for the same bundle file", () => {
+    const current = {
+      scope: "ALL",
+      desktop: {
+        js: [url("https://cdn.example.com/lib.js"), file("saved-1", "index.js"), file("other", "index.js")],
+        css: []
+      },
+      mobile: emptyPlatform
+    };
+    const deployed = [{ platform: "desktop", type: "js", path: "dist/js/index.js", fileKey: "saved-1" }];
+
+    const { request, replaced, kept } = mergeCustomizeFiles(current, uploaded, deployed);
+    assert.deepEqual(request.desktop.js, [
+      url("https://cdn.example.com/lib.js"),
+      { type: "FILE", file: { fileKey: "new-shared" } },
+      { type: "FILE", file: { fileKey: "new-index" } },
+      { type: "FILE", file: { fileKey: "other" } }
+    ]);
+    assert.deepEqual(replaced, [file("saved-1", "index.js")]);
+    assert.deepEqual(kept, [url("https://cdn.example.com/lib.js"), file("other", "index.js")]);
+  });
+
+  it("replaces a hand-uploaded file of the same name on the first deploy", () => {
+    const current = {
+      scope: "ALL",
+      desktop: { js: [url("https://cdn.example.com/lib.js"), file("manual", "index.js")], css: [] },
+      mobile: emptyPlatform
+    };
+    const { request, replaced, kept } = mergeCustomizeFiles(current, uploaded);
+    assert.deepEqual(request.desktop.js, [
+      url("https://cdn.example.com/lib.js"),
+      { type: "FILE", file: { fileKey: "new-shared" } },
+      { type: "FILE", file: { fileKey: "new-index" } }
+    ]);
+    assert.deepEqual(replaced, [file("manual", "index.js")]);
+    assert.deepEqual(kept, [url("https://cdn.example.com/lib.js")]);
+  });
+
+  it("keeps a file with the same name after the first deploy", () => {
+    const current = { scope: "ALL", desktop: { js: [file("manual", "index.js")], css: [] }, mobile: emptyPlatform };
+    const deployed = [{ platform: "desktop", type: "js", path: "dist/js/index.js", fileKey: "saved-1" }];
+    const { request, replaced } = mergeCustomizeFiles(current, uploaded, deployed);
+    assert.deepEqual(request.desktop.js, [
+      { type: "FILE", file: { fileKey: "manual" } },
+      { type: "FILE", file: { fileKey: "new-shared" } },
+      { type: "FILE", file: { fileKey: "new-index" } }
+    ]);
+    assert.deepEqual(replaced, []);
+  });
+
+  it("replaces the dev server URLs of the bundle files", () => {
+    const current = {
+      scope: "ALL",
+      desktop: { js: [url("https://localhost:9000/js/index.js"), url("https://localhost:9000/js/other.js")], css: [] },
+      mobile: emptyPlatform
+    };
+    const { request } = mergeCustomizeFiles(current, uploaded);
+    assert.deepEqual(request.desktop.js, [
+      { type: "FILE", file: { fileKey: "new-shared" } },
+      { type: "FILE", file: { fileKey: "new-index" } },
+      url("https://localhost:9000/js/other.js")
+    ]);
+  });
+});
+
+describe("getSavedFileKeys", () => {
+  it("takes the fileKeys the uploads got in the settings", () => {
+    const request = {
+      desktop: { js: [url("https://cdn.example.com/lib.js"), { type: "FILE", file: { fileKey: "upload-1" } }], css: [] }
+    };
+    const saved = { desktop: { js: [url("https://cdn.example.com/lib.js"), file("saved-1", "index.js")], css: [] } };
+    const files = [{ platform: "desktop", type: "js", path: "dist/js/index.js", fileKey: "upload-1" }];
+    assert.deepEqual(getSavedFileKeys(request, saved, files), [
+      { platform: "desktop", type: "js", path: "dist/js/index.js", fileKey: "saved-1" }
+    ]);
+  });
+});
+
+describe("findRestoredBundleFiles", () => {
+  it("finds the bundle files by the fileKeys they had", () => {
+    const customize = {
+      scope: "ALL",
+      desktop: {
+        js: [
+          { ...file("other", "index.js"), path: "customize/desktop/js/index.js" },
+          { ...file("saved-1", "index.js"), path: "customize/desktop/js/2_index.js" }
+        ],
+        css: []
+      }
+    };
+    const request = {
+      desktop: { js: [{ type: "FILE", file: { fileKey: "upload-a" } }, { type: "FILE", file: { fileKey: "upload-b" } }], css: [] },
+      mobile: emptyPlatform
+    };
+    const deployed = [{ platform: "desktop", type: "js", path: "dist/js/index.js", fileKey: "saved-1" }];
+    assert.deepEqual(findRestoredBundleFiles(customize, request, deployed), [
+      { platform: "desktop", type: "js", path: "dist/js/index.js", fileKey: "upload-b" }
+    ]);
+  });
+});
@@ -0,0 +1,271 @@
+/**
+ * Helpers for the --dry-run mode of mutating scripts
+ *
+ * A dry run fetches the current state, compares it with what would be sent
+ * and prints a summary. No write API is called.
+ */
+
+/** Maximum number of request lines printed before truncating */
+const MAX_REQUEST_LINES = 200;
+
+/**
+ * Serialize a value with sorted object keys, for order-independent comparison
+ * @param {*} value
+ * @returns {string}
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Whether `after` would change `before`
+ * @param {*} before - Current value
+ * @param {*} after - Value that would be sent
+ * @param {boolean} partial - Only compare the keys present in `after`
+ * @returns {boolean}
+ */
+function isChanged(before, after, partial) {
+  if (partial && after && typeof after === "object" && !Array.isArray(after)) {
+    return Object.keys(after).some(
+      (key) => stableStringify(before?.[key]) !== stableStringify(after[key])
+    );
+  }
+  return stableStringify(before) !== stableStringify(after);
+}
+
+/**
+ * Compare two lists of items identified by a key
+ * @param {Array} before - Current items
+ * @param {Array} after - Items that would be sent
+ * @param {(item: *) => string} getKey - Identifies an item (e.g. "USER:user1")
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - `after` only holds the properties to change
+ * @returns {{ added: string[], removed: string[], changed: string[] }}
+ */
+export function diffByKey(before, after, getKey, options = {}) {
+  const { partial = false } = options;
+  const beforeMap = new Map(before.map((item) => [getKey(item), item]));
+  const afterMap = new Map(after.map((item) => [getKey(item), item]));
+
+  return {
+    added: [...afterMap.keys()].filter((key) => !beforeMap.has(key)),
+    removed: partial ? [] : [...beforeMap.keys()].filter((key) => !afterMap.has(key)),
+    changed: [...afterMap.keys()].filter(
+      (key) => beforeMap.has(key) && isChanged(beforeMap.get(key), afterMap.get(key), partial)
+    )
+  };
+}
+
+/**
+ * Compare two objects keyed by name (views, reports, form fields, ...)
+ * @param {Object} before - Current object
+ * @param {Object} after - Object that would be sent
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - `after` only holds the entries to change
+ * @returns {{ added: string[], removed: string[], changed: string[] }}
+ */
+export function diffObjects(before, after, options = {}) {
+  return diffByKey(
+    Object.entries(before || {}),
+    Object.entries(after || {}),
+    ([key]) => key,
+    { partial: options.partial }
+  );
+}
+
+/**
+ * List the top-level properties whose value would change
+ * @param {Object} before - Current settings
+ * @param {Object} after - Settings that would be sent
+ * @returns {string[]} Lines such as `name: "Old" → "New"`
+ */
+export function describePropertyChanges(before, after) {
+  return Object.keys(after)
+    .filter((key) => stableStringify(before?.[key]) !== stableStringify(after[key]))
+    .map((key) => {
+      const from = JSON.stringify(before?.[key]) ?? "(none)";
+      const to = JSON.stringify(after[key]);
+      const short = (text) => (text.length > 60 ? `${text.slice(0, 57)}...` : text);
+      return `${key}: ${short(from)} → ${short(to)}`;
+    });
+}
+
+/**
+ * Format a diff as summary lines
+ * @param {string} label - What is compared (e.g. "Permission entries")
+ * @param {{ added: string[], removed: string[], changed: string[] }} diff
+ * @returns {string[]}
+ */
+export function formatDiff(label, diff) {
+  const { added, removed, changed } = diff;
+  const lines = [
+    `${label}: ${added.length} to add, ${changed.length} to change, ${removed.length} to remove`
+  ];
+  added.forEach((key) => lines.push(`  + ${key}`));
+  changed.forEach((key) => lines.push(`  ~ ${key}`));
+  removed.forEach((key) => lines.push(`  - ${key}`));
+  return lines;
+}
+
+/**
+ * Print a dry-run report and build the value returned instead of the API result
+ * @param {Object} report
+ * @param {string[]} report.summary - Human-readable effect of the request
+ * @param {Object} report.request - Parameters that would be sent to the API
+ * @param {Object} [options]
+ * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @returns {{ dryRun: true, summary: string[], request: Object }}
+ */
+export function reportDryRun(report, options = {}) {
+  const { silent = false } = options;
+  const { summary, request } = report;
+
+  if (!silent) {
+    console.log(`\n🔍 Dry run: no changes were made`);
+    summary.forEach((line) => console.log(`   ${line}`));
+
+    const requestLines = JSON.stringify(request, null, 2).split("\n");
+    console.log("\n   Request that would be sent:");
+    requestLines.slice(0, MAX_REQUEST_LINES).forEach((line) => console.log(`   ${line}`));
+    if (requestLines.length > MAX_REQUEST_LINES) {
+      console.log(`   ... (${requestLines.length - MAX_REQUEST_LINES} more lines)`);
+    }
+  }
+
+  return { dryRun: true, summary, request };
+}
+
+/**
+ * Label an update target by record ID or unique key
+ * @param {{ id?: string|number, updateKey?: { field: string, value: string|number } }} target
+ * @returns {string} e.g. "$id=12" or "customer_code=C-001"
+ */
+export function describeRecordTarget(target) {
+  return target.id !== undefined && target.id !== null
+    ? `$id=${target.id}`
+    : `${target.updateKey.field}=${target.updateKey.value}`;
+}
+
+/**
+ * Fetch the current records addressed by update or delete requests
+ * Records are looked up 100 at a time by `$id` or by their unique key.
+ * @param {import("@kintone/rest-api-client").KintoneRestAPIClient} client
+ * @param {string|number} appId - The app ID
+ * @param {Array<{ id?: string|number, updateKey?: { field: string, value: string|number } }>} targets
+ * @returns {Promise<Map<string, Object>>} Target label (see describeRecordTarget) -> current record
+ */
+export async function fetchRecordTargets(client, appId, targets) {
+  const quote = (value) => `"${String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"')}"`;
+  const groups = new Map();
+  for (const target of targets) {
+    const field = target.id !== undefined && target.id !== null ? "$id" : target.updateKey.field;
+    const value = field === "$id" ? target.id : target.updateKey.value;
+    if (!groups.has(field)) groups.set(field, new Set());
+    groups.get(field).add(String(value));
+  }
+
+  const found = new Map();
+  for (const [field, valueSet] of groups) {
+    const values = [...valueSet];
+    for (let i = 0; i < values.length; i += 100) {
+      const chunk = values.slice(i, i + 100);
+      const list = chunk.map((value) => (field === "$id" ? value : quote(value))).join(", ");
+      const { records } = await client.record.getRecords({
+        app: appId,
+        query: `${field} in (${list}) limit 100`
+      });
+      records.forEach((record) => {
+        const key = field === "$id" ? record.$id.value : record[field]?.value;
+        found.set(`${field}=${key}`, record);
+      });
+    }
+  }
+  return found;
+}
+
+/**
+ * Count the fields of an update whose value differs from the current record
+ * @param {Object} current - Current record
+ * @param {Object} [record] - Fields that would be sent
+ * @returns {string[]} Codes of changed fields
+ */
+export function getChangedFieldCodes(current, record = {}) {
+  return Object.keys(record).filter(
+    (code) => stableStringify(current[code]?.value) !== stableStringify(record[code]?.value)
+  );
+}
+
+/**
+ * Summarize records that would be added
+ * Field codes are checked against the form so typos show up before writing.
+ * @param {import("@kintone/rest-api-client").KintoneRestAPIClient} client
+ * @param {string|number} appId - The app ID
+ * @param {Object[]} records - Records that would be added
+ * @returns {Promise<string[]>} Summary lines
+ */
+export async function summarizeNewRecords(client, appId, records) {
+  const { properties } = await client.app.getFormFields({ app: appId });
+  const codes = [...new Set(records.flatMap((record) => Object.keys(record || {})))];
+  const unknown = codes.filter((code) => !(code in properties));
+
+  const summary = [`Records to add: ${records.length}`, `Fields set: ${codes.join(", ") || "(none)"}`];
+  if (unknown.length > 0) {
+    summary.push(`⚠️  Not in the app, the request would fail: ${unknown.join(", ")}`);
+  }
+  return summary;
+}
+
+/**
+ * Summarize record updates against the current records
+ * @param {import("@kintone/rest-api-client").KintoneRestAPIClient} client
+ * @param {string|number} appId - The app ID
+ * @param {Array<{ id?: string|number, updateKey?: Object, record?: Object }>} updates
+ * @param {Object} [options]
+ * @param {boolean} [options.upsert=false] - Missing records would be inserted
+ * @returns {Promise<string[]>} Summary lines
+ */
+export async function summarizeRecordUpdates(client, appId, updates, options = {}) {
+  const { upsert = false } = options;
+  const current = await fetchRecordTargets(client, appId, updates);
+
+  const missing = [];
+  const unchanged = [];
+  const changed = [];
+  for (const update of updates) {
+    const label = describeRecordTarget(update);
+    const record = current.get(label);
+    if (!record) {
+      missing.push(label);
+      continue;
+    }
+    const codes = getChangedFieldCodes(record, update.record);
+    if (codes.length > 0) {
+      changed.push(`${label}: ${codes.join(", ")}`);
+    } else {
+      unchanged.push(label);
+    }
+  }
+
+  const summary = [
+    `Records to update: ${changed.length} with changes, ${unchanged.length} already up to date`
+  ];
+  changed.slice(0, 20).forEach((line) => summary.push(`  ~ ${line}`));
+  if (changed.length > 20) summary.push(`  ... and ${changed.length - 20} more`);
+  if (missing.length > 0) {
+    summary.push(
+      upsert
+        ? `Records to insert: ${missing.length}`
+        : `⚠️  Not found, the request would fail: ${missing.slice(0, 20).join(", ")}${missing.length > 20 ? ", ..." : ""}`
+    );
+  }
+  return summary;
+}
@@ -5,6 +5,7 @@
 import { readFileSync, existsSync } from "fs";
 import { resolve, dirname } from "path";
 import { fileURLToPath } from "url";
+import { KintoneConfigError } from "./errors.mjs";
 
 /**
  * Get root directory of the project
@@ -27,57 +28,198 @@ export function getRootDir(importMetaUrl) {
   return resolve(callerDir, "../../../..");
 }
 
+/**
+ * Parse the contents of a .env file
+ * @param {string} envContent - File contents
+ * @returns {Object} Environment variables object
+ */
+function parseEnvFile(envContent) {
+  const env = {};
+  envContent.split("\n").forEach((line) => {
+    const trimmedLine = line.trim();
+    if (!trimmedLine || trimmedLine.startsWith("#")) return;
+    const [key, ...valueParts] = trimmedLine.split("=");
+    if (key && valueParts.length > 0) {
+      env[key.trim()] = valueParts.join("=").trim();
+    }
+  });
+  return env;
+}
+
+/**
+ * Resolve the active profile name
+ * Read from KINTONE_PROFILE; scripts get --profile=<name> as an option
+ * @returns {string|undefined} Profile name
+ */
+export function resolveProfile() {
+  return process.env.KINTONE_PROFILE || undefined;
+}
+
+/**
+ * Pick KINTONE_* variables from process.env
+ * @returns {Object} Environment variables object
+ */
+function getProcessEnv() {
+  return Object.fromEntries(
+    Object.entries(process.env).filter(([key]) => key.startsWith("KINTONE_"))
+  );
+}
+
 /**
  * Load environment variables from .env file
+ *
+ * When a profile is active, `.env.<profile>` is loaded on top of `.env`,
+ * so shared keys can stay in `.env` and only the differences go in the
+ * profile file. A profile can also be set as KINTONE_PROFILE in `.env`.
+ * Without a `.env` file, KINTONE_* variables are read from process.env
+ * (e.g. in CI jobs or services that inject their own environment).
  * @param {string} rootDir - Root directory path
+ * @param {string} [profile] - Profile name (default: resolveProfile())
  * @returns {Object} Environment variables object
+ * @throws {KintoneConfigError} When the profile's env file does not exist
  */
-export function loadEnv(rootDir) {
+export function loadEnv(rootDir, profile = resolveProfile()) {
   const envPath = resolve(rootDir, ".env");
-  try {
-    const envContent = readFileSync(envPath, "utf-8");
-    const env = {};
-    envContent.split("\n").forEach((line) => {
-      const trimmedLine = line.trim();
-      if (!trimmedLine || trimmedLine.startsWith("#")) return;
-      const [key, ...valueParts] = trimmedLine.split("=");
-      if (key && valueParts.length > 0) {
-        env[key.trim()] = valueParts.join("=").trim();
-      }
-    });
-    return env;
-  } catch (error) {
-    console.error("Error: .env file not found");
-    console.error("Please create .env file with:");
-    console.error("  KINTONE_DOMAIN=xxx.cybozu.com");
-    console.error("  KINTONE_USERNAME=your_username");
-    console.error("  KINTONE_PASSWORD=your_password");
-    process.exit(1);
+  const baseEnv = existsSync(envPath)
+    ? parseEnvFile(readFileSync(envPath, "utf-8"))
+    : getProcessEnv();
+  const activeProfile = profile || baseEnv.KINTONE_PROFILE;
+
+  if (!activeProfile) {
+    return baseEnv;
+  }
+
+  const envFile = `.env.${activeProfile}`;
+  const profilePath = resolve(rootDir, envFile);
+  if (!existsSync(profilePath)) {
+    throw new KintoneConfigError(
+      `${envFile} file not found (profile "${activeProfile}"). Please create it with KINTONE_DOMAIN and credentials.`,
+      { envFile }
+    );
   }
+
+  return {
+    ...baseEnv,
+    ...parseEnvFile(readFileSync(profilePath, "utf-8")),
+    KINTONE_PROFILE: activeProfile
+  };
+}
+
+/**
+ * Split a comma-separated list of API tokens
+ * @param {string} [value] - Token list (e.g. "token1,token2")
+ * @returns {string[]} Tokens
+ */
+function splitTokens(value) {
+  if (!value) return [];
+  return value
+    .split(",")
+    .map((token) => token.trim())
+    .filter(Boolean);
 }
 
 /**
  * Get kintone credentials from environment
+ *
+ * Authentication is resolved in this order:
+ *   1. KINTONE_API_TOKEN_<appId> - per-app token(s) for the target app
+ *   2. KINTONE_API_TOKEN         - token(s) shared by every app
+ *   3. KINTONE_USERNAME / KINTONE_PASSWORD
+ * Token values may list several comma-separated tokens, e.g. the app's own
+ * token plus the tokens of its lookup and related-record source apps.
+ *
+ * Connection settings are resolved alongside:
+ *   - guest space: options.guestSpaceId, then KINTONE_GUEST_SPACE_ID_<appId>,
+ *     then KINTONE_GUEST_SPACE_ID
+ *   - Basic auth: KINTONE_BASIC_AUTH_USERNAME / KINTONE_BASIC_AUTH_PASSWORD
+ *   - client certificate: KINTONE_CLIENT_CERT_PATH (.pfx) / KINTONE_CLIENT_CERT_PASSWORD
  * @param {Object} env - Environment variables object
- * @returns {{ domain: string, username: string, password: string, baseUrl: string }}
+ * @param {Object} [options]
+ * @param {string|number} [options.appId] - App ID used to pick per-app settings
+ * @param {string|number} [options.guestSpaceId] - Guest space ID (overrides env)
+ * @returns {{ domain: string, baseUrl: string, profile?: string, authMethod: "apiToken" | "password", authLabel: string, apiToken?: string[], username?: string, password?: string, guestSpaceId?: string, basicAuth?: { username: string, password: string }, clientCert?: { path: string, password: string } }}
+ * @throws {KintoneConfigError} When the domain or credentials are missing
  */
-export function getKintoneCredentials(env) {
+export function getKintoneCredentials(env, options = {}) {
+  const { appId } = options;
   const domain = env.KINTONE_DOMAIN;
   const username = env.KINTONE_USERNAME;
   const password = env.KINTONE_PASSWORD;
+  const envFile = env.KINTONE_PROFILE ? `.env.${env.KINTONE_PROFILE}` : ".env";
+
+  const appTokenKey = appId ? `KINTONE_API_TOKEN_${appId}` : undefined;
+  const appTokens = appTokenKey ? splitTokens(env[appTokenKey]) : [];
+  const sharedTokens = splitTokens(env.KINTONE_API_TOKEN);
 
-  if (!domain || !username || !password) {
-    console.error("Error: Missing environment variables");
-    console.error(
-      "Please ensure .env has KINTONE_DOMAIN, KINTONE_USERNAME, KINTONE_PASSWORD"
+  const describeTokens = (key, tokens) =>
+    `API token (${key}${tokens.length > 1 ? `, ${tokens.length} tokens` : ""})`;
+
+  let auth;
+  if (appTokens.length > 0) {
+    auth = {
+      authMethod: "apiToken",
+      authLabel: describeTokens(appTokenKey, appTokens),
+      apiToken: appTokens
+    };
+  } else if (sharedTokens.length > 0) {
+    auth = {
+      authMethod: "apiToken",
+      authLabel: describeTokens("KINTONE_API_TOKEN", sharedTokens),
+      apiToken: sharedTokens
+    };
+  } else if (username && password) {
+    auth = {
+      authMethod: "password",
+      authLabel: `Password (${username})`,
+      username,
+      password
+    };
+  }
+
+  if (!domain || !auth) {
+    const missingKeys = [];
+    if (!domain) missingKeys.push("KINTONE_DOMAIN");
+    if (!auth) {
+      if (!username) missingKeys.push("KINTONE_USERNAME");
+      if (!password) missingKeys.push("KINTONE_PASSWORD");
+    }
+    const tokenKeys = appTokenKey ? `${appTokenKey} or KINTONE_API_TOKEN` : "KINTONE_API_TOKEN";
+    throw new KintoneConfigError(
+      `Missing environment variables: ${missingKeys.join(", ")}. ` +
+        `Please set them in ${envFile} or the process environment` +
+        (auth ? "." : ` (or use ${tokenKeys} instead of username/password).`),
+      { missingKeys, envFile }
     );
-    process.exit(1);
+  }
+
+  const connection = {};
+
+  const guestSpaceId =
+    options.guestSpaceId ||
+    (appId && env[`KINTONE_GUEST_SPACE_ID_${appId}`]) ||
+    env.KINTONE_GUEST_SPACE_ID;
+  if (guestSpaceId) connection.guestSpaceId = String(guestSpaceId);
+
+  if (env.KINTONE_BASIC_AUTH_USERNAME) {
+    connection.basicAuth = {
+      username: env.KINTONE_BASIC_AUTH_USERNAME,
+      password: env.KINTONE_BASIC_AUTH_PASSWORD || ""
+    };
+  }
+
+  if (env.KINTONE_CLIENT_CERT_PATH) {
+    connection.clientCert = {
+      path: env.KINTONE_CLIENT_CERT_PATH,
+      password: env.KINTONE_CLIENT_CERT_PASSWORD || ""
+    };
   }
 
   return {
     domain,
-    username,
-    password,
-    baseUrl: `https://${domain}`
+    baseUrl: `https://${domain}`,
+    profile: env.KINTONE_PROFILE,
+    ...auth,
+    ...connection
   };
 }
+
@@ -0,0 +1,39 @@
+/**
+ * Error classes for kintone scripts
+ */
+
+/**
+ * Thrown when the kintone connection settings are missing or invalid
+ * (no .env / .env.<profile> file, or required KINTONE_* keys not set)
+ */
+export class KintoneConfigError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} [details]
+   * @param {string[]} [details.missingKeys=[]] - Environment keys that are missing
+   * @param {string} [details.envFile] - Env file that was expected to provide them
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = "KintoneConfigError";
+    this.missingKeys = details.missingKeys || [];
+    this.envFile = details.envFile;
+  }
+}
+
+/**
+ * Thrown when records do not match the rules of the app's form
+ * (checked locally before anything is sent to kintone)
+ */
+export class RecordValidationError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Array<{ index: number, field: string, key: string, message: string }>} violations
+   *   One entry per record and field; `key` uses the format of kintone's `errors`
+   */
+  constructor(message, violations) {
+    super(message);
+    this.name = "RecordValidationError";
+    this.violations = violations;
+  }
+}
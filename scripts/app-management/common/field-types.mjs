@@ -0,0 +1,227 @@
+/**
+ * TypeScript definitions of kintone records for src/js/fields.d.ts
+ *
+ * Every app gets its own namespace inside kintone.types, so one file can
+ * describe several apps:
+ *
+ *   const record = event.record as kintone.types.App51.SavedFields;
+ *
+ * The output follows @kintone/dts-gen: `Fields` holds the fields that can be
+ * written, `SavedFields` adds $id, $revision and the built-in fields. Unlike
+ * dts-gen, SavedFields also has the process management fields (Status,
+ * Assignee, Categories) of the form while they are enabled.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs";
+import { basename, dirname, resolve } from "path";
+
+/** Declaration file read by tsconfig.json */
+export const FIELD_TYPES_PATH = "src/js/fields.d.ts";
+
+/** kintone field type -> type in kintone.fieldTypes (from @kintone/dts-gen/kintone.d.ts) */
+const FIELD_TYPE_NAMES = {
+  SINGLE_LINE_TEXT: "SingleLineText",
+  MULTI_LINE_TEXT: "MultiLineText",
+  RICH_TEXT: "RichText",
+  NUMBER: "Number",
+  CALC: "Calc",
+  RADIO_BUTTON: "RadioButton",
+  DROP_DOWN: "DropDown",
+  CHECK_BOX: "CheckBox",
+  MULTI_SELECT: "MultiSelect",
+  DATE: "Date",
+  TIME: "Time",
+  DATETIME: "DateTime",
+  LINK: "Link",
+  USER_SELECT: "UserSelect",
+  ORGANIZATION_SELECT: "OrganizationSelect",
+  GROUP_SELECT: "GroupSelect",
+  FILE: "File",
+  RECORD_NUMBER: "RecordNumber",
+  CREATOR: "Creator",
+  CREATED_TIME: "CreatedTime",
+  MODIFIER: "Modifier",
+  UPDATED_TIME: "UpdatedTime"
+};
+
+/** Process management fields: kintone.fieldTypes has no type for them */
+const PROCESS_FIELD_TYPES = {
+  STATUS: '{ type: "STATUS"; value: string }',
+  STATUS_ASSIGNEE: '{ type: "STATUS_ASSIGNEE"; value: Array<{ code: string; name: string }> }',
+  CATEGORY: '{ type: "CATEGORY"; value: string[] }'
+};
+
+/** Built-in fields, only present in saved records */
+const SAVED_FIELD_TYPES = [
+  "RECORD_NUMBER",
+  "CREATOR",
+  "CREATED_TIME",
+  "MODIFIER",
+  "UPDATED_TIME",
+  ...Object.keys(PROCESS_FIELD_TYPES)
+];
+
+const FILE_HEADER = [
+  "// This file is auto-generated by `npm run gen:fields <appId>`",
+  "// Do not edit manually"
+];
+
+/** An app block: comment line, then `namespace X { ... }` at the same indent */
+const BLOCK_PATTERN = /^ {2}\/\/ .*\n {2}namespace ([\w$]+) \{\n[\s\S]*?\n {2}\}$/gm;
+
+/**
+ * Get the field properties from a saved form field JSON
+ * Accepts the REST API response ({ properties, revision }) and the output of
+ * kintone.app.getFormFields() in the browser (field code -> property).
+ * @param {Object} json
+ * @returns {Object<string, Object>} Field properties
+ */
+export function getFieldProperties(json) {
+  const properties = json && typeof json.properties === "object" ? json.properties : json;
+  const valid =
+    properties &&
+    typeof properties === "object" &&
+    !Array.isArray(properties) &&
+    Object.values(properties).every((property) => property && typeof property.type === "string");
+  if (!valid) {
+    throw new Error("Not a form field JSON: expected the result of getFormFields");
+  }
+  return properties;
+}
+
+/**
+ * Check whether a name can be used as a namespace
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isValidNamespace(name) {
+  return /^[A-Za-z_$][\w$]*$/.test(name);
+}
+
+/**
+ * Render the field lines of a record type
+ * @param {Object<string, Object>} properties - Field properties
+ * @param {(type: string) => boolean} include - Field types to render
+ * @param {string} indent
+ * @returns {string[]}
+ */
+function renderFields(properties, include, indent) {
+  const lines = [];
+  for (const property of Object.values(properties)) {
+    const code = JSON.stringify(property.code);
+    if (property.type === "SUBTABLE" && include(property.type)) {
+      lines.push(
+        `${indent}${code}: {`,
+        `${indent}  type: "SUBTABLE";`,
+        `${indent}  value: Array<{`,
+        `${indent}    id: string;`,
+        `${indent}    value: {`,
+        ...renderFields(property.fields, (type) => !SAVED_FIELD_TYPES.includes(type), `${indent}      `),
+        `${indent}    };`,
+        `${indent}  }>;`,
+        `${indent}};`
+      );
+    } else if (FIELD_TYPE_NAMES[property.type] && include(property.type)) {
+      lines.push(`${indent}${code}: kintone.fieldTypes.${FIELD_TYPE_NAMES[property.type]};`);
+    } else if (PROCESS_FIELD_TYPES[property.type] && include(property.type) && property.enabled !== false) {
+      lines.push(`${indent}${code}: ${PROCESS_FIELD_TYPES[property.type]};`);
+    }
+  }
+  return lines;
+}
+
+/**
+ * Render the namespace of one app
+ * Labels, spacers, groups and related records have no value in a record and
+ * are left out, as are the process management fields while it is disabled.
+ * @param {string} namespace - Namespace name, e.g. "App51"
+ * @param {Object<string, Object>} properties - Field properties
+ * @param {string} source - Where the fields came from, written as a comment
+ * @returns {string}
+ */
+export function renderAppFieldTypes(namespace, properties, source) {
+  if (!isValidNamespace(namespace)) {
+    throw new Error(`Invalid namespace "${namespace}": use letters, digits, _ or $`);
+  }
+  return [
+    `  // ${source}`,
+    `  namespace ${namespace} {`,
+    "    interface Fields {",
+    ...renderFields(properties, (type) => !SAVED_FIELD_TYPES.includes(type), "      "),
+    "    }",
+    "    interface SavedFields extends Fields {",
+    "      $id: kintone.fieldTypes.Id;",
+    "      $revision: kintone.fieldTypes.Revision;",
+    ...renderFields(properties, (type) => SAVED_FIELD_TYPES.includes(type), "      "),
+    "    }",
+    "  }"
+  ].join("\n");
+}
+
+/**
+ * Read the app namespaces of an existing declaration file
+ * @param {string} content - File content
+ * @returns {Map<string, string>} Namespace name -> block
+ */
+export function parseFieldTypes(content) {
+  const blocks = new Map();
+  for (const match of content.matchAll(BLOCK_PATTERN)) {
+    blocks.set(match[1], match[0]);
+  }
+  return blocks;
+}
+
+/**
+ * Write app namespaces into a declaration file
+ * Namespaces already in the file are kept unless `replace` is set; a
+ * namespace with the same name is overwritten in place.
+ * @param {string} rootDir - Project root
+ * @param {Map<string, string>} blocks - Namespace name -> block from renderAppFieldTypes
+ * @param {Object} [options]
+ * @param {string} [options.output=FIELD_TYPES_PATH] - Output file (relative to the project root)
+ * @param {boolean} [options.replace=false] - Drop the namespaces not in `blocks`
+ * @returns {{ path: string, namespaces: string[] }} Absolute path and every namespace in the file
+ */
+export function writeFieldTypes(rootDir, blocks, options = {}) {
+  const { output = FIELD_TYPES_PATH, replace = false } = options;
+  const outputPath = resolve(rootDir, output);
+
+  const merged = replace || !existsSync(outputPath)
+    ? new Map()
+    : parseFieldTypes(readFileSync(outputPath, "utf-8"));
+  for (const [namespace, block] of blocks) {
+    merged.set(namespace, block);
+  }
+
+  const content = [
+    ...FILE_HEADER,
+    "",
+    "declare namespace kintone.types {",
+    [...merged.values()].join("\n\n"),
+    "}",
+    ""
+  ].join("\n");
+
+  mkdirSync(dirname(outputPath), { recursive: true });
+  writeFileSync(outputPath, content, "utf-8");
+  return { path: outputPath, namespaces: [...merged.keys()] };
+}
+
+/**
+ * Default namespace of a saved form field JSON
+ * "app_51_formField.json" -> "App51", "customers.json" -> "Customers"
+ * @param {string} filePath
+ * @returns {string}
+ */
+export function getNamespaceFromFile(filePath) {
+  const name = basename(filePath).replace(/\.json$/i, "");
+  const appId = name.match(/^app_?(\d+)(?:_|$)/i);
+  if (appId) return `App${appId[1]}`;
+
+  const pascal = name
+    .split(/[^A-Za-z0-9]+/)
+    .filter(Boolean)
+    .map((word) => word[0].toUpperCase() + word.slice(1))
+    .join("");
+  return /^[A-Za-z]/.test(pascal) ? pascal : `App${pascal}`;
+}
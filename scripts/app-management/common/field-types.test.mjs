@@ -0,0 +1,69 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { parseFieldTypes, renderAppFieldTypes } from "./field-types.mjs";
+
+const PROPERTIES = {
+  Record_number: { type: "RECORD_NUMBER", code: "Record_number" },
+  Created_by: { type: "CREATOR", code: "Created_by" },
+  Status: { type: "STATUS", code: "Status", enabled: true },
+  Assignee: { type: "STATUS_ASSIGNEE", code: "Assignee", enabled: true },
+  Categories: { type: "CATEGORY", code: "Categories", enabled: false },
+  name: { type: "SINGLE_LINE_TEXT", code: "name" },
+  Label: { type: "LABEL", label: "Note" },
+  items: {
+    type: "SUBTABLE",
+    code: "items",
+    fields: { amount: { type: "CALC", code: "amount" } }
+  }
+};
+
+/**
+ * Lines of one interface in a rendered namespace
+ * @param {string} block
+ * @param {string} name
+ */
+const getInterface = (block, name) =>
+  block
+    .split(`interface ${name} `)[1]
+    .split("\n    }")[0]
+    .split("\n")
+    .slice(1)
+    .map((line) => line.trim());
+
+describe("renderAppFieldTypes", () => {
+  const block = renderAppFieldTypes("App51", PROPERTIES, "App 51");
+
+  it("puts the fields that can be written in Fields", () => {
+    assert.deepEqual(getInterface(block, "Fields"), [
+      '"name": kintone.fieldTypes.SingleLineText;',
+      '"items": {',
+      'type: "SUBTABLE";',
+      "value: Array<{",
+      "id: string;",
+      "value: {",
+      '"amount": kintone.fieldTypes.Calc;',
+      "};",
+      "}>;",
+      "};"
+    ]);
+  });
+
+  it("adds the built-in and enabled process management fields to SavedFields", () => {
+    assert.deepEqual(getInterface(block, "SavedFields"), [
+      "$id: kintone.fieldTypes.Id;",
+      "$revision: kintone.fieldTypes.Revision;",
+      '"Record_number": kintone.fieldTypes.RecordNumber;',
+      '"Created_by": kintone.fieldTypes.Creator;',
+      '"Status": { type: "STATUS"; value: string };',
+      '"Assignee": { type: "STATUS_ASSIGNEE"; value: Array<{ code: string; name: string }> };'
+    ]);
+  });
+
+  it("can be read back from the declaration file", () => {
+    assert.deepEqual([...parseFieldTypes(`declare namespace kintone.types {\n${block}\n}\n`).keys()], ["App51"]);
+  });
+
+  it("rejects a namespace that is not an identifier", () => {
+    assert.throws(() => renderAppFieldTypes("51", PROPERTIES, "App 51"), /Invalid namespace "51"/);
+  });
+});
@@ -2,5 +2,84 @@
  * Common utilities for kintone app management scripts
  */
 
-export { getRootDir, loadEnv, getKintoneCredentials } from "./env.mjs";
-export { createKintoneClient, waitForDeploy } from "./client.mjs";
+export { GLOBAL_FLAGS, parseCliArgs, formatGlobalArgs } from "./args.mjs";
+export { KintoneConfigError, RecordValidationError } from "./errors.mjs";
+export { redirectLogsToStderr, serializeError, writeResult, writeError } from "./output.mjs";
+export {
+  diffByKey,
+  diffObjects,
+  describePropertyChanges,
+  formatDiff,
+  reportDryRun,
+  describeRecordTarget,
+  fetchRecordTargets,
+  getChangedFieldCodes,
+  summarizeNewRecords,
+  summarizeRecordUpdates
+} from "./dry-run.mjs";
+export {
+  EXPORT_FORMATS,
+  flattenFieldValue,
+  buildRecordTables,
+  toCsv,
+  toJsonl,
+  writeRecordTables
+} from "./record-export.mjs";
+export { parseCsv, readTable, validateMapping, convertRows } from "./record-import.mjs";
+export {
+  CHECKPOINT_CHUNK_SIZE,
+  getCheckpointPath,
+  readCheckpoint,
+  removeCheckpoint,
+  runWithCheckpoint
+} from "./checkpoint.mjs";
+export {
+  SNAPSHOT_PARTS,
+  SNAPSHOT_MANIFEST,
+  sortKeys,
+  normalizeSnapshotPart,
+  writeSnapshotFile,
+  readSnapshot,
+  getManagedFields,
+  fetchSnapshotParts,
+  planSnapshot,
+  formatPlan,
+  applySnapshotParts,
+  applySnapshotFields
+} from "./snapshot.mjs";
+export {
+  FIELD_TYPES_PATH,
+  getFieldProperties,
+  isValidNamespace,
+  renderAppFieldTypes,
+  parseFieldTypes,
+  writeFieldTypes,
+  getNamespaceFromFile
+} from "./field-types.mjs";
+export {
+  RECORD_SCHEMA_PATH,
+  buildRecordSchema,
+  fetchRecordSchema,
+  validateRecords,
+  formatViolations,
+  assertValidRecords,
+  writeRecordSchemas
+} from "./record-schema.mjs";
+export {
+  getCustomizeBundle,
+  isBundleEntry,
+  describeCustomizeEntry,
+  mergeCustomizeFiles,
+  downloadCustomizeFiles,
+  uploadCustomizeFiles,
+  getSavedFileKeys,
+  findRestoredBundleFiles,
+  getReleaseDir,
+  readReleaseLog,
+  getDeployedFiles,
+  setReleaseFiles,
+  saveRelease
+} from "./customize.mjs";
+export { buildXlsx, readXlsx } from "./xlsx.mjs";
+export { getRootDir, loadEnv, getKintoneCredentials, resolveProfile } from "./env.mjs";
+export { createKintoneClient, logConnection, waitForDeploy } from "./client.mjs";
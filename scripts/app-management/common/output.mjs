@@ -0,0 +1,77 @@
+/**
+ * Output helpers for the --json mode of app-management scripts
+ *
+ * In JSON mode stdout carries only the result (or a structured error).
+ * A script's CLI block sends its logs to stderr when --json is given and
+ * passes the flag to writeResult / writeError.
+ */
+
+/**
+ * Send console.log and console.info to stderr
+ * Only called from CLI blocks, never on import.
+ */
+export function redirectLogsToStderr() {
+  console.log = (...args) => console.error(...args);
+  console.info = (...args) => console.error(...args);
+}
+
+/**
+ * Convert an error into a plain object
+ * Keeps the fields of KintoneRestAPIError (code, id, status, errors),
+ * KintoneAllRecordsError (processedRecordsResult, unprocessedRecords)
+ * KintoneConfigError (missingKeys), RecordValidationError (violations) and
+ * checkpoint errors (checkpoint, completedRecords, rolledBack) and the import
+ * report (report) when present.
+ * @param {Error} error
+ * @returns {Object}
+ */
+export function serializeError(error) {
+  const result = { name: error?.name || "Error", message: error?.message || String(error) };
+  const keys = [
+    "code",
+    "id",
+    "status",
+    "errors",
+    "missingKeys",
+    "violations",
+    "processedRecordsResult",
+    "unprocessedRecords",
+    "checkpoint",
+    "completedRecords",
+    "rolledBack",
+    "report"
+  ];
+  keys.forEach((key) => {
+    if (error?.[key] !== undefined) result[key] = error[key];
+  });
+  if (error?.error && error.error !== error) {
+    result.cause = serializeError(error.error);
+  }
+  return result;
+}
+
+/**
+ * Write the API result to stdout in JSON mode
+ * @param {*} result - Value returned by the script function
+ * @param {Object} [options]
+ * @param {boolean} [options.json=false] - Whether --json was given
+ * @returns {*} The same result
+ */
+export function writeResult(result, options = {}) {
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify(result ?? null, null, 2)}\n`);
+  }
+  return result;
+}
+
+/**
+ * Write a structured error to stdout in JSON mode
+ * @param {Error} error
+ * @param {Object} [options]
+ * @param {boolean} [options.json=false] - Whether --json was given
+ */
+export function writeError(error, options = {}) {
+  if (options.json) {
+    process.stdout.write(`${JSON.stringify({ error: serializeError(error) }, null, 2)}\n`);
+  }
+}
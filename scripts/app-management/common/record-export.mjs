@@ -0,0 +1,188 @@
+/**
+ * Convert kintone records into flat tables for CSV, JSONL and XLSX export
+ */
+
+import { mkdirSync, writeFileSync } from "fs";
+import { basename, dirname, extname, join } from "path";
+import dayjs from "dayjs";
+import { buildXlsx } from "./xlsx.mjs";
+
+/** Supported export formats */
+export const EXPORT_FORMATS = ["csv", "jsonl", "xlsx"];
+
+/** Field types whose value is a list of { code, name } entities */
+const ENTITY_LIST_TYPES = ["USER_SELECT", "ORGANIZATION_SELECT", "GROUP_SELECT", "STATUS_ASSIGNEE"];
+
+/** Field types whose value is a list of strings */
+const STRING_LIST_TYPES = ["CHECK_BOX", "MULTI_SELECT", "CATEGORY"];
+
+/** Field types whose value is an ISO 8601 UTC date-time */
+const DATETIME_TYPES = ["DATETIME", "CREATED_TIME", "UPDATED_TIME"];
+
+/** Calculated field formats that hold a plain number */
+const NUMBER_CALC_FORMATS = ["NUMBER", "NUMBER_DIGIT"];
+
+/**
+ * Flatten one field value into a cell value
+ * @param {{ type: string, value: * }} field - Field from a record
+ * @param {Object} [property] - Field property from getFormFields
+ * @returns {string|number|null}
+ */
+export function flattenFieldValue(field, property) {
+  const { type, value } = field;
+  if (value === null || value === undefined || value === "") return null;
+  if (Array.isArray(value) && value.length === 0) return null;
+
+  if (ENTITY_LIST_TYPES.includes(type)) {
+    return value.map((entity) => entity.name || entity.code).join(", ");
+  }
+  if (STRING_LIST_TYPES.includes(type)) {
+    return value.join(", ");
+  }
+  if (type === "FILE") {
+    return value.map((file) => file.name).join(", ");
+  }
+  if (type === "CREATOR" || type === "MODIFIER") {
+    return value.name || value.code;
+  }
+  if (DATETIME_TYPES.includes(type)) {
+    return dayjs(value).format("YYYY-MM-DD HH:mm");
+  }
+  const isNumber =
+    type === "__ID__" ||
+    type === "NUMBER" ||
+    (type === "CALC" && NUMBER_CALC_FORMATS.includes(property?.format));
+  if (isNumber) {
+    const number = Number(value);
+    return Number.isFinite(number) ? number : value;
+  }
+  if (type === "SUBTABLE") {
+    return JSON.stringify(value);
+  }
+  return value;
+}
+
+/**
+ * Build flat tables from records
+ * @param {Object[]} records - Records from getAllRecords
+ * @param {Object} properties - Field properties from getFormFields
+ * @param {Object} [options]
+ * @param {"rows"|"sheets"} [options.subtables="rows"] - Repeat the record for each subtable row, or put each subtable in its own table
+ * @param {"label"|"code"} [options.header="label"] - Use field labels or field codes as headers
+ * @returns {Array<{ name: string, key: string, rows: Array<Array<string|number|null>> }>} Tables; the first holds the records
+ */
+export function buildRecordTables(records, properties, options = {}) {
+  const { subtables = "rows", header = "label" } = options;
+  const present = (code) => records.length === 0 || records.some((record) => code in record);
+  const toHeader = (code, property) => (header === "code" ? code : property?.label || code);
+
+  const columns = Object.values(properties).filter(
+    (property) => property.type !== "SUBTABLE" && present(property.code)
+  );
+  const tables = Object.values(properties).filter(
+    (property) => property.type === "SUBTABLE" && present(property.code)
+  );
+  const tableColumns = (table) => Object.values(table.fields);
+
+  const idHeader = header === "code" ? "$id" : "Record ID";
+  const mainHeader = [idHeader, ...columns.map((property) => toHeader(property.code, property))];
+  const recordId = (record) => (record.$id ? flattenFieldValue(record.$id) : null);
+  const mainValues = (record) => [
+    recordId(record),
+    ...columns.map((property) =>
+      record[property.code] ? flattenFieldValue(record[property.code], property) : null
+    )
+  ];
+  const subtableValues = (table, row) =>
+    tableColumns(table).map((property) =>
+      row?.value[property.code] ? flattenFieldValue(row.value[property.code], property) : null
+    );
+
+  if (subtables === "sheets") {
+    return [
+      { name: "Records", key: "records", rows: [mainHeader, ...records.map(mainValues)] },
+      ...tables.map((table) => ({
+        name: toHeader(table.code, table),
+        key: table.code,
+        rows: [
+          [idHeader, ...tableColumns(table).map((property) => toHeader(property.code, property))],
+          ...records.flatMap((record) =>
+            (record[table.code]?.value || []).map((row) => [
+              recordId(record),
+              ...subtableValues(table, row)
+            ])
+          )
+        ]
+      }))
+    ];
+  }
+
+  // One row per subtable row, with the record's own fields repeated on each
+  const rows = records.flatMap((record) => {
+    const count = Math.max(1, ...tables.map((table) => record[table.code]?.value.length || 0));
+    return Array.from({ length: count }, (_, i) => [
+      ...mainValues(record),
+      ...tables.flatMap((table) => subtableValues(table, record[table.code]?.value[i]))
+    ]);
+  });
+  const subtableHeader = tables.flatMap((table) =>
+    tableColumns(table).map(
+      (property) => `${toHeader(table.code, table)}.${toHeader(property.code, property)}`
+    )
+  );
+  return [{ name: "Records", key: "records", rows: [[...mainHeader, ...subtableHeader], ...rows] }];
+}
+
+/**
+ * Format a table as CSV (RFC 4180, with a BOM so Excel reads UTF-8)
+ * @param {Array<Array<string|number|null>>} rows
+ * @returns {string}
+ */
+export function toCsv(rows) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return "";
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  return `\uFEFF${rows.map((row) => row.map(escape).join(",")).join("\r\n")}\r\n`;
+}
+
+/**
+ * Format a table as JSON Lines, one object per row keyed by header
+ * @param {Array<Array<string|number|null>>} rows
+ * @returns {string}
+ */
+export function toJsonl(rows) {
+  const [headerRow, ...dataRows] = rows;
+  return dataRows
+    .map((row) => JSON.stringify(Object.fromEntries(headerRow.map((name, i) => [name, row[i]]))))
+    .map((line) => `${line}\n`)
+    .join("");
+}
+
+/**
+ * Write tables to disk
+ * XLSX puts every table in one workbook. CSV and JSONL write the first table
+ * to `outPath` and each further table next to it as `<name>_<subtable code>.<ext>`.
+ * @param {Array<{ name: string, key: string, rows: Array<Array<string|number|null>> }>} tables
+ * @param {"csv"|"jsonl"|"xlsx"} format
+ * @param {string} outPath - Output file path
+ * @returns {string[]} Written file paths
+ */
+export function writeRecordTables(tables, format, outPath) {
+  mkdirSync(dirname(outPath), { recursive: true });
+
+  if (format === "xlsx") {
+    writeFileSync(outPath, buildXlsx(tables));
+    return [outPath];
+  }
+
+  const serialize = format === "csv" ? toCsv : toJsonl;
+  const ext = extname(outPath);
+  const stem = join(dirname(outPath), basename(outPath, ext));
+  return tables.map((table, i) => {
+    const filePath = i === 0 ? outPath : `${stem}_${table.key}${ext}`;
+    writeFileSync(filePath, serialize(table.rows), "utf-8");
+    return filePath;
+  });
+}
@@ -0,0 +1,39 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildRecordTables } from "./record-export.mjs";
+
+const PROPERTIES = {
+  name: { type: "SINGLE_LINE_TEXT", code: "name", label: "Name" },
+  qty: { type: "NUMBER", code: "qty", label: "Quantity" },
+  items: {
+    type: "SUBTABLE",
+    code: "items",
+    label: "Items",
+    fields: { item: { type: "SINGLE_LINE_TEXT", code: "item", label: "Item" } }
+  }
+};
+
+describe("buildRecordTables", () => {
+  it("exports only the fields of a field list", () => {
+    // exportAllRecords asks for $id along with --fields
+    const records = [
+      { $id: { type: "__ID__", value: "7" }, name: { type: "SINGLE_LINE_TEXT", value: "Sato" } },
+      { $id: { type: "__ID__", value: "8" }, name: { type: "SINGLE_LINE_TEXT", value: "Tanaka" } }
+    ];
+    assert.deepEqual(buildRecordTables(records, PROPERTIES, { header: "code" }), [
+      { name: "Records", key: "records", rows: [["$id", "name"], [7, "Sato"], [8, "Tanaka"]] }
+    ]);
+  });
+
+  it("leaves the Record ID empty when $id was not fetched", () => {
+    const records = [
+      {
+        name: { type: "SINGLE_LINE_TEXT", value: "Sato" },
+        items: { type: "SUBTABLE", value: [{ id: "1", value: { item: { type: "SINGLE_LINE_TEXT", value: "x" } } }] }
+      }
+    ];
+    const [main, items] = buildRecordTables(records, PROPERTIES, { subtables: "sheets" });
+    assert.deepEqual(main.rows, [["Record ID", "Name"], [null, "Sato"]]);
+    assert.deepEqual(items.rows, [["Record ID", "Item"], [null, "x"]]);
+  });
+});
@@ -0,0 +1,319 @@
+/**
+ * Read CSV/XLSX tables and convert their rows into kintone records
+ *
+ * A mapping file ties spreadsheet columns to field codes. Values are
+ * converted according to the field type from getFormFields, so the same
+ * mapping works for any export of the source system.
+ */
+
+import { readFileSync } from "fs";
+import { extname } from "path";
+import dayjs from "dayjs";
+import customParseFormat from "dayjs/plugin/customParseFormat.js";
+import { readXlsx } from "./xlsx.mjs";
+
+dayjs.extend(customParseFormat);
+
+/** Field types that can be set from a spreadsheet column */
+const IMPORTABLE_TYPES = [
+  "SINGLE_LINE_TEXT",
+  "MULTI_LINE_TEXT",
+  "RICH_TEXT",
+  "LINK",
+  "NUMBER",
+  "DATE",
+  "TIME",
+  "DATETIME",
+  "DROP_DOWN",
+  "RADIO_BUTTON",
+  "CHECK_BOX",
+  "MULTI_SELECT",
+  "USER_SELECT",
+  "ORGANIZATION_SELECT",
+  "GROUP_SELECT"
+];
+
+/** Field types whose value is a list */
+const LIST_TYPES = ["CHECK_BOX", "MULTI_SELECT", "USER_SELECT", "ORGANIZATION_SELECT", "GROUP_SELECT"];
+
+/** Field types whose value must be one of the field's options */
+const OPTION_TYPES = ["DROP_DOWN", "RADIO_BUTTON", "CHECK_BOX", "MULTI_SELECT"];
+
+/** Days between the Excel epoch (1899-12-30) and the Unix epoch */
+const EXCEL_EPOCH_OFFSET_DAYS = 25569;
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields, escaped quotes, line breaks in quotes)
+ * @param {string} text
+ * @param {string} [delimiter=","]
+ * @returns {string[][]}
+ */
+export function parseCsv(text, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  const input = text.replace(/^\uFEFF/, "");
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Read a CSV or XLSX file into rows of cells
+ * @param {string} filePath - Path to a .csv or .xlsx file
+ * @param {Object} [options]
+ * @param {string} [options.sheet] - XLSX sheet name (default: first sheet)
+ * @param {string} [options.delimiter=","] - CSV delimiter
+ * @returns {Array<Array<string|number|boolean|null>>}
+ */
+export function readTable(filePath, options = {}) {
+  const ext = extname(filePath).toLowerCase();
+  if (ext === ".xlsx") {
+    return readXlsx(readFileSync(filePath), options.sheet).rows;
+  }
+  if (ext === ".csv" || ext === ".txt") {
+    return parseCsv(readFileSync(filePath, "utf-8"), options.delimiter);
+  }
+  throw new Error(`Unsupported file type "${ext}". Use .csv or .xlsx`);
+}
+
+/**
+ * Normalize the "columns" of a mapping file
+ * A column maps to a field code, or to { field, format, values, separator, default }.
+ * @param {Object} mapping - Mapping file contents
+ * @returns {Array<{ column: string, field: string, format?: string, values?: Object, separator?: string, default?: * }>}
+ */
+function normalizeColumns(mapping) {
+  if (!mapping?.columns || Object.keys(mapping.columns).length === 0) {
+    throw new Error('Mapping must have a "columns" object (column name -> field code)');
+  }
+  return Object.entries(mapping.columns).map(([column, target]) =>
+    typeof target === "string" ? { column, field: target } : { column, ...target }
+  );
+}
+
+/**
+ * Check a mapping against the app's form fields
+ * @param {Object} mapping - Mapping file contents
+ * @param {Object} properties - Field properties from getFormFields
+ * @param {Object} [options]
+ * @param {string} [options.keyField] - Field used to upsert (must be unique)
+ * @returns {string[]} Problems found; empty when the mapping is usable
+ */
+export function validateMapping(mapping, properties, options = {}) {
+  const { keyField } = options;
+  const problems = [];
+  const columns = normalizeColumns(mapping);
+  const mapped = new Set(columns.map((entry) => entry.field));
+  const subtableFields = new Map(
+    Object.values(properties)
+      .filter((property) => property.type === "SUBTABLE")
+      .flatMap((table) => Object.keys(table.fields).map((code) => [code, table.code]))
+  );
+
+  for (const entry of columns) {
+    const property = properties[entry.field];
+    if (!entry.field) {
+      problems.push(`Column "${entry.column}": no field code`);
+    } else if (subtableFields.has(entry.field)) {
+      problems.push(`Column "${entry.column}": ${entry.field} is in subtable ${subtableFields.get(entry.field)}, which cannot be imported`);
+    } else if (!property) {
+      problems.push(`Column "${entry.column}": field ${entry.field} is not in the app`);
+    } else if (!IMPORTABLE_TYPES.includes(property.type)) {
+      problems.push(`Column "${entry.column}": field ${entry.field} is ${property.type}, which cannot be imported`);
+    } else if (entry.values && OPTION_TYPES.includes(property.type)) {
+      const invalid = Object.values(entry.values).filter((value) => !(value in property.options));
+      if (invalid.length > 0) {
+        problems.push(`Column "${entry.column}": ${invalid.join(", ")} not among the options of ${entry.field}`);
+      }
+    }
+  }
+
+  if (keyField) {
+    if (!mapped.has(keyField)) {
+      problems.push(`Key field ${keyField} is not mapped to any column`);
+    } else if (properties[keyField] && !properties[keyField].unique) {
+      problems.push(`Key field ${keyField} must have "Prohibit duplicate values" enabled`);
+    }
+  } else {
+    Object.values(properties)
+      .filter((property) => property.required && IMPORTABLE_TYPES.includes(property.type))
+      .filter((property) => !mapped.has(property.code) && !property.defaultValue?.length)
+      .forEach((property) => problems.push(`Required field ${property.code} is not mapped`));
+  }
+
+  return problems;
+}
+
+/**
+ * Convert an Excel serial date-time to a dayjs object in local time
+ * @param {number} serial
+ * @returns {import("dayjs").Dayjs}
+ */
+function fromExcelSerial(serial) {
+  const utc = new Date(Math.round((serial - EXCEL_EPOCH_OFFSET_DAYS) * 86400000));
+  return dayjs(utc.toISOString().slice(0, 19));
+}
+
+/**
+ * Parse a date or time cell
+ * @param {string|number} raw - Cell value
+ * @param {string} [format] - dayjs format of text cells (e.g. "DD/MM/YYYY")
+ * @returns {import("dayjs").Dayjs|null} null when the value cannot be parsed
+ */
+function parseDate(raw, format) {
+  if (typeof raw === "number") return fromExcelSerial(raw);
+  const text = String(raw).trim();
+  const parsed = format ? dayjs(text, format, true) : dayjs(text.replace(/\//g, "-"));
+  return parsed.isValid() ? parsed : null;
+}
+
+/**
+ * Convert one cell into a field value
+ * @param {string|number|boolean} raw - Cell value (not empty)
+ * @param {Object} property - Field property from getFormFields
+ * @param {Object} entry - Normalized column mapping
+ * @returns {*} Field value
+ * @throws {Error} When the cell cannot be converted
+ */
+function convertValue(raw, property, entry) {
+  const mapValue = (value) => (entry.values && value in entry.values ? entry.values[value] : value);
+  const text = typeof raw === "string" ? raw.trim() : String(raw);
+
+  if (LIST_TYPES.includes(property.type)) {
+    const items = text
+      .split(entry.separator || ",")
+      .map((item) => mapValue(item.trim()))
+      .filter(Boolean);
+    if (OPTION_TYPES.includes(property.type)) {
+      const invalid = items.filter((item) => !(item in property.options));
+      if (invalid.length > 0) throw new Error(`"${invalid.join(", ")}" is not an option`);
+      return items;
+    }
+    return items.map((code) => ({ code }));
+  }
+
+  switch (property.type) {
+    case "NUMBER": {
+      const number = typeof raw === "number" ? raw : Number(text.replace(/[,\s]/g, ""));
+      if (!Number.isFinite(number)) throw new Error(`"${text}" is not a number`);
+      return String(number);
+    }
+    case "DATE": {
+      const date = parseDate(raw, entry.format);
+      if (!date) throw new Error(`"${text}" is not a date${entry.format ? ` (${entry.format})` : ""}`);
+      return date.format("YYYY-MM-DD");
+    }
+    case "TIME": {
+      if (typeof raw === "number") return fromExcelSerial(raw).format("HH:mm");
+      const time = dayjs(text, entry.format || ["H:mm", "H:mm:ss"], true);
+      if (!time.isValid()) throw new Error(`"${text}" is not a time`);
+      return time.format("HH:mm");
+    }
+    case "DATETIME": {
+      const dateTime = parseDate(raw, entry.format);
+      if (!dateTime) throw new Error(`"${text}" is not a date-time${entry.format ? ` (${entry.format})` : ""}`);
+      return dateTime.toISOString();
+    }
+    case "DROP_DOWN":
+    case "RADIO_BUTTON": {
+      const value = mapValue(text);
+      if (!(value in property.options)) throw new Error(`"${value}" is not an option`);
+      return value;
+    }
+    default:
+      return typeof raw === "string" ? raw : text;
+  }
+}
+
+/**
+ * Convert table rows into records
+ * @param {Array<Array<string|number|boolean|null>>} rows - Rows from readTable
+ * @param {Object} mapping - Mapping file contents
+ * @param {Object} properties - Field properties from getFormFields
+ * @param {Object} [options]
+ * @param {string} [options.keyField] - Field used to upsert
+ * @returns {{ records: Array<{ row: number, record: Object }>, errors: Array<{ row: number, messages: string[] }> }}
+ *   `row` is the 1-based row number in the spreadsheet
+ */
+export function convertRows(rows, mapping, properties, options = {}) {
+  const { keyField } = options;
+  const headerRow = mapping.headerRow || 1;
+  const header = (rows[headerRow - 1] || []).map((cell) => String(cell ?? "").trim());
+  const columns = normalizeColumns(mapping);
+
+  const missingColumns = columns.filter((entry) => !header.includes(entry.column));
+  if (missingColumns.length > 0) {
+    throw new Error(
+      `Columns not found in row ${headerRow}: ${missingColumns.map((entry) => entry.column).join(", ")}`
+    );
+  }
+
+  const records = [];
+  const errors = [];
+  rows.slice(headerRow).forEach((cells, i) => {
+    const row = headerRow + i + 1;
+    if (cells.every((cell) => cell === null || String(cell).trim() === "")) return;
+
+    const record = {};
+    const messages = [];
+    for (const entry of columns) {
+      const property = properties[entry.field];
+      const cell = cells[header.indexOf(entry.column)];
+      const raw = cell === null || cell === undefined || String(cell).trim() === "" ? entry.default : cell;
+
+      if (raw === undefined || raw === null || raw === "") {
+        if (entry.field === keyField) {
+          messages.push(`${entry.column}: key value is empty`);
+        } else if (property.required && !keyField) {
+          messages.push(`${entry.column}: ${entry.field} is required`);
+        }
+        continue;
+      }
+
+      try {
+        record[entry.field] = { value: convertValue(raw, property, entry) };
+      } catch (error) {
+        messages.push(`${entry.column}: ${error.message}`);
+      }
+    }
+
+    if (messages.length > 0) {
+      errors.push({ row, messages });
+    } else {
+      records.push({ row, record });
+    }
+  });
+
+  return { records, errors };
+}
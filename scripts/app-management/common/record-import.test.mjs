@@ -0,0 +1,24 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+import { convertRows } from "./record-import.mjs";
+import { readXlsx } from "./xlsx.mjs";
+
+const PROPERTIES = {
+  code: { type: "SINGLE_LINE_TEXT", code: "code" },
+  joined: { type: "DATE", code: "joined" },
+  amount: { type: "NUMBER", code: "amount" }
+};
+
+describe("convertRows", () => {
+  it("converts an Excel sheet and reports problems by its row numbers", () => {
+    const { rows } = readXlsx(readFileSync(new URL("./fixtures/excel-workbook.xlsx", import.meta.url)));
+    const { records, errors } = convertRows(rows, { columns: { code: "code", joined: "joined", amount: "amount" } }, PROPERTIES);
+
+    assert.deepEqual(records, [
+      { row: 2, record: { code: { value: "C001" }, joined: { value: "2024-01-01" }, amount: { value: "1200.5" } } },
+      { row: 6, record: { code: { value: "C003" }, joined: { value: "2024-01-02" }, amount: { value: "2401" } } }
+    ]);
+    assert.deepEqual(errors, [{ row: 3, messages: ['amount: "true" is not a number'] }]);
+  });
+});
@@ -0,0 +1,326 @@
+/**
+ * Record schemas built from getFormFields, and a validator for them
+ *
+ * A schema keeps the input rules of every field (required, length, value
+ * range, options, unique), so records can be checked before they are sent
+ * and every problem is reported at once, per record and field, instead of
+ * in kintone's `errors` payload one request at a time.
+ *
+ * Fields kintone fills in itself (record number, calculated, process
+ * management) cannot be set, so they are not in the schema; their codes are
+ * listed in `readOnly` and skipped, as exported records still contain them.
+ *
+ * gen:fields writes the schemas next to fields.d.ts (fields.schema.json).
+ * Uniqueness is only checked inside the records being validated; values
+ * already saved in the app are still checked by kintone.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs";
+import { dirname, resolve } from "path";
+import { RecordValidationError } from "./errors.mjs";
+
+/** Schema file written by gen:fields */
+export const RECORD_SCHEMA_PATH = "src/js/fields.schema.json";
+
+/** Field types whose value is a list */
+const LIST_TYPES = ["CHECK_BOX", "MULTI_SELECT", "USER_SELECT", "ORGANIZATION_SELECT", "GROUP_SELECT", "FILE"];
+
+/** Field types whose value is a user: { code } */
+const USER_TYPES = ["CREATOR", "MODIFIER"];
+
+/** Field types kintone sets itself, or that hold no value */
+const READ_ONLY_TYPES = [
+  "RECORD_NUMBER",
+  "CALC",
+  "STATUS",
+  "STATUS_ASSIGNEE",
+  "CATEGORY",
+  "__ID__",
+  "__REVISION__",
+  "GROUP",
+  "REFERENCE_TABLE"
+];
+
+/** Field types whose value must be one of the field's options */
+const OPTION_TYPES = ["DROP_DOWN", "RADIO_BUTTON", "CHECK_BOX", "MULTI_SELECT"];
+
+/** Number format kintone accepts: no thousands separators, spaces or units */
+const NUMBER_PATTERN = /^[+-]?(\d+(\.\d*)?|\.\d+)(e[+-]?\d+)?$/i;
+
+/**
+ * Build the schema of one field
+ * @param {Object} property - Field property from getFormFields
+ * @returns {Object}
+ */
+function buildFieldSchema(property) {
+  const field = { type: property.type };
+  if (property.label) field.label = property.label;
+  if (property.required) field.required = true;
+  if (property.unique) field.unique = true;
+
+  const defaultValue = property.defaultValue;
+  if (Array.isArray(defaultValue) ? defaultValue.length > 0 : defaultValue || property.defaultNowValue) {
+    field.hasDefault = true;
+  }
+
+  for (const key of ["minLength", "maxLength", "minValue", "maxValue"]) {
+    if (property[key] !== undefined && property[key] !== "") field[key] = Number(property[key]);
+  }
+  if (OPTION_TYPES.includes(property.type) && property.options) {
+    field.options = Object.values(property.options)
+      .sort((a, b) => Number(a.index) - Number(b.index))
+      .map((option) => option.label);
+  }
+  if (property.type === "SUBTABLE") {
+    const { fields, readOnly } = buildRecordSchema(property.fields);
+    field.fields = fields;
+    if (readOnly.length > 0) field.readOnly = readOnly;
+  }
+  return field;
+}
+
+/**
+ * Build a record schema from form fields
+ * @param {Object<string, Object>} properties - Field properties from getFormFields
+ * @returns {{ fields: Object<string, Object>, readOnly: string[] }}
+ */
+export function buildRecordSchema(properties) {
+  const fields = {};
+  const readOnly = [];
+  for (const property of Object.values(properties)) {
+    if (!property.code) continue;
+    if (READ_ONLY_TYPES.includes(property.type)) {
+      readOnly.push(property.code);
+    } else {
+      fields[property.code] = buildFieldSchema(property);
+    }
+  }
+  return { fields, readOnly };
+}
+
+/**
+ * Build the record schema of an app from its live form
+ * @param {import("@kintone/rest-api-client").KintoneRestAPIClient} client
+ * @param {string|number} appId - The app ID
+ * @returns {Promise<{ fields: Object<string, Object>, readOnly: string[] }>}
+ */
+export async function fetchRecordSchema(client, appId) {
+  const { properties } = await client.app.getFormFields({ app: appId });
+  return buildRecordSchema(properties);
+}
+
+/**
+ * Whether a field value counts as empty
+ * @param {*} value
+ * @returns {boolean}
+ */
+function isEmpty(value) {
+  return value === undefined || value === null || value === "" || (Array.isArray(value) && value.length === 0);
+}
+
+/**
+ * Check one field value against its schema
+ * @param {Object} field - Field schema
+ * @param {*} value - Field value
+ * @returns {string[]} Messages
+ */
+function checkValue(field, value) {
+  if (isEmpty(value)) {
+    return field.required ? ["Required"] : [];
+  }
+
+  const messages = [];
+  if (LIST_TYPES.includes(field.type) || field.type === "SUBTABLE") {
+    if (!Array.isArray(value)) return ["Must be an array"];
+  } else if (USER_TYPES.includes(field.type)) {
+    return typeof value === "object" && typeof value.code === "string" && value.code !== ""
+      ? []
+      : ['Must be an object with "code" (a user)'];
+  } else if (typeof value !== "string" && typeof value !== "number") {
+    return ["Must be a string"];
+  }
+
+  const text = String(value);
+  if (field.minLength !== undefined && [...text].length < field.minLength) {
+    messages.push(`Must be at least ${field.minLength} characters (${[...text].length})`);
+  }
+  if (field.maxLength !== undefined && [...text].length > field.maxLength) {
+    messages.push(`Must be ${field.maxLength} characters or fewer (${[...text].length})`);
+  }
+
+  if (field.type === "NUMBER") {
+    if (!NUMBER_PATTERN.test(text.trim())) {
+      messages.push(
+        /\d[,\s]\d/.test(text)
+          ? `"${text}" is not a number; write it without separators`
+          : `"${text}" is not a number`
+      );
+    } else {
+      const number = Number(text);
+      if (field.minValue !== undefined && number < field.minValue) messages.push(`Must be ${field.minValue} or more`);
+      if (field.maxValue !== undefined && number > field.maxValue) messages.push(`Must be ${field.maxValue} or less`);
+    }
+  }
+
+  if (field.options) {
+    const items = Array.isArray(value) ? value : [value];
+    const invalid = items.filter((item) => !field.options.includes(item));
+    if (invalid.length > 0) {
+      messages.push(`"${invalid.join(", ")}" is not an option (${field.options.join(", ")})`);
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Validate the fields of one record
+ * @param {Object<string, Object>} fields - Field schemas
+ * @param {string[]} readOnly - Codes of the fields that are not checked
+ * @param {Object} record - Record (field code -> { value })
+ * @param {boolean} partial - Only check the fields that are set (updates)
+ * @param {string} path - Path of the record, e.g. "records[0]"
+ * @returns {Array<{ field: string, key: string, message: string }>}
+ */
+function validateFields(fields, readOnly, record, partial, path) {
+  const violations = [];
+  const add = (field, key, messages) => {
+    messages.forEach((message) => violations.push({ field, key, message }));
+  };
+
+  for (const [code, entry] of Object.entries(record)) {
+    if (readOnly.includes(code)) continue;
+    if (!fields[code]) {
+      add(code, `${path}.${code}`, ["Not a field of the app"]);
+    } else if (!entry || typeof entry !== "object" || !("value" in entry)) {
+      add(code, `${path}.${code}`, ['Must be an object with "value"']);
+    }
+  }
+
+  for (const [code, field] of Object.entries(fields)) {
+    const entry = record[code];
+    const key = `${path}.${code}.value`;
+    if (!entry || typeof entry !== "object" || !("value" in entry)) {
+      // A missing field gets its default value, so only fields without one are required
+      if (!partial && entry === undefined && field.required && !field.hasDefault) add(code, key, ["Required"]);
+      continue;
+    }
+
+    const messages = checkValue(field, entry.value);
+    add(code, key, messages);
+    if (messages.length > 0 || field.type !== "SUBTABLE" || !Array.isArray(entry.value)) continue;
+
+    entry.value.forEach((row, i) => {
+      const rowPath = `${key}[${i}].value`;
+      if (!row || typeof row.value !== "object" || row.value === null) {
+        add(`${code}[${i}]`, `${key}[${i}]`, ['Row must be an object with "value"']);
+        return;
+      }
+      validateFields(field.fields, field.readOnly || [], row.value, false, rowPath).forEach((violation) =>
+        violations.push({ ...violation, field: `${code}[${i}].${violation.field}` })
+      );
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * Validate records against a record schema
+ * @param {{ fields: Object<string, Object>, readOnly?: string[] }} schema - From buildRecordSchema
+ * @param {Object[]} records - Records (field code -> { value })
+ * @param {Object} [options]
+ * @param {boolean} [options.partial=false] - Only check the fields that are set (updates)
+ * @param {(index: number) => string} [options.path] - Path of a record in the request
+ *   (default: records[<index>], like the keys of kintone's `errors`)
+ * @returns {Array<{ index: number, field: string, key: string, message: string }>} Violations
+ */
+export function validateRecords(schema, records, options = {}) {
+  const { partial = false, path = (index) => `records[${index}]` } = options;
+  const violations = [];
+
+  records.forEach((record, index) => {
+    validateFields(schema.fields, schema.readOnly || [], record || {}, partial, path(index)).forEach((violation) =>
+      violations.push({ index, ...violation })
+    );
+  });
+
+  // Unique values must also differ between the records sent together
+  for (const [code, field] of Object.entries(schema.fields)) {
+    if (!field.unique) continue;
+    const seen = new Map();
+    records.forEach((record, index) => {
+      const value = record?.[code]?.value;
+      if (isEmpty(value)) return;
+      const first = seen.get(String(value));
+      if (first === undefined) {
+        seen.set(String(value), index);
+        return;
+      }
+      violations.push({
+        index,
+        field: code,
+        key: `${path(index)}.${code}.value`,
+        message: `"${value}" is also in record #${first + 1}; the field must be unique`
+      });
+    });
+  }
+
+  return violations.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Format violations as one line each
+ * @param {{ fields: Object<string, Object> }} schema
+ * @param {Array<{ index: number, field: string, message: string }>} violations
+ * @returns {string[]}
+ */
+export function formatViolations(schema, violations) {
+  return violations.map(({ index, field, message }) => {
+    const label = schema.fields[field.split(/[.[]/)[0]]?.label;
+    return `#${index + 1} ${field}${label ? ` (${label})` : ""}: ${message}`;
+  });
+}
+
+/**
+ * Validate records and throw when any of them is invalid
+ * @param {{ fields: Object<string, Object> }} schema
+ * @param {Object[]} records
+ * @param {Object} [options] - Same as validateRecords
+ * @throws {RecordValidationError}
+ */
+export function assertValidRecords(schema, records, options = {}) {
+  const violations = validateRecords(schema, records, options);
+  if (violations.length === 0) return;
+
+  const invalid = new Set(violations.map((violation) => violation.index)).size;
+  const lines = formatViolations(schema, violations);
+  throw new RecordValidationError(
+    `${invalid} of ${records.length} record(s) are invalid; nothing was sent to kintone:\n  - ${lines.join("\n  - ")}`,
+    violations
+  );
+}
+
+/**
+ * Write record schemas into the schema file
+ * Schemas already in the file are kept unless `replace` is set.
+ * @param {string} rootDir - Project root
+ * @param {Map<string, Object>} schemas - Namespace -> schema
+ * @param {Object} [options]
+ * @param {string} [options.output=RECORD_SCHEMA_PATH] - Output file (relative to the project root)
+ * @param {boolean} [options.replace=false] - Drop the schemas not in `schemas`
+ * @returns {string} Absolute path
+ */
+export function writeRecordSchemas(rootDir, schemas, options = {}) {
+  const { output = RECORD_SCHEMA_PATH, replace = false } = options;
+  const outputPath = resolve(rootDir, output);
+
+  const merged = replace || !existsSync(outputPath) ? {} : JSON.parse(readFileSync(outputPath, "utf-8"));
+  for (const [namespace, schema] of schemas) {
+    merged[namespace] = schema;
+  }
+
+  mkdirSync(dirname(outputPath), { recursive: true });
+  writeFileSync(outputPath, `${JSON.stringify(merged, null, 2)}\n`, "utf-8");
+  return outputPath;
+}
@@ -0,0 +1,97 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { buildRecordSchema, validateRecords } from "./record-schema.mjs";
+
+// Form fields as returned by getFormFields
+const PROPERTIES = {
+  Record_number: { type: "RECORD_NUMBER", code: "Record_number", label: "Record number" },
+  Created_by: { type: "CREATOR", code: "Created_by", label: "Created by" },
+  Updated_by: { type: "MODIFIER", code: "Updated_by", label: "Updated by" },
+  Created_datetime: { type: "CREATED_TIME", code: "Created_datetime", label: "Created datetime" },
+  Status: { type: "STATUS", code: "Status", label: "Status", enabled: true },
+  Assignee: { type: "STATUS_ASSIGNEE", code: "Assignee", label: "Assignee", enabled: true },
+  Categories: { type: "CATEGORY", code: "Categories", label: "Categories", enabled: false },
+  total: { type: "CALC", code: "total", label: "Total", expression: "qty * 2" },
+  name: { type: "SINGLE_LINE_TEXT", code: "name", label: "Name", required: true, maxLength: "5" },
+  qty: { type: "NUMBER", code: "qty", label: "Quantity", minValue: "0", digit: true, displayScale: "0" },
+  items: {
+    type: "SUBTABLE",
+    code: "items",
+    fields: {
+      item: { type: "SINGLE_LINE_TEXT", code: "item", label: "Item" },
+      amount: { type: "CALC", code: "amount", label: "Amount", expression: "1" }
+    }
+  }
+};
+
+describe("buildRecordSchema", () => {
+  it("leaves out the fields kintone sets itself", () => {
+    const schema = buildRecordSchema(PROPERTIES);
+    assert.deepEqual(Object.keys(schema.fields), [
+      "Created_by",
+      "Updated_by",
+      "Created_datetime",
+      "name",
+      "qty",
+      "items"
+    ]);
+    assert.deepEqual(schema.readOnly, ["Record_number", "Status", "Assignee", "Categories", "total"]);
+    assert.deepEqual(Object.keys(schema.fields.items.fields), ["item"]);
+    assert.deepEqual(schema.fields.items.readOnly, ["amount"]);
+  });
+
+  it("keeps only the input rules of a number field", () => {
+    // digit (thousands separators) and displayScale only change how the value is shown
+    assert.deepEqual(buildRecordSchema(PROPERTIES).fields.qty, { type: "NUMBER", label: "Quantity", minValue: 0 });
+  });
+});
+
+describe("validateRecords", () => {
+  const schema = buildRecordSchema(PROPERTIES);
+
+  it("accepts users in CREATOR and MODIFIER fields", () => {
+    const records = [
+      {
+        name: { value: "a" },
+        Created_by: { value: { code: "sato" } },
+        Updated_by: { value: { code: "sato", name: "Sato" } }
+      }
+    ];
+    assert.deepEqual(validateRecords(schema, records), []);
+  });
+
+  it("rejects a CREATOR value that is not a user", () => {
+    const violations = validateRecords(schema, [{ name: { value: "a" }, Created_by: { value: "sato" } }]);
+    assert.deepEqual(
+      violations.map(({ field, message }) => ({ field, message })),
+      [{ field: "Created_by", message: 'Must be an object with "code" (a user)' }]
+    );
+  });
+
+  it("skips the read-only fields of exported records", () => {
+    const records = [
+      {
+        Record_number: { value: "12" },
+        Status: { value: "Done" },
+        Assignee: { value: [{ code: "sato" }] },
+        total: { value: "4" },
+        name: { value: "a" },
+        items: { value: [{ id: "1", value: { item: { value: "x" }, amount: { value: "1" } } }] }
+      }
+    ];
+    assert.deepEqual(validateRecords(schema, records), []);
+  });
+
+  it("reports every problem of every record", () => {
+    const records = [{ name: { value: "toolong" }, qty: { value: "-1" } }, { qty: { value: "1,000" } }];
+    assert.deepEqual(
+      validateRecords(schema, records).map(({ index, field, message }) => [index, field, message]),
+      [
+        [0, "name", "Must be 5 characters or fewer (7)"],
+        [0, "qty", "Must be 0 or more"],
+        [1, "name", "Required"],
+        [1, "qty", '"1,000" is not a number; write it without separators']
+      ]
+    );
+  });
+});
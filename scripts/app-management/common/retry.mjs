@@ -0,0 +1,179 @@
+/**
+ * Retry, backoff and concurrency control for the kintone REST API client
+ *
+ * Requests are retried at the HTTP layer, so composite methods such as
+ * addAllRecords only resend the request that failed, not the chunks that
+ * already succeeded.
+ */
+
+/** HTTP statuses that are safe to retry (rate limit and temporary outages) */
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+
+/** kintone error codes that are safe to retry (concurrent request limit) */
+const RETRYABLE_CODES = ["GAIA_TM12"];
+
+/** Network errors that are retried for read-only requests */
+const NETWORK_ERROR_CODES = ["ECONNRESET", "ETIMEDOUT", "ECONNREFUSED", "EAI_AGAIN", "EPIPE"];
+
+/** HttpClient methods that never change data */
+const READ_METHODS = ["get", "getData"];
+
+const DEFAULT_RETRY_CONFIG = {
+  maxRetries: 3,
+  baseDelayMs: 1000,
+  maxDelayMs: 30000,
+  maxConcurrency: 10
+};
+
+/**
+ * Read retry settings from environment
+ * - KINTONE_RETRY_MAX: Maximum retries per request (default: 3, 0 disables)
+ * - KINTONE_RETRY_BASE_DELAY_MS: First backoff delay (default: 1000)
+ * - KINTONE_RETRY_MAX_DELAY_MS: Upper bound of a backoff delay (default: 30000)
+ * - KINTONE_MAX_CONCURRENCY: Maximum requests in flight per process (default: 10)
+ * @param {Object} env - Environment variables object
+ * @returns {{ maxRetries: number, baseDelayMs: number, maxDelayMs: number, maxConcurrency: number }}
+ */
+export function getRetryConfig(env) {
+  const toNumber = (value, fallback) => {
+    const number = Number(value);
+    return value !== undefined && value !== "" && Number.isFinite(number) && number >= 0
+      ? number
+      : fallback;
+  };
+
+  return {
+    maxRetries: toNumber(env.KINTONE_RETRY_MAX, DEFAULT_RETRY_CONFIG.maxRetries),
+    baseDelayMs: toNumber(env.KINTONE_RETRY_BASE_DELAY_MS, DEFAULT_RETRY_CONFIG.baseDelayMs),
+    maxDelayMs: toNumber(env.KINTONE_RETRY_MAX_DELAY_MS, DEFAULT_RETRY_CONFIG.maxDelayMs),
+    maxConcurrency:
+      toNumber(env.KINTONE_MAX_CONCURRENCY, DEFAULT_RETRY_CONFIG.maxConcurrency) ||
+      DEFAULT_RETRY_CONFIG.maxConcurrency
+  };
+}
+
+// Process-wide limiter shared by every client
+const limiter = { max: DEFAULT_RETRY_CONFIG.maxConcurrency, active: 0, queue: [] };
+
+/**
+ * Run a task once a concurrency slot is free
+ * @template T
+ * @param {() => Promise<T>} task
+ * @returns {Promise<T>}
+ */
+async function runLimited(task) {
+  if (limiter.active >= limiter.max) {
+    // A finishing request hands its slot over to the next one in the queue
+    await new Promise((resolve) => limiter.queue.push(resolve));
+  } else {
+    limiter.active++;
+  }
+  try {
+    return await task();
+  } finally {
+    const next = limiter.queue.shift();
+    if (next) {
+      next();
+    } else {
+      limiter.active--;
+    }
+  }
+}
+
+/**
+ * HTTP status of a failed request
+ * An error response whose body is not JSON (e.g. a gateway 503 page) is
+ * thrown by the client as a plain Error("503: Service Unavailable").
+ * @param {Error} error
+ * @returns {number|undefined}
+ */
+function getStatus(error) {
+  if (error?.status) return error.status;
+  const match = typeof error?.message === "string" && error.message.match(/^(\d{3}): /);
+  return match ? Number(match[1]) : undefined;
+}
+
+/**
+ * Whether a failed request may be sent again
+ * @param {Error} error
+ * @param {string} method - HttpClient method name
+ * @returns {boolean}
+ */
+function isRetryable(error, method) {
+  if (RETRYABLE_STATUSES.includes(getStatus(error)) || RETRYABLE_CODES.includes(error?.code)) {
+    return true;
+  }
+  // Without a response we cannot tell whether a write reached kintone
+  return READ_METHODS.includes(method) && NETWORK_ERROR_CODES.includes(error?.code);
+}
+
+/**
+ * Compute the wait before the next attempt
+ * Uses exponential backoff with jitter, and never waits less than the
+ * Retry-After header of a rate-limit response.
+ * @param {Error} error
+ * @param {number} attempt - Retry number (1-based)
+ * @param {{ baseDelayMs: number, maxDelayMs: number }} config
+ * @returns {number} Delay in milliseconds
+ */
+function getDelayMs(error, attempt, config) {
+  const backoff = Math.min(config.maxDelayMs, config.baseDelayMs * 2 ** (attempt - 1));
+  const jittered = backoff / 2 + Math.random() * (backoff / 2);
+
+  const retryAfter = Number(error?.headers?.["retry-after"]);
+  if (Number.isFinite(retryAfter) && retryAfter > 0) {
+    return Math.max(jittered, retryAfter * 1000);
+  }
+  return jittered;
+}
+
+/**
+ * Add retries and the concurrency cap to a KintoneRestAPIClient in place
+ * @param {import("@kintone/rest-api-client").KintoneRestAPIClient} client
+ * @param {Object} config - Settings from getRetryConfig
+ * @param {Object} [options]
+ * @param {boolean} [options.silent=false] - Whether to suppress retry logs
+ * @returns {import("@kintone/rest-api-client").KintoneRestAPIClient} The same client
+ */
+export function applyRetry(client, config, options = {}) {
+  const { silent = false } = options;
+  // Every sub-client (record, app, file, bulkRequest, ...) shares this HttpClient
+  const httpClient = client.record?.client;
+  if (!httpClient) return client;
+
+  limiter.max = config.maxConcurrency;
+
+  ["get", "getData", "post", "put", "delete", "postData"].forEach((method) => {
+    const original = httpClient[method].bind(httpClient);
+
+    // Multipart uploads stream their body, so they cannot be resent
+    if (method === "postData") {
+      httpClient[method] = (...args) => runLimited(() => original(...args));
+      return;
+    }
+
+    httpClient[method] = async (path, params) => {
+      for (let attempt = 1; ; attempt++) {
+        try {
+          return await runLimited(() => original(path, params));
+        } catch (error) {
+          if (attempt > config.maxRetries || !isRetryable(error, method)) {
+            throw error;
+          }
+          const delayMs = getDelayMs(error, attempt, config);
+          if (!silent) {
+            const verb = method.replace("Data", "").toUpperCase();
+            const status = getStatus(error);
+            const reason = status ? `HTTP ${status}${error.code ? ` ${error.code}` : ""}` : error.code;
+            console.log(
+              `   ⚠️  ${verb} ${path} failed (${reason}), retry ${attempt}/${config.maxRetries} in ${(delayMs / 1000).toFixed(1)}s`
+            );
+          }
+          await new Promise((resolve) => setTimeout(resolve, delayMs));
+        }
+      }
+    };
+  });
+
+  return client;
+}
@@ -0,0 +1,71 @@
+import assert from "node:assert/strict";
+import { describe, it } from "node:test";
+import { applyRetry } from "./retry.mjs";
+
+const CONFIG = { maxRetries: 2, baseDelayMs: 0, maxDelayMs: 0, maxConcurrency: 10 };
+
+/**
+ * Client whose HttpClient fails with the given errors, then succeeds
+ * @param {Error[]} errors
+ */
+function createClient(errors) {
+  const calls = [];
+  const respond = async (path) => {
+    calls.push(path);
+    const error = errors.shift();
+    if (error) throw error;
+    return { ok: true };
+  };
+  const httpClient = { get: respond, getData: respond, post: respond, put: respond, delete: respond, postData: respond };
+  const client = applyRetry({ record: { client: httpClient } }, CONFIG, { silent: true });
+  return { httpClient: client.record.client, calls };
+}
+
+describe("applyRetry", () => {
+  it("retries a kintone error with a retryable status", async () => {
+    const error = Object.assign(new Error("[503] unavailable"), { status: 503 });
+    const { httpClient, calls } = createClient([error]);
+    assert.deepEqual(await httpClient.post("/k/v1/record.json", {}), { ok: true });
+    assert.equal(calls.length, 2);
+  });
+
+  it("retries a 502/503/504 whose body is not JSON", async () => {
+    for (const status of [502, 503, 504]) {
+      const { httpClient, calls } = createClient([new Error(`${status}: Service Unavailable`)]);
+      assert.deepEqual(await httpClient.put("/k/v1/record.json", {}), { ok: true });
+      assert.equal(calls.length, 2);
+    }
+  });
+
+  it("retries the concurrent request limit error", async () => {
+    const error = Object.assign(new Error("too many requests"), { code: "GAIA_TM12", status: 403 });
+    const { httpClient, calls } = createClient([error]);
+    await httpClient.get("/k/v1/records.json", {});
+    assert.equal(calls.length, 2);
+  });
+
+  it("does not retry other errors", async () => {
+    const { httpClient, calls } = createClient([new Error("400: Bad Request")]);
+    await assert.rejects(httpClient.get("/k/v1/app.json", {}), /400: Bad Request/);
+    assert.equal(calls.length, 1);
+  });
+
+  it("retries network errors of read requests only", async () => {
+    const reset = () => Object.assign(new Error("socket hang up"), { code: "ECONNRESET" });
+
+    const read = createClient([reset()]);
+    await read.httpClient.get("/k/v1/app.json", {});
+    assert.equal(read.calls.length, 2);
+
+    const write = createClient([reset()]);
+    await assert.rejects(write.httpClient.post("/k/v1/record.json", {}), /socket hang up/);
+    assert.equal(write.calls.length, 1);
+  });
+
+  it("gives up after maxRetries", async () => {
+    const errors = Array.from({ length: 5 }, () => new Error("503: Service Unavailable"));
+    const { httpClient, calls } = createClient(errors);
+    await assert.rejects(httpClient.get("/k/v1/app.json", {}), /503/);
+    assert.equal(calls.length, CONFIG.maxRetries + 1);
+  });
+});
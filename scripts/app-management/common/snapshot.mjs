@@ -0,0 +1,478 @@
+/**
+ * App snapshot folder layout shared by the snapshot scripts
+ *
+ * A snapshot stores every app setting in its own JSON file with sorted keys
+ * and without revisions, so exporting an unchanged app produces no git diff.
+ */
+
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "fs";
+import { dirname, resolve } from "path";
+import { describePropertyChanges, diffByKey, diffObjects } from "./dry-run.mjs";
+
+/** Field types that updateFormFields cannot change; left out of plans */
+const IGNORED_FIELD_TYPES = ["__ID__", "__REVISION__", "STATUS", "STATUS_ASSIGNEE", "CATEGORY"];
+
+/** Field types every app has; matched by type because their codes differ between apps */
+const BUILT_IN_FIELD_TYPES = ["RECORD_NUMBER", "CREATOR", "CREATED_TIME", "MODIFIER", "UPDATED_TIME"];
+
+/** @param {{ entity: { type: string, code?: string } }} entry */
+const entityKey = (entry) => [entry.entity.type, entry.entity.code].filter(Boolean).join(":");
+
+/**
+ * Drop the app-specific `id` of views and graphs
+ * @param {Object} items - Views or reports keyed by name
+ * @returns {Object}
+ */
+const withoutIds = (items) =>
+  Object.fromEntries(Object.entries(items || {}).map(([name, { id, ...item }]) => [name, item]));
+
+/**
+ * Form fields that a snapshot manages, keyed for comparison
+ * @param {Object} properties - Field properties from getFormFields
+ * @returns {Map<string, Object>} Field code (field type for built-in fields) -> property
+ */
+export function getManagedFields(properties) {
+  return new Map(
+    Object.values(properties || {})
+      .filter((property) => !IGNORED_FIELD_TYPES.includes(property.type))
+      .map((property) => [
+        BUILT_IN_FIELD_TYPES.includes(property.type) ? property.type : property.code,
+        property
+      ])
+  );
+}
+
+/**
+ * Describe a layout row for plans
+ * @param {Object} row - Layout row (ROW, SUBTABLE or GROUP)
+ * @returns {string} e.g. "ROW: customer_name, phone"
+ */
+function describeLayoutRow(row) {
+  const codes = row.type === "ROW" ? (row.fields || []).map((field) => field.code || field.type) : [row.code];
+  return `${row.type}: ${codes.join(", ")}`;
+}
+
+/**
+ * Compare two form layouts row by row
+ * @param {Array} before - Current layout
+ * @param {Array} after - Snapshot layout
+ * @returns {{ added: string[], removed: string[], changed: string[] }}
+ */
+function diffLayout(before, after) {
+  const diff = { added: [], removed: [], changed: [] };
+  for (let i = 0; i < Math.max(before.length, after.length); i++) {
+    if (!before[i]) {
+      diff.added.push(`row ${i + 1} (${describeLayoutRow(after[i])})`);
+    } else if (!after[i]) {
+      diff.removed.push(`row ${i + 1} (${describeLayoutRow(before[i])})`);
+    } else if (JSON.stringify(sortKeys(before[i])) !== JSON.stringify(sortKeys(after[i]))) {
+      diff.changed.push(`row ${i + 1} (${describeLayoutRow(after[i])})`);
+    }
+  }
+  return diff;
+}
+
+/**
+ * Settings changes as a diff (changed entries are "key: old → new" lines)
+ * @param {Object} before - Current settings
+ * @param {Object} after - Snapshot settings
+ * @returns {{ added: string[], removed: string[], changed: string[] }}
+ */
+const settingsDiff = (before, after) => ({
+  added: [],
+  removed: [],
+  changed: describePropertyChanges(before, after)
+});
+
+/**
+ * Parts of a snapshot, in dependency order (fields before the settings that use them)
+ * - file: path inside the snapshot folder
+ * - label: name shown in logs
+ * - fetch: reads the part from kintone (params is { app, preview? })
+ * - diff: compares current and snapshot data, returns [{ label, diff }]; missing when the part is not applied
+ * - apply: writes the snapshot data to the pre-live settings (fields use applySnapshotFields)
+ */
+export const SNAPSHOT_PARTS = [
+  {
+    file: "fields.json",
+    label: "Form fields",
+    fetch: (client, params) => client.app.getFormFields(params),
+    diff: (current, desired) => {
+      const before = getManagedFields(current.properties);
+      const after = getManagedFields(desired.properties);
+      return [{ label: "Fields", diff: diffByKey([...before], [...after], ([key]) => key) }];
+    }
+  },
+  {
+    file: "layout.json",
+    label: "Form layout",
+    fetch: (client, params) => client.app.getFormLayout(params),
+    diff: (current, desired) => [{ label: "Layout rows", diff: diffLayout(current.layout, desired.layout) }],
+    apply: (client, app, desired) => client.app.updateFormLayout({ app, layout: desired.layout })
+  },
+  {
+    file: "app.json",
+    label: "App settings",
+    fetch: (client, params) => client.app.getAppSettings(params),
+    // An uploaded icon is stored by name only and cannot be applied
+    diff: (current, desired) => {
+      const { icon, ...settings } = desired;
+      const after = icon?.type === "FILE" ? settings : desired;
+      return [{ label: "App settings", diff: settingsDiff(current, after) }];
+    },
+    apply: (client, app, desired) => {
+      const { icon, ...settings } = desired;
+      return client.app.updateAppSettings({ app, ...settings, ...(icon?.type === "FILE" ? {} : { icon }) });
+    }
+  },
+  {
+    file: "views.json",
+    label: "Views",
+    fetch: (client, params) => client.app.getViews(params),
+    diff: (current, desired) => [
+      { label: "Views", diff: diffObjects(withoutIds(current.views), withoutIds(desired.views)) }
+    ],
+    apply: (client, app, desired) => client.app.updateViews({ app, views: withoutIds(desired.views) })
+  },
+  {
+    file: "reports.json",
+    label: "Reports",
+    fetch: (client, params) => client.app.getReports(params),
+    diff: (current, desired) => [
+      { label: "Reports", diff: diffObjects(withoutIds(current.reports), withoutIds(desired.reports)) }
+    ],
+    apply: (client, app, desired) => client.app.updateReports({ app, reports: withoutIds(desired.reports) })
+  },
+  {
+    file: "process.json",
+    label: "Process management",
+    fetch: (client, params) => client.app.getProcessManagement(params),
+    diff: (current, desired) => [
+      { label: "Process settings", diff: settingsDiff({ enable: current.enable }, { enable: desired.enable }) },
+      { label: "States", diff: diffObjects(current.states || {}, desired.states || {}) },
+      {
+        label: "Actions",
+        diff: diffByKey(current.actions || [], desired.actions || [], (action) => action.name)
+      }
+    ],
+    apply: (client, app, desired) => client.app.updateProcessManagement({ app, ...desired })
+  },
+  {
+    file: "acl/app.json",
+    label: "App permissions",
+    fetch: (client, params) => client.app.getAppAcl(params),
+    diff: (current, desired) => [
+      { label: "App permission entries", diff: diffByKey(current.rights, desired.rights, entityKey) }
+    ],
+    apply: (client, app, desired) => client.app.updateAppAcl({ app, rights: desired.rights })
+  },
+  {
+    file: "acl/field.json",
+    label: "Field permissions",
+    fetch: (client, params) => client.app.getFieldAcl(params),
+    diff: (current, desired) => [
+      {
+        label: "Field permission rules",
+        diff: diffByKey(current.rights, desired.rights, (right) => right.code)
+      }
+    ],
+    apply: (client, app, desired) => client.app.updateFieldAcl({ app, rights: desired.rights })
+  },
+  {
+    file: "acl/record.json",
+    label: "Record permissions",
+    fetch: (client, params) => client.app.getRecordAcl(params),
+    diff: (current, desired) => [
+      {
+        label: "Record permission rules",
+        diff: diffByKey(current.rights, desired.rights, (right) => right.filterCond || "(all records)")
+      }
+    ],
+    apply: (client, app, desired) => client.app.updateRecordAcl({ app, rights: desired.rights })
+  },
+  {
+    file: "notifications/general.json",
+    label: "General notifications",
+    fetch: (client, params) => client.app.getGeneralNotifications(params),
+    diff: (current, desired) => {
+      const { notifications, ...settings } = desired;
+      return [
+        { label: "General notification settings", diff: settingsDiff(current, settings) },
+        {
+          label: "General notification entries",
+          diff: diffByKey(current.notifications, notifications, entityKey)
+        }
+      ];
+    },
+    apply: (client, app, desired) => client.app.updateGeneralNotifications({ app, ...desired })
+  },
+  {
+    file: "notifications/per-record.json",
+    label: "Per-record notifications",
+    fetch: (client, params) => client.app.getPerRecordNotifications(params),
+    diff: (current, desired) => [
+      {
+        label: "Per-record notification entries",
+        diff: diffByKey(
+          current.notifications,
+          desired.notifications,
+          (entry) => entry.title || entry.filterCond || "(all records)"
+        )
+      }
+    ],
+    apply: (client, app, desired) => client.app.updatePerRecordNotifications({ app, ...desired })
+  },
+  {
+    file: "notifications/reminder.json",
+    label: "Reminder notifications",
+    fetch: (client, params) => client.app.getReminderNotifications(params),
+    diff: (current, desired) => {
+      const { notifications, ...settings } = desired;
+      return [
+        { label: "Reminder settings", diff: settingsDiff(current, settings) },
+        {
+          label: "Reminder entries",
+          diff: diffByKey(
+            current.notifications,
+            notifications,
+            (entry) => entry.title || entry.timing?.code || "(untitled)"
+          )
+        }
+      ];
+    },
+    apply: (client, app, desired) => client.app.updateReminderNotifications({ app, ...desired })
+  },
+  {
+    file: "customize.json",
+    label: "JS/CSS customization",
+    fetch: (client, params) => client.app.getAppCustomize(params)
+  }
+];
+
+/** Manifest file written at the top of every snapshot folder */
+export const SNAPSHOT_MANIFEST = "snapshot.json";
+
+/**
+ * Copy a value with object keys sorted at every level
+ * Array order is kept, since it is meaningful (layout rows, process actions, ...).
+ * @param {*} value
+ * @returns {*}
+ */
+export function sortKeys(value) {
+  if (Array.isArray(value)) return value.map(sortKeys);
+  if (value && typeof value === "object") {
+    return Object.fromEntries(
+      Object.keys(value)
+        .sort()
+        .map((key) => [key, sortKeys(value[key])])
+    );
+  }
+  return value;
+}
+
+/**
+ * Prepare an API response for a snapshot file
+ * Drops the revision and the one-time download keys of uploaded files.
+ * @param {Object} response - Response of a getter
+ * @returns {Object}
+ */
+export function normalizeSnapshotPart(response) {
+  const { revision, ...rest } = response;
+  const stripFileKeys = (value) => {
+    if (Array.isArray(value)) return value.map(stripFileKeys);
+    if (value && typeof value === "object") {
+      return Object.fromEntries(
+        Object.entries(value)
+          .filter(([key]) => key !== "fileKey")
+          .map(([key, item]) => [key, stripFileKeys(item)])
+      );
+    }
+    return value;
+  };
+  return sortKeys(stripFileKeys(rest));
+}
+
+/**
+ * Write a JSON file inside a snapshot folder
+ * @param {string} dir - Snapshot folder
+ * @param {string} file - Path inside the folder
+ * @param {*} data
+ */
+export function writeSnapshotFile(dir, file, data) {
+  const filePath = resolve(dir, file);
+  mkdirSync(dirname(filePath), { recursive: true });
+  writeFileSync(filePath, `${JSON.stringify(data, null, 2)}\n`, "utf-8");
+}
+
+/**
+ * Read a snapshot folder
+ * @param {string} dir - Snapshot folder
+ * @returns {{ manifest: Object, parts: Object<string, Object> }} parts keyed by file
+ */
+export function readSnapshot(dir) {
+  const manifestPath = resolve(dir, SNAPSHOT_MANIFEST);
+  if (!existsSync(manifestPath)) {
+    throw new Error(`${manifestPath} not found. Create the folder with snapshot:export first`);
+  }
+
+  const manifest = JSON.parse(readFileSync(manifestPath, "utf-8"));
+  const parts = {};
+  for (const part of SNAPSHOT_PARTS) {
+    const filePath = resolve(dir, part.file);
+    if (existsSync(filePath)) {
+      parts[part.file] = JSON.parse(readFileSync(filePath, "utf-8"));
+    }
+  }
+  return { manifest, parts };
+}
+
+/**
+ * Fetch the parts of an app that a snapshot holds, normalized like snapshot files
+ * @param {import("@kintone/rest-api-client").KintoneRestAPIClient} client
+ * @param {string|number} appId - The app ID
+ * @param {Object} [options]
+ * @param {boolean} [options.preview=true] - Read pre-live settings
+ * @returns {Promise<Object<string, Object>>} Parts keyed by file
+ */
+export async function fetchSnapshotParts(client, appId, options = {}) {
+  const { preview = true } = options;
+  const params = { app: appId };
+  if (preview) params.preview = true;
+
+  const parts = {};
+  for (const part of SNAPSHOT_PARTS) {
+    parts[part.file] = normalizeSnapshotPart(await part.fetch(client, params));
+  }
+  return parts;
+}
+
+/**
+ * Compare an app with a snapshot
+ * Parts missing from the snapshot folder, and parts without a diff
+ * (customize.json), are left out.
+ * @param {Object<string, Object>} current - Parts of the app (see fetchSnapshotParts)
+ * @param {Object<string, Object>} desired - Parts of the snapshot (see readSnapshot)
+ * @returns {{ changes: Array<{ file: string, label: string, sections: Array<{ label: string, diff: { added: string[], changed: string[], removed: string[] } }> }>, totals: { added: number, changed: number, removed: number } }}
+ */
+export function planSnapshot(current, desired) {
+  const changes = [];
+  const totals = { added: 0, changed: 0, removed: 0 };
+
+  for (const part of SNAPSHOT_PARTS) {
+    if (!part.diff || !desired[part.file]) continue;
+    const sections = part
+      .diff(current[part.file], desired[part.file])
+      .filter(({ diff }) => diff.added.length + diff.changed.length + diff.removed.length > 0);
+    if (sections.length === 0) continue;
+
+    sections.forEach(({ diff }) => {
+      totals.added += diff.added.length;
+      totals.changed += diff.changed.length;
+      totals.removed += diff.removed.length;
+    });
+    changes.push({ file: part.file, label: part.label, sections });
+  }
+
+  return { changes, totals };
+}
+
+/**
+ * Format a plan as terraform-style lines
+ * @param {ReturnType<typeof planSnapshot>} plan
+ * @returns {string[]}
+ */
+export function formatPlan(plan) {
+  const { changes, totals } = plan;
+  if (changes.length === 0) return ["No changes. The app matches the snapshot."];
+
+  const lines = [];
+  for (const { file, sections } of changes) {
+    lines.push(`# ${file}`);
+    for (const { label, diff } of sections) {
+      diff.added.forEach((key) => lines.push(`  + ${label}: ${key}`));
+      diff.changed.forEach((key) => lines.push(`  ~ ${label}: ${key}`));
+      diff.removed.forEach((key) => lines.push(`  - ${label}: ${key}`));
+    }
+  }
+  lines.push(`Plan: ${totals.added} to add, ${totals.changed} to change, ${totals.removed} to remove.`);
+  return lines;
+}
+
+/**
+ * Write the parts of a plan to an app, in the order of SNAPSHOT_PARTS
+ * On failure the error gets an `applied` property listing the files written.
+ * @param {import("@kintone/rest-api-client").KintoneRestAPIClient} client
+ * @param {string|number} app - The app ID
+ * @param {Object<string, Object>} current - Parts of the app (see fetchSnapshotParts)
+ * @param {Object<string, Object>} desired - Parts of the snapshot
+ * @param {Object} [options]
+ * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @returns {Promise<{ applied: string[], fields?: { added: string[], updated: string[], deleted: string[] } }>}
+ */
+export async function applySnapshotParts(client, app, current, desired, options = {}) {
+  const { silent = false } = options;
+  const changedFiles = new Set(planSnapshot(current, desired).changes.map(({ file }) => file));
+  const result = { applied: [] };
+
+  try {
+    for (const part of SNAPSHOT_PARTS) {
+      if (!changedFiles.has(part.file)) continue;
+      if (part.file === "fields.json") {
+        result.fields = await applySnapshotFields(client, app, current[part.file], desired[part.file]);
+      } else {
+        await part.apply(client, app, desired[part.file]);
+      }
+      result.applied.push(part.file);
+      if (!silent) console.log(`   ✓ ${part.label}`);
+    }
+  } catch (error) {
+    error.applied = result.applied;
+    throw error;
+  }
+
+  return result;
+}
+
+/**
+ * Add, update and delete form fields so the app matches a snapshot
+ * Runs before the other parts are applied, so the layout, views and
+ * permissions only ever refer to fields that exist.
+ * @param {import("@kintone/rest-api-client").KintoneRestAPIClient} client
+ * @param {string|number} app - The app ID
+ * @param {Object} current - Current fields.json part
+ * @param {Object} desired - Snapshot fields.json part
+ * @returns {Promise<{ added: string[], updated: string[], deleted: string[] }>} Field codes
+ */
+export async function applySnapshotFields(client, app, current, desired) {
+  const before = getManagedFields(current.properties);
+  const after = getManagedFields(desired.properties);
+  const { added, changed, removed } = diffByKey([...before], [...after], ([key]) => key);
+
+  // Fields removed from a table that is kept are deleted by their own code
+  const removedInTables = changed
+    .filter((key) => after.get(key).type === "SUBTABLE")
+    .flatMap((key) =>
+      Object.keys(before.get(key).fields || {}).filter((code) => !after.get(key).fields?.[code])
+    );
+
+  const result = {
+    added: added.map((key) => after.get(key).code),
+    updated: changed.map((key) => after.get(key).code),
+    deleted: [...removed.map((key) => before.get(key).code), ...removedInTables]
+  };
+
+  if (added.length > 0) {
+    const properties = Object.fromEntries(added.map((key) => [key, after.get(key)]));
+    await client.app.addFormFields({ app, properties });
+  }
+  if (changed.length > 0) {
+    // Keyed by the current code, so built-in fields can be renamed too
+    const properties = Object.fromEntries(changed.map((key) => [before.get(key).code, after.get(key)]));
+    await client.app.updateFormFields({ app, properties });
+  }
+  if (result.deleted.length > 0) {
+    await client.app.deleteFormFields({ app, fields: result.deleted });
+  }
+
+  return result;
+}
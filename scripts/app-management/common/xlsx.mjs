@@ -0,0 +1,368 @@
+/**
+ * Minimal XLSX (Office Open XML spreadsheet) reader and writer
+ *
+ * Handles plain worksheets with string, number and boolean cells, which is
+ * all the record export and import need, without pulling in a spreadsheet
+ * library. Formatting, formulas and merged cells are ignored.
+ */
+
+import { deflateRawSync, inflateRawSync } from "zlib";
+
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Compute the CRC-32 checksum used by ZIP entries
+ * @param {Buffer} buffer
+ * @returns {number}
+ */
+function crc32(buffer) {
+  let crc = 0xffffffff;
+  for (const byte of buffer) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Pack files into a ZIP archive (deflate compression)
+ * @param {Array<{ name: string, data: string|Buffer }>} files
+ * @returns {Buffer}
+ */
+function createZip(files) {
+  const localParts = [];
+  const centralParts = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = Buffer.from(file.name, "utf-8");
+    const data = Buffer.isBuffer(file.data) ? file.data : Buffer.from(file.data, "utf-8");
+    const compressed = deflateRawSync(data);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0); // local file header signature
+    local.writeUInt16LE(20, 4); // version needed
+    local.writeUInt16LE(0x0800, 6); // UTF-8 file names
+    local.writeUInt16LE(8, 8); // deflate
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(compressed.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0); // central directory signature
+    central.writeUInt16LE(20, 4); // version made by
+    central.writeUInt16LE(20, 6); // version needed
+    central.writeUInt16LE(0x0800, 8);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(compressed.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    central.writeUInt32LE(offset, 42);
+
+    localParts.push(local, name, compressed);
+    centralParts.push(central, name);
+    offset += local.length + name.length + compressed.length;
+  }
+
+  const centralSize = centralParts.reduce((size, part) => size + part.length, 0);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0); // end of central directory signature
+  end.writeUInt16LE(files.length, 8);
+  end.writeUInt16LE(files.length, 10);
+  end.writeUInt32LE(centralSize, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...localParts, ...centralParts, end]);
+}
+
+/**
+ * Escape text for XML content and attributes
+ * Control characters that XML 1.0 cannot represent are dropped.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000b\u000c\u000e-\u001f]/g, "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+/**
+ * Convert a zero-based column index to a column name (0 -> A, 26 -> AA)
+ * @param {number} index
+ * @returns {string}
+ */
+function columnName(index) {
+  let name = "";
+  for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+    name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+  }
+  return name;
+}
+
+/**
+ * Make sheet names valid and unique (max 31 characters, no []:*?/\)
+ * @param {string[]} names
+ * @returns {string[]}
+ */
+function toSheetNames(names) {
+  const used = new Set();
+  return names.map((name, i) => {
+    const base = String(name || `Sheet${i + 1}`).replace(/[[\]:*?/\\]/g, "_").slice(0, 31);
+    let unique = base;
+    for (let n = 2; used.has(unique.toLowerCase()); n++) {
+      unique = `${base.slice(0, 31 - String(n).length - 1)}~${n}`;
+    }
+    used.add(unique.toLowerCase());
+    return unique;
+  });
+}
+
+/**
+ * Build the XML of one worksheet
+ * @param {Array<Array<string|number|null>>} rows - First row is the header
+ * @returns {string}
+ */
+function buildSheetXml(rows) {
+  const rowsXml = rows
+    .map((row, r) => {
+      const cells = row
+        .map((value, c) => {
+          const ref = `${columnName(c)}${r + 1}`;
+          if (value === null || value === undefined || value === "") return "";
+          if (typeof value === "number" && Number.isFinite(value)) {
+            return `<c r="${ref}"><v>${value}</v></c>`;
+          }
+          return `<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(value)}</t></is></c>`;
+        })
+        .join("");
+      return `<row r="${r + 1}">${cells}</row>`;
+    })
+    .join("");
+
+  return (
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>' +
+    `<sheetData>${rowsXml}</sheetData>` +
+    "</worksheet>"
+  );
+}
+
+/**
+ * Build an XLSX workbook
+ * @param {Array<{ name: string, rows: Array<Array<string|number|null>> }>} sheets
+ * @returns {Buffer} XLSX file contents
+ */
+export function buildXlsx(sheets) {
+  const names = toSheetNames(sheets.map((sheet) => sheet.name));
+  const sheetFiles = sheets.map((sheet, i) => ({
+    name: `xl/worksheets/sheet${i + 1}.xml`,
+    data: buildSheetXml(sheet.rows)
+  }));
+
+  const contentTypes =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+    '<Default Extension="xml" ContentType="application/xml"/>' +
+    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+    sheetFiles
+      .map(
+        (file) =>
+          `<Override PartName="/${file.name}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`
+      )
+      .join("") +
+    "</Types>";
+
+  const rootRels =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+    "</Relationships>";
+
+  const workbook =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">' +
+    "<sheets>" +
+    names
+      .map((name, i) => `<sheet name="${escapeXml(name)}" sheetId="${i + 1}" r:id="rId${i + 1}"/>`)
+      .join("") +
+    "</sheets></workbook>";
+
+  const workbookRels =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+    sheetFiles
+      .map(
+        (file, i) =>
+          `<Relationship Id="rId${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${i + 1}.xml"/>`
+      )
+      .join("") +
+    `<Relationship Id="rId${sheetFiles.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+    "</Relationships>";
+
+  const styles =
+    '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+    '<fonts count="1"><font><sz val="11"/><name val="Calibri"/></font></fonts>' +
+    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+    '<cellXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/></cellXfs>' +
+    "</styleSheet>";
+
+  return createZip([
+    { name: "[Content_Types].xml", data: contentTypes },
+    { name: "_rels/.rels", data: rootRels },
+    { name: "xl/workbook.xml", data: workbook },
+    { name: "xl/_rels/workbook.xml.rels", data: workbookRels },
+    { name: "xl/styles.xml", data: styles },
+    ...sheetFiles
+  ]);
+}
+
+/**
+ * Read the files of a ZIP archive
+ * @param {Buffer} buffer - ZIP file contents
+ * @returns {Map<string, Buffer>} File name -> contents
+ */
+function readZip(buffer) {
+  const endOffset = buffer.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+  if (endOffset < 0) {
+    throw new Error("Not a valid XLSX file (ZIP end of central directory not found)");
+  }
+
+  const files = new Map();
+  const count = buffer.readUInt16LE(endOffset + 10);
+  let offset = buffer.readUInt32LE(endOffset + 16);
+  for (let i = 0; i < count; i++) {
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    const name = buffer.toString("utf-8", offset + 46, offset + 46 + nameLength);
+
+    const dataOffset =
+      localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(dataOffset, dataOffset + compressedSize);
+    files.set(name, method === 8 ? inflateRawSync(data) : data);
+
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+  return files;
+}
+
+/**
+ * Decode XML character references and entities
+ * @param {string} text
+ * @returns {string}
+ */
+function unescapeXml(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|amp|lt|gt|quot|apos);/gi, (_, entity) => {
+    if (entity[0] === "#") {
+      const code = entity[1].toLowerCase() === "x" ? parseInt(entity.slice(2), 16) : Number(entity.slice(1));
+      return String.fromCodePoint(code);
+    }
+    return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[entity.toLowerCase()];
+  });
+}
+
+/**
+ * Join the text runs of a string item, leaving out phonetic guides (<rPh>)
+ * @param {string} xml - Contents of <si> or <is>
+ * @returns {string}
+ */
+function readText(xml) {
+  const runs = xml.replace(/<rPh\b[\s\S]*?<\/rPh>/g, "").match(/<t\b[^>]*>[\s\S]*?<\/t>|<t\b[^>]*\/>/g);
+  return (runs || []).map((run) => unescapeXml(run.replace(/^<t\b[^>]*>|<\/t>$|^<t\b[^>]*\/>$/g, ""))).join("");
+}
+
+/**
+ * Convert a column name to a zero-based index (A -> 0, AA -> 26)
+ * @param {string} name
+ * @returns {number}
+ */
+function columnIndex(name) {
+  return [...name].reduce((index, char) => index * 26 + char.charCodeAt(0) - 64, 0) - 1;
+}
+
+/**
+ * Read one worksheet of an XLSX workbook
+ * Numbers are returned as numbers, so dates appear as Excel serial numbers.
+ * Rows and cells keep their position in the sheet (skipped ones are empty);
+ * empty rows and cells after the last value are left out.
+ * @param {Buffer} buffer - XLSX file contents
+ * @param {string} [sheetName] - Sheet to read (default: the first sheet)
+ * @returns {{ sheetNames: string[], rows: Array<Array<string|number|boolean|null>> }}
+ */
+export function readXlsx(buffer, sheetName) {
+  const files = readZip(buffer);
+  const readFile = (name) => files.get(name)?.toString("utf-8") || "";
+
+  const sheets = [...readFile("xl/workbook.xml").matchAll(/<sheet\b([^>]*)\/?>/g)].map(([, attrs]) => ({
+    name: unescapeXml(attrs.match(/\bname="([^"]*)"/)?.[1] || ""),
+    relId: attrs.match(/\br:id="([^"]*)"/)?.[1]
+  }));
+  const sheet = sheetName ? sheets.find((entry) => entry.name === sheetName) : sheets[0];
+  if (!sheet) {
+    throw new Error(`Sheet "${sheetName}" not found. Available sheets: ${sheets.map((entry) => entry.name).join(", ")}`);
+  }
+
+  const relation = [...readFile("xl/_rels/workbook.xml.rels").matchAll(/<Relationship\b([^>]*)\/?>/g)]
+    .map(([, attrs]) => attrs)
+    .find((attrs) => attrs.includes(`Id="${sheet.relId}"`));
+  const target = relation?.match(/\bTarget="([^"]*)"/)?.[1] || "";
+  const sheetPath = target.startsWith("/") ? target.slice(1) : `xl/${target}`;
+
+  const sharedStrings = [...readFile("xl/sharedStrings.xml").matchAll(/<si>([\s\S]*?)<\/si>/g)].map(
+    ([, xml]) => readText(xml)
+  );
+
+  const rows = [];
+  for (const [, rowAttrs, rowXml = ""] of readFile(sheetPath).matchAll(/<row\b([^>]*?)(?:\/>|>([\s\S]*?)<\/row>)/g)) {
+    const rowNumber = rowAttrs.match(/\br="(\d+)"/)?.[1];
+    const row = [];
+    for (const [, attrs, body = ""] of rowXml.matchAll(/<c\b([^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = attrs.match(/\br="([A-Z]+)\d+"/)?.[1];
+      const type = attrs.match(/\bt="([^"]*)"/)?.[1];
+      const rawValue = body.match(/<v>([\s\S]*?)<\/v>/)?.[1];
+
+      let value = null;
+      if (type === "inlineStr") {
+        value = readText(body);
+      } else if (rawValue === undefined) {
+        value = null;
+      } else if (type === "s") {
+        value = sharedStrings[Number(rawValue)] ?? null;
+      } else if (type === "b") {
+        value = rawValue === "1";
+      } else if (type === "str" || type === "e" || type === "d") {
+        value = unescapeXml(rawValue);
+      } else {
+        value = Number(rawValue);
+      }
+
+      row[ref ? columnIndex(ref) : row.length] = value;
+    }
+    while (row.length > 0 && row[row.length - 1] == null) row.pop();
+    rows[rowNumber ? Number(rowNumber) - 1 : rows.length] = Array.from(row, (value) => value ?? null);
+  }
+  while (rows.length > 0 && !rows[rows.length - 1]?.length) rows.pop();
+
+  return { sheetNames: sheets.map((entry) => entry.name), rows: Array.from(rows, (row) => row || []) };
+}
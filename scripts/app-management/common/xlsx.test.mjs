@@ -0,0 +1,57 @@
+import assert from "node:assert/strict";
+import { readFileSync } from "node:fs";
+import { describe, it } from "node:test";
+import { buildXlsx, readXlsx } from "./xlsx.mjs";
+
+// Saved the way Excel saves a workbook: shared strings with rich text and
+// phonetic guides, date-formatted serial numbers, formulas, a blank row with
+// a custom height, a left-out blank row, styled empty cells in column E and
+// trailing empty rows. "Customers" is the first tab but is stored in sheet2.xml.
+const EXCEL_WORKBOOK = readFileSync(new URL("./fixtures/excel-workbook.xlsx", import.meta.url));
+
+describe("readXlsx", () => {
+  it("reads a workbook saved by Excel", () => {
+    const { sheetNames, rows } = readXlsx(EXCEL_WORKBOOK);
+    assert.deepEqual(sheetNames, ["Customers", "Notes & more"]);
+    assert.deepEqual(rows, [
+      ["code", "name", "joined", "amount"],
+      ["C001", "Sato & Sons", 45292, 1200.5],
+      ["C002", "  Tanaka  ", 45292.5, true],
+      [],
+      [],
+      ["C003", "山田", "2024/01/02", 2401]
+    ]);
+  });
+
+  it("reads a sheet by name", () => {
+    assert.deepEqual(readXlsx(EXCEL_WORKBOOK, "Notes & more").rows, [["<note>"]]);
+    assert.throws(() => readXlsx(EXCEL_WORKBOOK, "Orders"), /Sheet "Orders" not found/);
+  });
+});
+
+describe("buildXlsx", () => {
+  it("writes workbooks that read back the same", () => {
+    const records = [
+      ["Code", "Name", "Amount", "Note"],
+      ["A&B", "<Sato>", 1200.5, 'Line 1\nLine 2 "quoted"'],
+      ["  spaces  ", null, -3, "ภาษาไทย 日本語 😀"],
+      [null, "only B"]
+    ];
+    const items = [
+      ["Record", "Item"],
+      [1, "x"]
+    ];
+    const buffer = buildXlsx([
+      { name: "Records", rows: records },
+      { name: "items/rows", rows: items }
+    ]);
+
+    assert.deepEqual(readXlsx(buffer).rows, records);
+    assert.deepEqual(readXlsx(buffer, "items_rows").rows, items);
+  });
+
+  it("leaves empty strings out", () => {
+    const buffer = buildXlsx([{ name: "Sheet1", rows: [["a", "", "b", ""], []] }]);
+    assert.deepEqual(readXlsx(buffer).rows, [["a", null, "b"]]);
+  });
+});
@@ -0,0 +1,221 @@
+#!/usr/bin/env node
+/**
+ * Build the customization and deploy it to a kintone app
+ *
+ * Usage (CLI):
+ *   node scripts/app-management/customize/deploy-customize.mjs <appId> [--no-build] [--no-deploy]
+ *
+ * Usage (Programmatic):
+ *   import { deployCustomize } from "./deploy-customize.mjs";
+ *   const { files } = await deployCustomize("51");
+ *
+ * Steps:
+ *   1. npm run build:prod (type check + production bundle in dist/), with the
+ *      config of the active profile (src/js/constant/profiles.ts)
+ *   2. Upload the app's bundle files: the app's entries in customize.config.json
+ *      for the active profile, or dist/js/index.js and dist/style/style.css
+ *   3. Put them into the app's JS/CSS settings: files an earlier deploy of
+ *      the same bundle file put there (by the fileKey in the release log) and
+ *      dev server URLs (https://localhost:9000/...) are replaced in place,
+ *      other libraries and files are kept, even with the same name. On the
+ *      first deploy of a bundle file, files of the same name (uploaded by
+ *      hand) are replaced instead
+ *   4. Deploy the app and wait for the deploy to finish
+ *
+ * Before anything is written, the app's live settings and files are saved
+ * as a release (kintone-app-structure/releases/) with the git commit, so
+ * the deploy can be undone with customize:rollback.
+ *
+ * Options:
+ *   --no-build   Upload the files already in dist/
+ *   --no-deploy  Leave the new settings in the pre-live settings
+ *
+ * Note: The settings are merged into the pre-live settings, so other
+ * undeployed changes of the app are deployed too.
+ */
+
+import { execSync } from "child_process";
+import { existsSync, readFileSync, statSync } from "fs";
+import { basename, resolve } from "path";
+import {
+  createKintoneClient,
+  describeCustomizeEntry,
+  getCustomizeBundle,
+  getDeployedFiles,
+  getReleaseDir,
+  getRootDir,
+  getSavedFileKeys,
+  logConnection,
+  mergeCustomizeFiles,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  saveRelease,
+  setReleaseFiles,
+  waitForDeploy,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
+
+/**
+ * Run the production build
+ * @param {string} rootDir - Project root
+ * @param {string} [profile] - Profile whose config (src/js/constant/profiles.ts) is built in
+ * @param {boolean} silent - Whether to hide the build output
+ * @param {boolean} json - Whether stdout is kept for the JSON result
+ */
+function runProductionBuild(rootDir, profile, silent, json) {
+  execSync(`npm run build:prod${profile ? ` -- --profile=${profile}` : ""}`, {
+    cwd: rootDir,
+    // In --json mode keep stdout for the result: build output goes to stderr
+    stdio: silent ? "ignore" : json ? ["inherit", 2, 2] : "inherit"
+  });
+}
+
+/**
+ * Build and deploy the customization
+ * @param {string|number} appId - The app ID
+ * @param {Object} [options]
+ * @param {boolean} [options.build=true] - Run the production build first
+ * @param {boolean} [options.deploy=true] - Deploy the app
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
+ * @param {boolean} [options.json=false] - Send the build output to stderr (for --json)
+ * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
+ * @returns {Promise<{ appId: string, bundle: string, release: string, files: Array<{ platform: string, type: string, path: string, size: number, fileKey: string }>, revision: string, deploy: { success: boolean, status: string }|null }>}
+ */
+export async function deployCustomize(appId, options = {}) {
+  const { build = true, deploy = true, profile, guestSpaceId, json = false, silent = false, dryRun = false } = options;
+
+  if (!appId) {
+    throw new Error("App ID is required");
+  }
+
+  const rootDir = getRootDir(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
+  const { name, bundle: bundleFiles } = getCustomizeBundle(rootDir, appId, credentials.profile);
+
+  if (!silent) {
+    console.log(`\n🔄 Deploying customization to App ${appId}...`);
+    logConnection(credentials);
+    console.log(`   Bundle: ${name}`);
+  }
+
+  if (build && !dryRun) {
+    if (!silent) console.log("\n   Building...");
+    runProductionBuild(rootDir, credentials.profile, silent, json);
+  }
+
+  const bundle = bundleFiles.filter(({ path }) => existsSync(resolve(rootDir, path)));
+  if (bundle.length === 0 && !(dryRun && build)) {
+    throw new Error(`No build output found (${bundleFiles.map(({ path }) => path).join(", ")}). Run npm run build:prod`);
+  }
+
+  const current = await client.app.getAppCustomize({ app: appId, preview: true });
+  const releaseDir = getReleaseDir(rootDir, credentials.domain, appId);
+  const deployed = getDeployedFiles(releaseDir);
+
+  if (dryRun) {
+    const files = build ? bundleFiles : bundle;
+    const { replaced, kept } = mergeCustomizeFiles(
+      current,
+      files.map((file) => ({ ...file, fileKey: "(new upload)" })),
+      deployed
+    );
+    const summary = [
+      ...(build ? [`Would run npm run build:prod${credentials.profile ? ` -- --profile=${credentials.profile}` : ""}`] : []),
+      ...files.map(({ platform, type, path }) => `Would upload ${path} as ${platform}.${type}`),
+      ...replaced.map((entry) => `Would replace: ${describeCustomizeEntry(entry)}`),
+      ...kept.map((entry) => `Would keep: ${describeCustomizeEntry(entry)}`),
+      deploy ? "Would deploy the app" : "Would leave the settings in pre-live"
+    ];
+    return reportDryRun({ summary, request: { app: appId, files: files.map(({ path }) => path), deploy } }, { silent });
+  }
+
+  const release = await saveRelease(client, {
+    rootDir,
+    domain: credentials.domain,
+    appId,
+    kind: "deploy",
+    files: bundle.map((file) => ({ ...file, size: statSync(resolve(rootDir, file.path)).size }))
+  });
+  if (!silent) console.log(`   Saved release #${release.id} (settings before this deploy)`);
+
+  const uploaded = [];
+  for (const file of bundle) {
+    const path = resolve(rootDir, file.path);
+    const { size } = statSync(path);
+    const { fileKey } = await client.file.uploadFile({
+      file: { name: basename(path), data: readFileSync(path) }
+    });
+    uploaded.push({ ...file, size, fileKey });
+    if (!silent) console.log(`   Uploaded ${file.path} (${size} bytes) -> ${file.platform}.${file.type}`);
+  }
+
+  const { request, replaced, kept } = mergeCustomizeFiles(current, uploaded, deployed);
+  if (!silent) {
+    replaced.forEach((entry) => console.log(`   Replaced: ${describeCustomizeEntry(entry)}`));
+    kept.forEach((entry) => console.log(`   Kept: ${describeCustomizeEntry(entry)}`));
+  }
+
+  const { revision } = await client.app.updateAppCustomize({ app: appId, ...request });
+  // Record the files by the fileKeys they got, so the next deploy replaces exactly these
+  const saved = await client.app.getAppCustomize({ app: appId, preview: true });
+  const files = getSavedFileKeys(request, saved, uploaded);
+  setReleaseFiles(releaseDir, release.id, files);
+  const result = { appId: String(appId), bundle: name, release: release.id, files, revision, deploy: null };
+
+  if (deploy) {
+    if (!silent) console.log("   Deploying...");
+    await client.app.deployApp({ apps: [{ app: appId }] });
+    result.deploy = await waitForDeploy(client, appId);
+    if (!result.deploy.success) {
+      const error = new Error(`Deploy of App ${appId} finished with status ${result.deploy.status}`);
+      error.revision = revision;
+      error.release = release.id;
+      throw error;
+    }
+  }
+
+  if (!silent) {
+    console.log(`\n✅ Successfully ${deploy ? "deployed" : "uploaded"} ${files.length} file(s) to App ${appId}`);
+    console.log("");
+    console.log("📝 Next step:");
+    if (!deploy) console.log(`   Deploy app: npm run deploy:app -- ${appId}`);
+    console.log(`   Undo: npm run customize:rollback -- ${appId} --undo=${release.id}`);
+  }
+
+  return result;
+}
+
+// CLI execution
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const appId = args.find(arg => !arg.startsWith("--"));
+  const build = !args.includes("--no-build");
+  const deploy = !args.includes("--no-deploy");
+
+  if (!appId) {
+    console.error("Error: App ID is required");
+    console.error("Usage: node scripts/app-management/customize/deploy-customize.mjs <appId> [--no-build] [--no-deploy]");
+    console.error("Example: node scripts/app-management/customize/deploy-customize.mjs 51");
+    process.exit(1);
+  }
+
+  deployCustomize(appId, { build, deploy, ...globals }).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
+    console.error("\n❌ Failed to deploy customization");
+    console.error(error.message);
+    if (error.errors) {
+      console.error("Details:", JSON.stringify(error.errors, null, 2));
+    }
+    if (error.revision) {
+      console.error(`\n⚠️  The new settings are in the pre-live settings (revision ${error.revision})`);
+      console.error(`   Discard them with: npm run deploy:app -- ${appId} --revert`);
+    }
+    process.exit(1);
+  });
+}
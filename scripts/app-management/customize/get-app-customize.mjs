@@ -12,7 +12,15 @@
 
 import { writeFileSync, mkdirSync, existsSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Get app customization settings
@@ -20,22 +28,24 @@ import { createKintoneClient, getRootDir } from "../common/index.mjs";
  * @param {Object} options
  * @param {boolean} [options.preview=false] - Whether to get pre-live settings
  * @param {boolean} [options.saveToFile=true] - Whether to save result to JSON file
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
  * @returns {Promise<Object>} Customization settings
  */
 export async function getAppCustomize(appId, options = {}) {
-  const { preview = false, saveToFile = true, silent = false } = options;
+  const { preview = false, saveToFile = true, profile, guestSpaceId, silent = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
   const rootDir = getRootDir(import.meta.url);
 
   if (!silent) {
     console.log(`\n🔄 Fetching customization settings for App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     if (preview) console.log(`   Mode: Preview (pre-live)`);
   }
 
@@ -73,7 +83,8 @@ export async function getAppCustomize(appId, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const args = process.argv.slice(2);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
   const appId = args.find((arg) => !arg.startsWith("--"));
   const preview = args.includes("--preview");
 
@@ -83,7 +94,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  getAppCustomize(appId, { preview }).catch((error) => {
+  getAppCustomize(appId, { preview, ...globals }).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to get app customization");
     console.error(error.message);
     process.exit(1);
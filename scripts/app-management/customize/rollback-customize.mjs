@@ -0,0 +1,261 @@
+#!/usr/bin/env node
+/**
+ * Restore the JS/CSS customization of an earlier release
+ *
+ * Usage (CLI):
+ *   node scripts/app-management/customize/rollback-customize.mjs <appId> [--to=<release>] [--no-deploy]
+ *   node scripts/app-management/customize/rollback-customize.mjs <appId> --undo=<release> [--no-deploy]
+ *   node scripts/app-management/customize/rollback-customize.mjs <appId> --list
+ *
+ *   --to=<release>    restores the settings that release deployed
+ *   --undo=<release>  undoes that release and every release after it, i.e.
+ *                     restores the settings the app had before it
+ *   Without either, the last release is undone.
+ *
+ * Usage (Programmatic):
+ *   import { rollbackCustomize, listReleases } from "./rollback-customize.mjs";
+ *   await rollbackCustomize("51");                // undo the last deploy
+ *   await rollbackCustomize("51", { to: "3" });   // settings of release #3
+ *   await rollbackCustomize("51", { undo: "3" }); // settings from before release #3
+ *
+ * Every customize:deploy (and rollback) records a release with the settings
+ * and files the app had before it, so the settings a release deployed are
+ * the ones saved by the release after it. Rolling back uploads those
+ * files again, replaces the whole JS/CSS settings with them and deploys.
+ * The rollback is itself recorded, with the bundle files it restored, so it
+ * can be undone the same way and the next deploy replaces those files.
+ *
+ * Releases are kept per domain in kintone-app-structure/releases/, so use
+ * the same --profile as the deploy.
+ */
+
+import { existsSync, readFileSync } from "fs";
+import { resolve } from "path";
+import {
+  createKintoneClient,
+  describeCustomizeEntry,
+  findRestoredBundleFiles,
+  getDeployedFiles,
+  getReleaseDir,
+  getRootDir,
+  getSavedFileKeys,
+  logConnection,
+  parseCliArgs,
+  readReleaseLog,
+  redirectLogsToStderr,
+  reportDryRun,
+  saveRelease,
+  setReleaseFiles,
+  uploadCustomizeFiles,
+  waitForDeploy,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
+
+/**
+ * List the recorded releases of an app
+ * @param {string|number} appId - The app ID
+ * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
+ * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @returns {Promise<Object[]>} Releases, oldest first
+ */
+export async function listReleases(appId, options = {}) {
+  const { profile, guestSpaceId, silent = false } = options;
+
+  if (!appId) {
+    throw new Error("App ID is required");
+  }
+
+  const { credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
+  const releaseDir = getReleaseDir(getRootDir(import.meta.url), credentials.domain, appId);
+  const releases = readReleaseLog(releaseDir);
+
+  if (!silent) {
+    console.log(`\n📋 Releases of App ${appId} on ${credentials.domain}: ${releases.length}`);
+    for (const release of [...releases].reverse()) {
+      const commit = release.commit ? `${release.commit.slice(0, 7)}${release.dirty ? "+" : ""}` : "-";
+      const files = release.kind === "rollback"
+        ? `rollback to before #${release.restoredFrom}`
+        : release.files.map(({ path }) => path).join(", ");
+      console.log(`   #${release.id}  ${release.createdAt}  ${commit}  ${files}`);
+    }
+    if (releases.length > 0) {
+      console.log(`\n📝 Restore the settings of a release: npm run customize:rollback -- ${appId} --to=<release>`);
+      console.log(`   Undo a release and the ones after it: npm run customize:rollback -- ${appId} --undo=<release>`);
+    }
+  }
+
+  return releases;
+}
+
+/**
+ * Pick the release whose saved settings a rollback restores
+ * @param {Array<{ id: string }>} releases - From readReleaseLog
+ * @param {{ to?: string|number, undo?: string|number }} options
+ * @returns {{ target: Object, snapshot: Object, description: string }}
+ *   `target` is the release asked for, `snapshot` the release that saved the settings
+ */
+function findRollbackRelease(releases, { to, undo }) {
+  if (to !== undefined && undo !== undefined) {
+    throw new Error("Use either --to or --undo, not both");
+  }
+  const find = (id) => {
+    const index = releases.findIndex((release) => release.id === String(id));
+    if (index === -1) {
+      throw new Error(`Release ${id} not found. Releases: ${releases.map((release) => `#${release.id}`).join(", ")}`);
+    }
+    return index;
+  };
+
+  if (to !== undefined) {
+    const index = find(to);
+    if (index === releases.length - 1) {
+      throw new Error(`Release #${to} is the last release, so its settings are the current ones (use --undo=${to} to undo it)`);
+    }
+    return { target: releases[index], snapshot: releases[index + 1], description: `the settings of release #${to}` };
+  }
+
+  const index = undo === undefined ? releases.length - 1 : find(undo);
+  return { target: releases[index], snapshot: releases[index], description: `before release #${releases[index].id}` };
+}
+
+/**
+ * Roll back the customization of an app
+ * @param {string|number} appId - The app ID
+ * @param {Object} [options]
+ * @param {string|number} [options.to] - Release whose settings to restore
+ * @param {string|number} [options.undo] - Release to undo, with every release after it (default: the last one)
+ * @param {boolean} [options.deploy=true] - Deploy the app
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
+ * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
+ * @returns {Promise<{ appId: string, restored: string, release: string, revision: string, deploy: { success: boolean, status: string }|null }>}
+ *   `restored` is the release given by to / undo, `release` the one recording this rollback
+ */
+export async function rollbackCustomize(appId, options = {}) {
+  const { to, undo, deploy = true, profile, guestSpaceId, silent = false, dryRun = false } = options;
+
+  if (!appId) {
+    throw new Error("App ID is required");
+  }
+
+  const rootDir = getRootDir(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
+  const releaseDir = getReleaseDir(rootDir, credentials.domain, appId);
+  const releases = readReleaseLog(releaseDir);
+
+  if (releases.length === 0) {
+    throw new Error(`No releases recorded for App ${appId} on ${credentials.domain} (${releaseDir})`);
+  }
+  const { target, snapshot, description } = findRollbackRelease(releases, { to, undo });
+  const snapshotDir = resolve(releaseDir, snapshot.id);
+  const customizePath = resolve(snapshotDir, "customize.json");
+  if (!existsSync(customizePath)) {
+    throw new Error(`Settings saved by release #${snapshot.id} are missing: ${customizePath}`);
+  }
+  const customize = JSON.parse(readFileSync(customizePath, "utf-8"));
+
+  if (!silent) {
+    console.log(`\n🔄 Rolling back customization of App ${appId} to ${description}...`);
+    logConnection(credentials);
+    console.log(`   Release: #${target.id} (${target.kind}, ${target.createdAt}${target.commit ? `, ${target.commit.slice(0, 7)}` : ""})`);
+  }
+
+  const entries = ["desktop", "mobile"].flatMap((platform) =>
+    ["js", "css"].flatMap((type) =>
+      (customize[platform]?.[type] || []).map((entry) => `${platform}.${type}: ${describeCustomizeEntry(entry)}`)
+    )
+  );
+
+  if (dryRun) {
+    const summary = [
+      `Would restore ${description} (scope ${customize.scope})`,
+      ...entries.map((entry) => `  ${entry}`),
+      deploy ? "Would deploy the app" : "Would leave the settings in pre-live"
+    ];
+    return reportDryRun({ summary, request: { app: appId, release: target.id, deploy } }, { silent });
+  }
+
+  const release = await saveRelease(client, {
+    rootDir,
+    domain: credentials.domain,
+    appId,
+    kind: "rollback",
+    restoredFrom: snapshot.id
+  });
+  if (!silent) console.log(`   Saved release #${release.id} (settings before this rollback)`);
+
+  const request = await uploadCustomizeFiles(client, customize, snapshotDir);
+  const restored = findRestoredBundleFiles(customize, request, getDeployedFiles(releaseDir));
+  const { revision } = await client.app.updateAppCustomize({ app: appId, ...request });
+  // The restored bundle files are uploaded again: record their new fileKeys for the next deploy
+  const saved = await client.app.getAppCustomize({ app: appId, preview: true });
+  setReleaseFiles(releaseDir, release.id, getSavedFileKeys(request, saved, restored));
+  if (!silent) entries.forEach((entry) => console.log(`   ${entry}`));
+
+  const result = { appId: String(appId), restored: target.id, release: release.id, revision, deploy: null };
+
+  if (deploy) {
+    if (!silent) console.log("   Deploying...");
+    await client.app.deployApp({ apps: [{ app: appId }] });
+    result.deploy = await waitForDeploy(client, appId);
+    if (!result.deploy.success) {
+      const error = new Error(`Deploy of App ${appId} finished with status ${result.deploy.status}`);
+      error.revision = revision;
+      throw error;
+    }
+  }
+
+  if (!silent) {
+    console.log(`\n✅ Successfully rolled back App ${appId} to ${description}`);
+    console.log("");
+    console.log("📝 Next step:");
+    if (!deploy) console.log(`   Deploy app: npm run deploy:app -- ${appId}`);
+    console.log(`   Undo: npm run customize:rollback -- ${appId} --undo=${release.id}`);
+  }
+
+  return result;
+}
+
+// CLI execution
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const appId = args.find(arg => !arg.startsWith("--"));
+  const getRelease = (name) => args.find(arg => arg.startsWith(`--${name}=`))?.split("=")[1].replace(/^#/, "");
+  const to = getRelease("to");
+  const undo = getRelease("undo");
+  const deploy = !args.includes("--no-deploy");
+  const list = args.includes("--list");
+
+  if (!appId) {
+    console.error("Error: App ID is required");
+    console.error("Usage: node scripts/app-management/customize/rollback-customize.mjs <appId> [--to=<release>] [--no-deploy]");
+    console.error("       node scripts/app-management/customize/rollback-customize.mjs <appId> --undo=<release> [--no-deploy]");
+    console.error("       node scripts/app-management/customize/rollback-customize.mjs <appId> --list");
+    console.error("  --to=<release>    Restore the settings that release deployed");
+    console.error("  --undo=<release>  Undo that release and every release after it (default: the last release)");
+    console.error("Example: node scripts/app-management/customize/rollback-customize.mjs 51 --to=3");
+    process.exit(1);
+  }
+
+  const run = list ? listReleases(appId, globals) : rollbackCustomize(appId, { to, undo, deploy, ...globals });
+
+  run.then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
+    console.error(list ? "\n❌ Failed to list releases" : "\n❌ Failed to roll back customization");
+    console.error(error.message);
+    if (error.errors) {
+      console.error("Details:", JSON.stringify(error.errors, null, 2));
+    }
+    if (error.revision) {
+      console.error(`\n⚠️  The restored settings are in the pre-live settings (revision ${error.revision})`);
+      console.error(`   Discard them with: npm run deploy:app -- ${appId} --revert`);
+    }
+    process.exit(1);
+  });
+}
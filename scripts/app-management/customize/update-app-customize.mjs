@@ -32,7 +32,18 @@
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  diffByKey,
+  formatDiff,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Update app customization settings
@@ -42,11 +53,14 @@ import { createKintoneClient, getRootDir } from "../common/index.mjs";
  * @param {Object} [customizeSettings.desktop] - Desktop settings
  * @param {Object} [customizeSettings.mobile] - Mobile settings
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ revision: string }>}
  */
 export async function updateAppCustomize(appId, customizeSettings, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -56,14 +70,36 @@ export async function updateAppCustomize(appId, customizeSettings, options = {})
     throw new Error("Customize settings object is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Updating customization settings for App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     if (customizeSettings.scope) console.log(`   Scope: ${customizeSettings.scope}`);
   }
 
+  if (dryRun) {
+    const current = await client.app.getAppCustomize({ app: appId, preview: true });
+    const getKey = (entry) =>
+      entry.type === "URL" ? entry.url : entry.file?.name || entry.file?.fileKey;
+    const summary = [];
+    if (customizeSettings.scope && customizeSettings.scope !== current.scope) {
+      summary.push(`scope: ${current.scope} → ${customizeSettings.scope}`);
+    }
+    for (const platform of ["desktop", "mobile"]) {
+      for (const type of ["js", "css"]) {
+        const entries = customizeSettings[platform]?.[type];
+        if (!entries) continue;
+        const diff = diffByKey(current[platform]?.[type] || [], entries, getKey);
+        summary.push(...formatDiff(`${platform}.${type}`, diff));
+      }
+    }
+    return reportDryRun(
+      { summary, request: { app: appId, ...customizeSettings } },
+      { silent }
+    );
+  }
+
   const result = await client.app.updateAppCustomize({
     app: appId,
     ...customizeSettings
@@ -83,8 +119,10 @@ export async function updateAppCustomize(appId, customizeSettings, options = {})
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
-  const customizeJsonPath = process.argv[3];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const appId = args[0];
+  const customizeJsonPath = args[1];
 
   if (!appId || !customizeJsonPath) {
     console.error("Error: App ID and customize JSON path are required");
@@ -105,7 +143,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  updateAppCustomize(appId, customizeSettings).catch((error) => {
+  updateAppCustomize(appId, customizeSettings, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to update app customization");
     console.error(error.message);
     if (error.errors) {
@@ -15,10 +15,22 @@
  *   --no-wait  Don't wait for deployment to complete
  */
 
-import { createKintoneClient, waitForDeploy } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  diffObjects,
+  formatDiff,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  waitForDeploy,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 // Parse arguments
-const args = process.argv.slice(2);
+const { args, globals } = parseCliArgs(process.argv.slice(2));
+if (globals.json) redirectLogsToStderr();
 const appId = args.find((arg) => !arg.startsWith("--"));
 const revert = args.includes("--revert");
 const noWait = args.includes("--no-wait");
@@ -40,14 +52,31 @@ if (!appId) {
 }
 
 async function main() {
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile: globals.profile, guestSpaceId: globals.guestSpaceId });
 
   if (revert) {
     console.log(`\n🔄 Reverting pre-live settings for App ${appId}...`);
   } else {
     console.log(`\n🔄 Deploying App ${appId}...`);
   }
-  console.log(`   Domain: ${credentials.domain}`);
+  logConnection(credentials);
+
+  if (globals.dryRun) {
+    // Compare pre-live and live settings to show what the deploy would publish
+    const [previewFields, liveFields, previewViews, liveViews] = await Promise.all([
+      client.app.getFormFields({ app: appId, preview: true }),
+      client.app.getFormFields({ app: appId }),
+      client.app.getViews({ app: appId, preview: true }),
+      client.app.getViews({ app: appId })
+    ]);
+    const summary = revert
+      ? [`Would discard these pre-live changes of App ${appId}:`]
+      : [`Would deploy these pre-live changes of App ${appId}:`];
+    summary.push(...formatDiff("Fields", diffObjects(liveFields.properties, previewFields.properties)));
+    summary.push(...formatDiff("Views", diffObjects(liveViews.views, previewViews.views)));
+    summary.push("(other settings such as permissions and customization are not compared)");
+    return reportDryRun({ summary, request: { apps: [{ app: appId }], revert } });
+  }
 
   try {
     await client.app.deployApp({
@@ -76,11 +105,13 @@ async function main() {
     } else {
       console.error(`\n❌ Deployment failed for App ${appId}`);
       console.error(`   Status: ${result.status}`);
+      writeResult(result, globals);
       process.exit(1);
     }
 
     return result;
   } catch (error) {
+    writeError(error, globals);
     console.error("\n❌ Failed to deploy app");
     console.error(error.message);
     if (error.errors) {
@@ -90,4 +121,8 @@ async function main() {
   }
 }
 
-main();
+main().then((result) => writeResult(result, globals)).catch((error) => {
+  writeError(error, globals);
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -12,27 +12,36 @@
  *   const status = await getDeployStatus([51, 52]);
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Get deployment status of kintone apps
  * @param {Array<string|number>} appIds - Array of app IDs
  * @param {Object} options
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
  * @returns {Promise<{ apps: Array<{ app: string, status: string }> }>}
  */
 export async function getDeployStatus(appIds, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false } = options;
 
   if (!appIds || appIds.length === 0) {
     throw new Error("At least one App ID is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Checking deploy status...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     console.log(`   Apps: ${appIds.join(", ")}`);
   }
 
@@ -72,7 +81,8 @@ function getStatusIcon(status) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appIds = process.argv.slice(2);
+  const { args: appIds, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
 
   if (appIds.length === 0) {
     console.error("Error: At least one App ID is required");
@@ -85,7 +95,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  getDeployStatus(appIds).catch((error) => {
+  getDeployStatus(appIds, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to get deploy status");
     console.error(error.message);
     process.exit(1);
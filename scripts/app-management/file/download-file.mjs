@@ -16,28 +16,38 @@
 
 import { writeFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Download a file
  * @param {string} fileKey - The file key from record's attachment field
  * @param {Object} [options]
  * @param {string} [options.outputPath] - Path to save the file
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
  * @returns {Promise<ArrayBuffer>} File data as ArrayBuffer
  */
 export async function downloadFile(fileKey, options = {}) {
-  const { outputPath, silent = false } = options;
+  const { outputPath, profile, guestSpaceId, silent = false } = options;
 
   if (!fileKey) {
     throw new Error("File key is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Downloading file...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     console.log(`   File Key: ${fileKey}`);
   }
 
@@ -63,8 +73,10 @@ export async function downloadFile(fileKey, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const fileKey = process.argv[2];
-  const outputPath = process.argv[3];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const fileKey = args[0];
+  const outputPath = args[1];
 
   if (!fileKey) {
     console.error("Error: File key is required");
@@ -75,7 +87,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  downloadFile(fileKey, { outputPath }).catch((error) => {
+  downloadFile(fileKey, { outputPath, ...globals }).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to download file");
     console.error(error.message);
     process.exit(1);
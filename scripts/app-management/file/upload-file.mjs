@@ -15,7 +15,16 @@
  * Note: The returned fileKey can be used to attach the file to a record's attachment field.
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import { statSync } from "fs";
+import {
+  createKintoneClient,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Upload a file
@@ -24,11 +33,14 @@ import { createKintoneClient } from "../common/index.mjs";
  * @param {string} [file.name] - File name (required if not using path)
  * @param {string|Buffer} [file.data] - File data (required if not using path)
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ fileKey: string }>}
  */
 export async function uploadFile(file, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!file) {
     throw new Error("File object is required");
@@ -37,15 +49,26 @@ export async function uploadFile(file, options = {}) {
     throw new Error("Either file.path or file.name+file.data is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { profile, guestSpaceId, silent });
 
   const fileName = file.name || file.path.split("/").pop();
   if (!silent) {
     console.log(`\n🔄 Uploading file...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     console.log(`   File: ${fileName}`);
   }
 
+  if (dryRun) {
+    const size = file.path ? statSync(file.path).size : Buffer.byteLength(file.data);
+    return reportDryRun(
+      {
+        summary: [`Would upload ${fileName} (${size} bytes)`],
+        request: { file: { name: fileName, path: file.path } }
+      },
+      { silent }
+    );
+  }
+
   const result = await client.file.uploadFile({ file });
 
   if (!silent) {
@@ -61,7 +84,9 @@ export async function uploadFile(file, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const filePath = process.argv[2];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const filePath = args[0];
 
   if (!filePath) {
     console.error("Error: File path is required");
@@ -69,7 +94,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  uploadFile({ path: filePath }).catch((error) => {
+  uploadFile({ path: filePath }, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to upload file");
     console.error(error.message);
     process.exit(1);
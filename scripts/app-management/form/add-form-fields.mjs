@@ -28,11 +28,23 @@
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  formatDiff,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 // Parse arguments
-const appId = process.argv[2];
-const fieldsJsonPath = process.argv[3];
+const { args, globals } = parseCliArgs(process.argv.slice(2));
+if (globals.json) redirectLogsToStderr();
+const appId = args[0];
+const fieldsJsonPath = args[1];
 
 if (!appId || !fieldsJsonPath) {
   console.error("Error: App ID and fields JSON path are required");
@@ -54,7 +66,7 @@ if (!appId || !fieldsJsonPath) {
 }
 
 async function main() {
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile: globals.profile, guestSpaceId: globals.guestSpaceId });
   const rootDir = getRootDir(import.meta.url);
 
   // Load fields JSON
@@ -74,9 +86,24 @@ async function main() {
 
   const fieldCount = Object.keys(properties).length;
   console.log(`\n🔄 Adding ${fieldCount} field(s) to App ${appId}...`);
-  console.log(`   Domain: ${credentials.domain}`);
+  logConnection(credentials);
   console.log(`   Source: ${fieldsJsonPath}`);
 
+  if (globals.dryRun) {
+    const current = await client.app.getFormFields({ app: appId, preview: true });
+    const codes = Object.keys(properties);
+    const existing = codes.filter((code) => code in current.properties);
+    const summary = formatDiff("Fields", {
+      added: codes.filter((code) => !existing.includes(code)),
+      changed: [],
+      removed: []
+    });
+    if (existing.length > 0) {
+      summary.push(`⚠️  Already in the app, the request would fail: ${existing.join(", ")}`);
+    }
+    return reportDryRun({ summary, request: { app: appId, properties } });
+  }
+
   try {
     const result = await client.app.addFormFields({
       app: appId,
@@ -92,6 +119,7 @@ async function main() {
 
     return result;
   } catch (error) {
+    writeError(error, globals);
     console.error("\n❌ Failed to add form fields");
     console.error(error.message);
     if (error.errors) {
@@ -101,4 +129,8 @@ async function main() {
   }
 }
 
-main();
+main().then((result) => writeResult(result, globals)).catch((error) => {
+  writeError(error, globals);
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
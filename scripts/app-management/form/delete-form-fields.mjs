@@ -12,18 +12,30 @@
  * Note: This updates pre-live settings. Use deploy to apply changes.
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  formatDiff,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Delete form fields from a kintone app
  * @param {string|number} appId - The app ID
  * @param {Array<string>} fields - Array of field codes to delete
  * @param {Object} options
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ revision: string }>}
  */
 export async function deleteFormFields(appId, fields, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -33,14 +45,28 @@ export async function deleteFormFields(appId, fields, options = {}) {
     throw new Error("At least one field code is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Deleting ${fields.length} field(s) from App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     console.log(`   Fields: ${fields.join(", ")}`);
   }
 
+  if (dryRun) {
+    const current = await client.app.getFormFields({ app: appId, preview: true });
+    const missing = fields.filter((code) => !(code in current.properties));
+    const summary = formatDiff("Fields", {
+      added: [],
+      changed: [],
+      removed: fields.filter((code) => !missing.includes(code))
+    });
+    if (missing.length > 0) {
+      summary.push(`⚠️  Not in the app, the request would fail: ${missing.join(", ")}`);
+    }
+    return reportDryRun({ summary, request: { app: appId, fields } }, { silent });
+  }
+
   const result = await client.app.deleteFormFields({
     app: appId,
     fields
@@ -60,7 +86,8 @@ export async function deleteFormFields(appId, fields, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const args = process.argv.slice(2);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
   const appId = args[0];
   const fields = args.slice(1);
 
@@ -71,7 +98,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  deleteFormFields(appId, fields).catch((error) => {
+  deleteFormFields(appId, fields, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to delete form fields");
     console.error(error.message);
     if (error.errors) {
@@ -0,0 +1,185 @@
+#!/usr/bin/env node
+/**
+ * Generate src/js/fields.d.ts and record validators from kintone apps or saved form field JSON
+ *
+ * Usage (CLI):
+ *   node scripts/app-management/form/generate-field-types.mjs <source...> [--output=<path>] [--replace] [--no-schema]
+ *   node scripts/app-management/form/generate-field-types.mjs 51 52
+ *   node scripts/app-management/form/generate-field-types.mjs 51:Customers FormField/orders.json
+ *
+ * Usage (Programmatic):
+ *   import { generateFieldTypes } from "./generate-field-types.mjs";
+ *   const { namespaces } = await generateFieldTypes(["51", "FormField/orders.json"]);
+ *
+ * A source is either:
+ *   - an app ID: fields are fetched with the active profile (--profile, --guest-space)
+ *   - a JSON file: the output of `await kintone.app.getFormFields()` in the browser
+ *     console or of form:get-fields; a bare file name is looked up in FormField/
+ *
+ * Each source becomes a namespace in kintone.types: App<appId> for app IDs
+ * and app_<id>_*.json files, the PascalCase file name for other files.
+ * Add ":<Name>" to a source to choose the namespace.
+ *
+ *   const record = event.record as kintone.types.App51.SavedFields;
+ *
+ * Namespaces already in the file are kept; --replace writes only the given sources.
+ *
+ * The input rules of each app (required, length, value range, options,
+ * unique) are written to src/js/fields.schema.json under the same names,
+ * for validateRecords in scripts/app-management/common:
+ *
+ *   const schemas = JSON.parse(readFileSync("src/js/fields.schema.json", "utf-8"));
+ *   const violations = validateRecords(schemas.App51, records);
+ */
+
+import { existsSync, readFileSync } from "fs";
+import { basename, relative, resolve } from "path";
+import {
+  FIELD_TYPES_PATH,
+  buildRecordSchema,
+  getFieldProperties,
+  getNamespaceFromFile,
+  getRootDir,
+  isValidNamespace,
+  parseCliArgs,
+  redirectLogsToStderr,
+  renderAppFieldTypes,
+  writeError,
+  writeFieldTypes,
+  writeRecordSchemas,
+  writeResult
+} from "../common/index.mjs";
+import { getFormFields } from "./get-form-field.mjs";
+
+/** Folder for form field JSON saved from the browser */
+const FORM_FIELD_DIR = "FormField";
+
+/**
+ * Split "<source>:<Name>" into the source and the namespace
+ * @param {string} source
+ * @returns {{ source: string, namespace?: string }}
+ */
+function parseSource(source) {
+  const index = source.lastIndexOf(":");
+  const name = source.slice(index + 1);
+  if (index > 0 && isValidNamespace(name)) {
+    return { source: source.slice(0, index), namespace: name };
+  }
+  return { source };
+}
+
+/**
+ * Find a saved form field JSON
+ * @param {string} rootDir - Project root
+ * @param {string} file - Path relative to the project root, or a file name in FormField/
+ * @returns {string} Absolute path
+ */
+function resolveFieldFile(rootDir, file) {
+  const candidates = [resolve(rootDir, file), resolve(rootDir, FORM_FIELD_DIR, file)];
+  const found = candidates.find((candidate) => existsSync(candidate));
+  if (!found) {
+    throw new Error(`Form field JSON not found: ${file} (looked in the project root and ${FORM_FIELD_DIR}/)`);
+  }
+  return found;
+}
+
+/**
+ * Generate field type definitions
+ * @param {Array<string|number>} sources - App IDs and/or form field JSON files, optionally with ":<Name>"
+ * @param {Object} [options]
+ * @param {string} [options.output="src/js/fields.d.ts"] - Declaration file (relative to the project root)
+ * @param {boolean} [options.replace=false] - Drop namespaces of other sources from the file
+ * @param {boolean} [options.schema=true] - Also write record schemas (<output>.schema.json)
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the apps (default: from env)
+ * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @returns {Promise<{ path: string, schemaPath: string|null, generated: Array<{ namespace: string, source: string, fields: number }>, namespaces: string[] }>}
+ */
+export async function generateFieldTypes(sources, options = {}) {
+  const { output = FIELD_TYPES_PATH, replace = false, schema = true, profile, guestSpaceId, silent = false } = options;
+
+  if (!sources || sources.length === 0) {
+    throw new Error("At least one app ID or form field JSON is required");
+  }
+
+  const rootDir = getRootDir(import.meta.url);
+
+  if (!silent) {
+    console.log(`\n🔄 Generating type definitions for ${sources.length} source(s)...`);
+    console.log(`   Output: ${output}`);
+  }
+
+  const blocks = new Map();
+  const schemas = new Map();
+  const generated = [];
+  for (const item of sources) {
+    const { source, namespace: name } = parseSource(String(item));
+    let namespace;
+    let properties;
+    let label;
+    let appId;
+
+    if (/^\d+$/.test(source)) {
+      namespace = name || `App${source}`;
+      ({ properties } = await getFormFields(source, { generateTypes: false, saveToFile: false, profile, guestSpaceId, silent: true }));
+      label = `App ${source}`;
+      appId = source;
+    } else {
+      const filePath = resolveFieldFile(rootDir, source);
+      namespace = name || getNamespaceFromFile(filePath);
+      properties = getFieldProperties(JSON.parse(readFileSync(filePath, "utf-8")));
+      label = relative(rootDir, filePath).replace(/\\/g, "/");
+      appId = basename(filePath).match(/^app_?(\d+)(?:_|\.)/i)?.[1];
+    }
+
+    if (blocks.has(namespace)) {
+      throw new Error(`Two sources use the namespace ${namespace}; add ":<Name>" to one of them`);
+    }
+    blocks.set(namespace, renderAppFieldTypes(namespace, properties, label));
+    schemas.set(namespace, appId ? { appId, ...buildRecordSchema(properties) } : buildRecordSchema(properties));
+    generated.push({ namespace, source: label, fields: Object.keys(properties).length });
+
+    if (!silent) {
+      console.log(`   ${label} -> kintone.types.${namespace} (${Object.keys(properties).length} fields)`);
+    }
+  }
+
+  const { path, namespaces } = writeFieldTypes(rootDir, blocks, { output, replace });
+  const schemaPath = schema
+    ? writeRecordSchemas(rootDir, schemas, { output: output.replace(/(\.d)?\.ts$/, ".schema.json"), replace })
+    : null;
+
+  if (!silent) {
+    console.log(`\n✅ Successfully generated ${output}`);
+    if (schemaPath) console.log(`   Record schemas: ${relative(rootDir, schemaPath).replace(/\\/g, "/")}`);
+    console.log(`   Namespaces: ${namespaces.join(", ")}`);
+    console.log(`\n📝 Usage: const record = event.record as kintone.types.${generated[0].namespace}.SavedFields;`);
+  }
+
+  return { path, schemaPath, generated, namespaces };
+}
+
+// CLI execution
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const sources = args.filter(arg => !arg.startsWith("--"));
+  const output = args.find(arg => arg.startsWith("--output="))?.split("=")[1];
+  const replace = args.includes("--replace");
+  const schema = !args.includes("--no-schema");
+
+  if (sources.length === 0) {
+    console.error("Error: At least one app ID or form field JSON is required");
+    console.error("Usage: node scripts/app-management/form/generate-field-types.mjs <source...> [--output=<path>] [--replace] [--no-schema]");
+    console.error("Example: node scripts/app-management/form/generate-field-types.mjs 51 FormField/orders.json");
+    process.exit(1);
+  }
+
+  generateFieldTypes(sources, { output, replace, schema, ...globals }).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
+    console.error("\n❌ Failed to generate type definitions");
+    console.error(error.message);
+    process.exit(1);
+  });
+}
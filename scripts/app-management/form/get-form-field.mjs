@@ -11,72 +11,65 @@
  *   const fields = await getFormFields("51");
  */
 
-import { execSync } from "child_process";
 import { writeFileSync, mkdirSync, existsSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir, getKintoneCredentials, loadEnv } from "../common/index.mjs";
+import {
+  FIELD_TYPES_PATH,
+  buildRecordSchema,
+  createKintoneClient,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  renderAppFieldTypes,
+  writeError,
+  writeFieldTypes,
+  writeRecordSchemas,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Get form fields and generate TypeScript definitions
  * @param {string|number} appId - The app ID
  * @param {Object} options
- * @param {boolean} [options.generateTypes=true] - Whether to generate TypeScript definitions
+ * @param {boolean} [options.generateTypes=true] - Whether to add App<appId> to src/js/fields.d.ts and fields.schema.json
  * @param {boolean} [options.saveToFile=true] - Whether to save result to JSON file
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
  * @returns {Promise<{ properties: Object, revision: string }>}
  */
 export async function getFormFields(appId, options = {}) {
-  const { generateTypes = true, saveToFile = true, silent = false } = options;
+  const { generateTypes = true, saveToFile = true, profile, guestSpaceId, silent = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
   }
 
   const rootDir = getRootDir(import.meta.url);
-  const env = loadEnv(rootDir);
-  const credentials = getKintoneCredentials(env);
-
-  // Generate TypeScript definitions
-  if (generateTypes) {
-    const outputPath = "./src/js/fields.d.ts";
-    const typeName = `App${appId}Fields`;
-
-    if (!silent) {
-      console.log(`\n🔄 Generating type definitions for App ${appId}...`);
-      console.log(`   Domain: ${credentials.domain}`);
-      console.log(`   Output: ${outputPath}`);
-      console.log(`   Type name: ${typeName}\n`);
-    }
-
-    const command = [
-      "npx @kintone/dts-gen",
-      `--base-url "${credentials.baseUrl}"`,
-      `-u "${credentials.username}"`,
-      `-p "${credentials.password}"`,
-      `--app-id ${appId}`,
-      `--type-name ${typeName}`,
-      `-o "${outputPath}"`
-    ].join(" ");
-
-    execSync(command, {
-      cwd: rootDir,
-      stdio: silent ? "ignore" : "inherit"
-    });
-
-    if (!silent) {
-      console.log(`\n✅ Successfully generated ${outputPath}`);
-      console.log(`   Type name: ${typeName}`);
-    }
-  }
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   // Fetch form fields
   if (!silent) {
     console.log(`\n🔄 Fetching form fields for App ${appId}...`);
+    logConnection(credentials);
   }
 
-  const { client } = await createKintoneClient(import.meta.url);
   const formFields = await client.app.getFormFields({ app: appId });
 
+  // Generate TypeScript definitions
+  if (generateTypes) {
+    const namespace = `App${appId}`;
+    const block = renderAppFieldTypes(namespace, formFields.properties, `App ${appId}`);
+    writeFieldTypes(rootDir, new Map([[namespace, block]]));
+    writeRecordSchemas(rootDir, new Map([[namespace, { appId: String(appId), ...buildRecordSchema(formFields.properties) }]]));
+
+    if (!silent) {
+      console.log(`\n✅ Successfully generated ${FIELD_TYPES_PATH}`);
+      console.log(`   Types: kintone.types.${namespace}.Fields, kintone.types.${namespace}.SavedFields`);
+    }
+  }
+
   if (saveToFile) {
     const formFieldDir = resolve(rootDir, "kintone-app-structure");
     if (!existsSync(formFieldDir)) {
@@ -97,7 +90,9 @@ export async function getFormFields(appId, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const appId = args[0];
 
   if (!appId) {
     console.error("Error: App ID is required");
@@ -106,7 +101,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  getFormFields(appId).catch((error) => {
+  getFormFields(appId, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to get form fields");
     console.error(error.message);
     process.exit(1);
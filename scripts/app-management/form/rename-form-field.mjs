@@ -0,0 +1,457 @@
+#!/usr/bin/env node
+/**
+ * Change a field code and update everything that refers to it
+ *
+ * Usage (CLI):
+ *   node scripts/app-management/form/rename-form-field.mjs <appId> <oldCode> <newCode> [--no-fix-src]
+ *
+ * Usage (Programmatic):
+ *   import { renameFormField } from "./rename-form-field.mjs";
+ *   const result = await renameFormField("51", "customer", "customer_name");
+ *
+ * Besides the field itself, references to the old code are rewritten in:
+ *   - calculated fields, lookup field mappings and related records conditions
+ *   - the record title (app settings)
+ *   - views (fields, sort, filter, calendar date/title) and reports
+ *   - notification conditions and "field" recipients
+ *   - process management (assignee fields, action conditions)
+ *   - field and record permissions
+ *   - src/js: string literals that are exactly the old code
+ *
+ * Other usages in src/js (e.g. record.old_code.value) are listed with their
+ * line so they can be fixed by hand. Lookups and related records of other
+ * apps that point to this field are not checked.
+ *
+ * Note: This updates pre-live settings. Use deploy to apply changes.
+ */
+
+import { existsSync, readdirSync, readFileSync, statSync, writeFileSync } from "fs";
+import { extname, relative, resolve } from "path";
+import {
+  createKintoneClient,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
+
+/** Characters that can be part of a field code */
+const CODE_CHAR = /[\p{L}\p{N}_$・＿＄]/u;
+
+/** Source files searched for usages of the field code */
+const SOURCE_EXTENSIONS = [".ts", ".tsx", ".js", ".jsx", ".mjs", ".cjs"];
+
+/**
+ * Replace a field code in a query or formula, leaving quoted text alone
+ * @param {string} text - Query (filterCond, sort) or formula
+ * @param {string} oldCode
+ * @param {string} newCode
+ * @returns {string}
+ */
+function renameInQuery(text, oldCode, newCode) {
+  if (typeof text !== "string" || !text.includes(oldCode)) return text;
+
+  let result = "";
+  let i = 0;
+  while (i < text.length) {
+    if (text[i] === '"') {
+      let end = i + 1;
+      while (end < text.length && text[end] !== '"') end += text[end] === "\\" ? 2 : 1;
+      result += text.slice(i, end + 1);
+      i = end + 1;
+    } else if (
+      text.startsWith(oldCode, i) &&
+      !CODE_CHAR.test(text[i - 1] || "") &&
+      !CODE_CHAR.test(text[i + oldCode.length] || "")
+    ) {
+      result += newCode;
+      i += oldCode.length;
+    } else {
+      result += text[i];
+      i++;
+    }
+  }
+  return result;
+}
+
+/**
+ * Rename "field" entities (FIELD_ENTITY) anywhere inside a value
+ * @param {*} value - Changed in place
+ * @param {string} oldCode
+ * @param {string} newCode
+ */
+function renameFieldEntities(value, oldCode, newCode) {
+  if (Array.isArray(value)) {
+    value.forEach((item) => renameFieldEntities(item, oldCode, newCode));
+  } else if (value && typeof value === "object") {
+    if (value.type === "FIELD_ENTITY" && value.code === oldCode) value.code = newCode;
+    Object.values(value).forEach((item) => renameFieldEntities(item, oldCode, newCode));
+  }
+}
+
+/**
+ * App settings that can refer to a field code
+ * - fetch: reads the pre-live settings
+ * - rewrite: renames references in place (`rename.code` for a code, `rename.query` for a query)
+ * - update: writes the settings back
+ */
+const REFERENCES = [
+  {
+    label: "Record title",
+    fetch: (client, app) => client.app.getAppSettings({ app, preview: true }),
+    rewrite: (data, rename) => {
+      if (data.titleField?.code) data.titleField.code = rename.code(data.titleField.code);
+    },
+    update: (client, app, data) => client.app.updateAppSettings({ app, titleField: data.titleField })
+  },
+  {
+    label: "Views",
+    fetch: (client, app) => client.app.getViews({ app, preview: true }),
+    rewrite: (data, rename) => {
+      Object.values(data.views).forEach((view) => {
+        if (view.fields) view.fields = view.fields.map(rename.code);
+        if (view.date) view.date = rename.code(view.date);
+        if (view.title) view.title = rename.code(view.title);
+        view.sort = rename.query(view.sort);
+        view.filterCond = rename.query(view.filterCond);
+      });
+    },
+    update: (client, app, data) => client.app.updateViews({ app, views: data.views })
+  },
+  {
+    label: "Reports",
+    fetch: (client, app) => client.app.getReports({ app, preview: true }),
+    rewrite: (data, rename) => {
+      Object.values(data.reports).forEach((report) => {
+        (report.groups || []).forEach((group) => (group.code = rename.code(group.code)));
+        (report.aggregations || []).forEach((aggregation) => {
+          if (aggregation.code) aggregation.code = rename.code(aggregation.code);
+        });
+        report.filterCond = rename.query(report.filterCond);
+      });
+    },
+    update: (client, app, data) => client.app.updateReports({ app, reports: data.reports })
+  },
+  {
+    label: "General notifications",
+    fetch: (client, app) => client.app.getGeneralNotifications({ app, preview: true }),
+    // Only "field" recipients, which renameFieldEntities handles for every part
+    rewrite: () => {},
+    update: (client, app, data) =>
+      client.app.updateGeneralNotifications({ app, notifications: data.notifications })
+  },
+  {
+    label: "Per-record notifications",
+    fetch: (client, app) => client.app.getPerRecordNotifications({ app, preview: true }),
+    rewrite: (data, rename) => {
+      data.notifications.forEach((entry) => (entry.filterCond = rename.query(entry.filterCond)));
+    },
+    update: (client, app, data) =>
+      client.app.updatePerRecordNotifications({ app, notifications: data.notifications })
+  },
+  {
+    label: "Reminder notifications",
+    fetch: (client, app) => client.app.getReminderNotifications({ app, preview: true }),
+    rewrite: (data, rename) => {
+      data.notifications.forEach((entry) => {
+        if (entry.timing?.code) entry.timing.code = rename.code(entry.timing.code);
+        entry.filterCond = rename.query(entry.filterCond);
+      });
+    },
+    update: (client, app, data) =>
+      client.app.updateReminderNotifications({ app, notifications: data.notifications })
+  },
+  {
+    label: "Process management",
+    fetch: (client, app) => client.app.getProcessManagement({ app, preview: true }),
+    rewrite: (data, rename) => {
+      (data.actions || []).forEach((action) => (action.filterCond = rename.query(action.filterCond)));
+    },
+    update: (client, app, data) =>
+      client.app.updateProcessManagement({ app, states: data.states, actions: data.actions })
+  },
+  {
+    label: "Field permissions",
+    fetch: (client, app) => client.app.getFieldAcl({ app, preview: true }),
+    rewrite: (data, rename) => {
+      data.rights.forEach((right) => (right.code = rename.code(right.code)));
+    },
+    update: (client, app, data) => client.app.updateFieldAcl({ app, rights: data.rights })
+  },
+  {
+    label: "Record permissions",
+    fetch: (client, app) => client.app.getRecordAcl({ app, preview: true }),
+    rewrite: (data, rename) => {
+      data.rights.forEach((right) => (right.filterCond = rename.query(right.filterCond)));
+    },
+    update: (client, app, data) => client.app.updateRecordAcl({ app, rights: data.rights })
+  }
+];
+
+/**
+ * Build the updateFormFields request that renames a field
+ * Calculated fields, lookups and related records conditions of the same app
+ * are updated in the same request, so no formula ever points to a missing field.
+ * @param {Object} properties - Field properties from getFormFields
+ * @param {string} oldCode
+ * @param {string} newCode
+ * @returns {{ properties: Object, dependents: string[] }} Request properties and the other fields changed
+ */
+function buildRenameRequest(properties, oldCode, newCode) {
+  const fields = Object.values(properties).flatMap((property) =>
+    property.type === "SUBTABLE"
+      ? [{ property }, ...Object.values(property.fields).map((inner) => ({ property: inner, table: property.code }))]
+      : [{ property }]
+  );
+
+  const target = fields.find(({ property }) => property.code === oldCode);
+  if (!target) {
+    throw new Error(`Field ${oldCode} not found`);
+  }
+  if (fields.some(({ property }) => property.code === newCode)) {
+    throw new Error(`Field code ${newCode} is already used`);
+  }
+
+  const request = {};
+  const addChange = ({ property, table }, change) => {
+    const entry = { type: property.type, ...change };
+    if (table) {
+      request[table] = request[table] || { type: "SUBTABLE", fields: {} };
+      request[table].fields[property.code] = entry;
+    } else {
+      request[property.code] = { ...request[property.code], ...entry };
+    }
+  };
+
+  addChange(target, { code: newCode });
+
+  const dependents = [];
+  for (const field of fields) {
+    const { property } = field;
+    if (property.code === oldCode) continue;
+    const change = {};
+
+    if (property.expression) {
+      const expression = renameInQuery(property.expression, oldCode, newCode);
+      if (expression !== property.expression) change.expression = expression;
+    }
+    if (property.lookup?.fieldMappings.some((mapping) => mapping.field === oldCode)) {
+      change.lookup = {
+        ...property.lookup,
+        fieldMappings: property.lookup.fieldMappings.map((mapping) =>
+          mapping.field === oldCode ? { ...mapping, field: newCode } : mapping
+        )
+      };
+    }
+    if (property.referenceTable?.condition.field === oldCode) {
+      change.referenceTable = {
+        ...property.referenceTable,
+        condition: { ...property.referenceTable.condition, field: newCode }
+      };
+    }
+
+    if (Object.keys(change).length > 0) {
+      addChange(field, change);
+      dependents.push(property.code);
+    }
+  }
+
+  return { properties: request, dependents };
+}
+
+/**
+ * List source files below a folder
+ * @param {string} dir
+ * @returns {string[]} Absolute paths
+ */
+function listSourceFiles(dir) {
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir).flatMap((name) => {
+    const path = resolve(dir, name);
+    if (statSync(path).isDirectory()) return name === "node_modules" ? [] : listSourceFiles(path);
+    return SOURCE_EXTENSIONS.includes(extname(name)) ? [path] : [];
+  });
+}
+
+/**
+ * Find usages of a field code in source files
+ * String literals that are exactly the old code are replaced when `fix` is set.
+ * @param {string} rootDir - Root directory path
+ * @param {string} srcDir - Folder to search (relative to root)
+ * @param {string} oldCode
+ * @param {string} newCode
+ * @param {boolean} fix - Write the replacements
+ * @returns {{ fixed: string[], unfixed: string[] }} "path:line" entries
+ */
+function updateSourceFiles(rootDir, srcDir, oldCode, newCode, fix) {
+  const fixed = [];
+  const unfixed = [];
+  const escaped = oldCode.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const literal = new RegExp(`(["'\`])${escaped}\\1`, "g");
+
+  for (const file of listSourceFiles(resolve(rootDir, srcDir))) {
+    const path = relative(rootDir, file);
+    // Generated from the form; regenerate instead of editing
+    if (path.endsWith("fields.d.ts")) continue;
+
+    const lines = readFileSync(file, "utf-8").split("\n");
+    let changed = false;
+    lines.forEach((line, index) => {
+      if (!line.includes(oldCode)) return;
+      const replaced = line.replace(literal, (_, quote) => `${quote}${newCode}${quote}`);
+      if (replaced !== line) {
+        fixed.push(`${path}:${index + 1}`);
+        lines[index] = replaced;
+        changed = true;
+      }
+      let position = replaced.indexOf(oldCode);
+      while (position !== -1) {
+        const before = replaced[position - 1] || "";
+        const after = replaced[position + oldCode.length] || "";
+        if (!CODE_CHAR.test(before) && !CODE_CHAR.test(after)) {
+          unfixed.push(`${path}:${index + 1}: ${replaced.trim()}`);
+          break;
+        }
+        position = replaced.indexOf(oldCode, position + 1);
+      }
+    });
+    if (changed && fix) writeFileSync(file, lines.join("\n"), "utf-8");
+  }
+
+  return { fixed, unfixed };
+}
+
+/**
+ * Rename a field code
+ * @param {string|number} appId - The app ID
+ * @param {string} oldCode - Current field code
+ * @param {string} newCode - New field code
+ * @param {Object} [options]
+ * @param {boolean} [options.fixSource=true] - Replace string literals of the old code in src/js
+ * @param {string} [options.srcDir="src/js"] - Source folder to search (relative to the project root)
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
+ * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
+ * @returns {Promise<{ dependents: string[], updated: string[], failed: Array<{ label: string, message: string }>, source: { fixed: string[], unfixed: string[] } }>}
+ */
+export async function renameFormField(appId, oldCode, newCode, options = {}) {
+  const { fixSource = true, srcDir = "src/js", profile, guestSpaceId, silent = false, dryRun = false } = options;
+
+  if (!appId) {
+    throw new Error("App ID is required");
+  }
+  if (!oldCode || !newCode) {
+    throw new Error("Old and new field codes are required");
+  }
+  if (oldCode === newCode) {
+    throw new Error("The new field code is the same as the old one");
+  }
+
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
+  const rootDir = getRootDir(import.meta.url);
+
+  if (!silent) {
+    console.log(`\n🔄 Renaming field ${oldCode} → ${newCode} in App ${appId}...`);
+    logConnection(credentials);
+  }
+
+  const { properties: current } = await client.app.getFormFields({ app: appId, preview: true });
+  const { properties, dependents } = buildRenameRequest(current, oldCode, newCode);
+  const rename = {
+    code: (code) => (code === oldCode ? newCode : code),
+    query: (query) => renameInQuery(query, oldCode, newCode)
+  };
+
+  // Settings are read before the rename, in case kintone rewrites some of them itself
+  const settings = [];
+  for (const reference of REFERENCES) {
+    const data = await reference.fetch(client, appId);
+    const before = JSON.stringify(data);
+    reference.rewrite(data, rename);
+    renameFieldEntities(data, oldCode, newCode);
+    if (JSON.stringify(data) !== before) settings.push({ reference, data });
+  }
+
+  if (dryRun) {
+    const source = updateSourceFiles(rootDir, srcDir, oldCode, newCode, false);
+    const summary = [
+      `Field: ${oldCode} → ${newCode}`,
+      `Fields referring to it: ${dependents.length > 0 ? dependents.join(", ") : "none"}`,
+      `Settings to update: ${settings.length > 0 ? settings.map(({ reference }) => reference.label).join(", ") : "none"}`,
+      `${srcDir}: ${source.fixed.length} string(s) to replace, ${source.unfixed.length} usage(s) to fix by hand`,
+      ...source.unfixed.map((entry) => `  ? ${entry}`)
+    ];
+    return reportDryRun({ summary, request: { app: appId, properties } }, { silent });
+  }
+
+  await client.app.updateFormFields({ app: appId, properties });
+  if (!silent) {
+    console.log(`   ✓ Field renamed${dependents.length > 0 ? ` (also updated ${dependents.join(", ")})` : ""}`);
+  }
+
+  const updated = [];
+  const failed = [];
+  for (const { reference, data } of settings) {
+    try {
+      await reference.update(client, appId, data);
+      updated.push(reference.label);
+      if (!silent) console.log(`   ✓ ${reference.label}`);
+    } catch (error) {
+      failed.push({ label: reference.label, message: error.message });
+      if (!silent) console.log(`   ✗ ${reference.label}: ${error.message}`);
+    }
+  }
+
+  const source = updateSourceFiles(rootDir, srcDir, oldCode, newCode, fixSource);
+
+  if (!silent) {
+    console.log(`\n✅ Successfully renamed ${oldCode} to ${newCode} in App ${appId}`);
+    if (source.fixed.length > 0) {
+      console.log(`   ${fixSource ? "Replaced" : "Not replaced (--no-fix-src)"} in ${srcDir}: ${source.fixed.join(", ")}`);
+    }
+    if (failed.length > 0 || source.unfixed.length > 0) {
+      console.log(`\n⚠️  Could not update automatically:`);
+      failed.forEach(({ label, message }) => console.log(`   - ${label}: ${message}`));
+      source.unfixed.forEach((entry) => console.log(`   - ${entry}`));
+    }
+    console.log("");
+    console.log("📝 Next step:");
+    console.log(`   Deploy app: npm run deploy:app -- ${appId}`);
+    console.log(`   Regenerate types: npm run gen:fields -- ${appId}`);
+  }
+
+  return { dependents, updated, failed, source };
+}
+
+// CLI execution
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const [appId, oldCode, newCode] = args.filter(arg => !arg.startsWith("--"));
+  const fixSource = !args.includes("--no-fix-src");
+
+  if (!appId || !oldCode || !newCode) {
+    console.error("Error: App ID, old field code and new field code are required");
+    console.error("Usage: node scripts/app-management/form/rename-form-field.mjs <appId> <oldCode> <newCode> [--no-fix-src]");
+    console.error("Example: node scripts/app-management/form/rename-form-field.mjs 51 customer customer_name");
+    process.exit(1);
+  }
+
+  renameFormField(appId, oldCode, newCode, { fixSource, ...globals }).then((result) => {
+    writeResult(result, globals);
+    if (result.failed?.length > 0) process.exitCode = 1;
+  }).catch((error) => {
+    writeError(error, globals);
+    console.error("\n❌ Failed to rename field");
+    console.error(error.message);
+    if (error.errors) {
+      console.error("Details:", JSON.stringify(error.errors, null, 2));
+    }
+    process.exit(1);
+  });
+}
@@ -14,18 +14,32 @@
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  diffObjects,
+  formatDiff,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Update form fields of a kintone app
  * @param {string|number} appId - The app ID
  * @param {Object} properties - Field properties to update
  * @param {Object} options
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ revision: string }>}
  */
 export async function updateFormFields(appId, properties, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -35,12 +49,22 @@ export async function updateFormFields(appId, properties, options = {}) {
     throw new Error("Properties object is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   const fieldCount = Object.keys(properties).length;
   if (!silent) {
     console.log(`\n🔄 Updating ${fieldCount} field(s) in App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
+  }
+
+  if (dryRun) {
+    const current = await client.app.getFormFields({ app: appId, preview: true });
+    const diff = diffObjects(current.properties, properties, { partial: true });
+    const summary = formatDiff("Fields", { ...diff, added: [] });
+    if (diff.added.length > 0) {
+      summary.push(`⚠️  Not in the app, the request would fail: ${diff.added.join(", ")}`);
+    }
+    return reportDryRun({ summary, request: { app: appId, properties } }, { silent });
   }
 
   const result = await client.app.updateFormFields({
@@ -62,8 +86,10 @@ export async function updateFormFields(appId, properties, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
-  const fieldsJsonPath = process.argv[3];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const appId = args[0];
+  const fieldsJsonPath = args[1];
 
   if (!appId || !fieldsJsonPath) {
     console.error("Error: App ID and fields JSON path are required");
@@ -85,7 +111,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  updateFormFields(appId, properties).catch((error) => {
+  updateFormFields(appId, properties, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to update form fields");
     console.error(error.message);
     if (error.errors) {
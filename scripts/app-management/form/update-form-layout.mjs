@@ -32,11 +32,24 @@
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  diffByKey,
+  formatDiff,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 // Parse arguments
-const appId = process.argv[2];
-const layoutJsonPath = process.argv[3];
+const { args, globals } = parseCliArgs(process.argv.slice(2));
+if (globals.json) redirectLogsToStderr();
+const appId = args[0];
+const layoutJsonPath = args[1];
 
 if (!appId || !layoutJsonPath) {
   console.error("Error: App ID and layout JSON path are required");
@@ -60,8 +73,23 @@ if (!appId || !layoutJsonPath) {
   process.exit(1);
 }
 
+/**
+ * Collect the codes of fields, subtables and groups placed in a layout
+ * @param {Array} layout - Layout rows
+ * @returns {string[]}
+ */
+function collectLayoutCodes(layout) {
+  return layout.flatMap((row) => {
+    const fieldCodes = (row.fields || []).map((field) => field.code).filter(Boolean);
+    if (row.type === "GROUP") {
+      return [row.code, ...collectLayoutCodes(row.layout || [])];
+    }
+    return row.code ? [row.code, ...fieldCodes] : fieldCodes;
+  });
+}
+
 async function main() {
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile: globals.profile, guestSpaceId: globals.guestSpaceId });
   const rootDir = getRootDir(import.meta.url);
 
   // Load layout JSON
@@ -84,10 +112,22 @@ async function main() {
   }
 
   console.log(`\n🔄 Updating form layout for App ${appId}...`);
-  console.log(`   Domain: ${credentials.domain}`);
+  logConnection(credentials);
   console.log(`   Source: ${layoutJsonPath}`);
   console.log(`   Rows: ${layout.length}`);
 
+  if (globals.dryRun) {
+    const current = await client.app.getFormLayout({ app: appId, preview: true });
+    const summary = [`Rows: ${current.layout.length} → ${layout.length}`];
+    const diff = diffByKey(
+      collectLayoutCodes(current.layout),
+      collectLayoutCodes(layout),
+      (code) => code
+    );
+    summary.push(...formatDiff("Fields placed in layout", diff));
+    return reportDryRun({ summary, request: { app: appId, layout } });
+  }
+
   try {
     const result = await client.app.updateFormLayout({
       app: appId,
@@ -102,6 +142,7 @@ async function main() {
 
     return result;
   } catch (error) {
+    writeError(error, globals);
     console.error("\n❌ Failed to update form layout");
     console.error(error.message);
     if (error.errors) {
@@ -111,4 +152,8 @@ async function main() {
   }
 }
 
-main();
+main().then((result) => writeResult(result, globals)).catch((error) => {
+  writeError(error, globals);
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+});
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+/**
+ * kai - unified command-line entry point for the app-management scripts
+ *
+ * Usage:
+ *   kai <group> <command> [args...] [--profile=<name>] [--guest-space=<id>]
+ *   kai <group> <command> --help
+ *   kai completion <bash|zsh>
+ *
+ * Examples:
+ *   kai record get-all 51 --condition="status = \"Open\""
+ *   kai form add-fields 51 ./fields.json --profile=prod
+ *   kai acl evaluate 51 1 2 3
+ *
+ * Commands are read from the "node ./scripts/app-management/..." entries in
+ * package.json, so `npm run record:get-all` and `kai record get-all` always
+ * run the same script.
+ */
+
+import { spawnSync } from "child_process";
+import { readFileSync, realpathSync } from "fs";
+import { resolve } from "path";
+import { pathToFileURL } from "url";
+import {
+  GLOBAL_FLAGS,
+  formatGlobalArgs,
+  getRootDir,
+  parseCliArgs
+} from "./common/index.mjs";
+
+const SCRIPT_PATTERN = /^node \.\/(scripts\/app-management\/\S+\.mjs)$/;
+
+/**
+ * Load the command table from package.json scripts
+ * @param {string} rootDir - Root directory path
+ * @returns {Map<string, Map<string, string>>} group -> command -> script path
+ */
+export function loadCommands(rootDir) {
+  const packageJson = JSON.parse(
+    readFileSync(resolve(rootDir, "package.json"), "utf-8")
+  );
+  const commands = new Map();
+
+  for (const [name, script] of Object.entries(packageJson.scripts || {})) {
+    const match = script.match(SCRIPT_PATTERN);
+    const [group, command] = name.split(":");
+    if (!match || !command) continue;
+
+    if (!commands.has(group)) commands.set(group, new Map());
+    commands.get(group).set(command, match[1]);
+  }
+
+  return commands;
+}
+
+/**
+ * Read the JSDoc header of a script for help output
+ * The "Usage (Programmatic)" block is dropped and script paths in the
+ * "Usage" lines are rewritten to the kai command.
+ * @param {string} rootDir - Root directory path
+ * @param {string} scriptPath - Script path relative to root
+ * @param {string} commandName - kai command (e.g. "record get-all")
+ * @returns {{ summary: string, body: string[] }}
+ */
+export function readScriptDoc(rootDir, scriptPath, commandName) {
+  const content = readFileSync(resolve(rootDir, scriptPath), "utf-8");
+  const header = content.match(/\/\*\*([\s\S]*?)\*\//);
+  if (!header) return { summary: "", body: [] };
+
+  const lines = header[1]
+    .split("\n")
+    .map((line) => line.replace(/^\s*\* ?/, "").trimEnd())
+    .map((line) =>
+      line.replace(/node (\.\/)?scripts\/app-management\/\S+\.mjs/g, `kai ${commandName}`)
+    );
+
+  while (lines.length > 0 && !lines[0]) lines.shift();
+  while (lines.length > 0 && !lines[lines.length - 1]) lines.pop();
+
+  const summary = lines.shift() || "";
+  const body = [];
+  let skipping = false;
+  for (const line of lines) {
+    if (line.startsWith("Usage (Programmatic)")) {
+      skipping = true;
+      continue;
+    }
+    if (skipping) {
+      if (line) continue;
+      skipping = false;
+    }
+    if (!line && (body.length === 0 || !body[body.length - 1])) continue;
+    body.push(line);
+  }
+
+  return { summary, body };
+}
+
+/**
+ * Format the global flags section of the help output
+ * @returns {string[]}
+ */
+function formatGlobalFlagsHelp() {
+  const entries = Object.entries(GLOBAL_FLAGS).map(([name, definition]) => [
+    definition.type === "string" ? `--${name}=${definition.placeholder}` : `--${name}`,
+    definition.description
+  ]);
+  entries.push(["--help, -h", "Show help"]);
+
+  const width = Math.max(...entries.map(([flag]) => flag.length));
+  return entries.map(([flag, description]) => `  ${flag.padEnd(width)}  ${description}`);
+}
+
+/**
+ * Print help for all commands, or for one group
+ * @param {string} rootDir
+ * @param {Map<string, Map<string, string>>} commands
+ * @param {string} [group] - Only list this group
+ */
+function printCommandList(rootDir, commands, group) {
+  const groups = group ? [group] : [...commands.keys()];
+
+  console.log(
+    `Usage: kai ${group || "<group>"} <command> [args...] [global flags]`
+  );
+  console.log("");
+  console.log("Commands:");
+
+  const rows = [];
+  for (const name of groups) {
+    for (const [command, scriptPath] of commands.get(name)) {
+      const { summary } = readScriptDoc(rootDir, scriptPath, `${name} ${command}`);
+      rows.push([`${name} ${command}`, summary]);
+    }
+  }
+  const width = Math.max(...rows.map(([name]) => name.length));
+  rows.forEach(([name, summary]) => {
+    console.log(`  ${name.padEnd(width)}  ${summary}`);
+  });
+
+  console.log("");
+  console.log("Global flags:");
+  formatGlobalFlagsHelp().forEach((line) => console.log(line));
+  if (!group) {
+    console.log("");
+    console.log("Run `kai <group> <command> --help` for details of a command.");
+    console.log("Run `kai completion bash` (or zsh) to print a shell completion script.");
+  }
+}
+
+/**
+ * Print help for a single command
+ * @param {string} rootDir
+ * @param {string} commandName - kai command (e.g. "record get-all")
+ * @param {string} scriptPath - Script path relative to root
+ */
+function printCommandHelp(rootDir, commandName, scriptPath) {
+  const { summary, body } = readScriptDoc(rootDir, scriptPath, commandName);
+
+  console.log(`kai ${commandName} - ${summary}`);
+  if (body.length > 0) {
+    console.log("");
+    body.forEach((line) => console.log(line));
+  }
+  console.log("");
+  console.log("Global flags:");
+  formatGlobalFlagsHelp().forEach((line) => console.log(line));
+}
+
+/**
+ * Build a shell completion script
+ * @param {Map<string, Map<string, string>>} commands
+ * @param {"bash"|"zsh"} shell
+ * @returns {string} Completion script
+ */
+export function buildCompletionScript(commands, shell) {
+  const groups = [...commands.keys(), "completion", "help"].join(" ");
+  const flags = [
+    ...Object.entries(GLOBAL_FLAGS).map(([name, definition]) =>
+      definition.type === "string" ? `--${name}=` : `--${name}`
+    ),
+    "--help"
+  ].join(" ");
+  const cases = [...commands.entries()]
+    .map(([group, groupCommands]) => {
+      return `    ${group}) COMPREPLY=($(compgen -W "${[...groupCommands.keys()].join(" ")}" -- "$cur")) ;;`;
+    })
+    .concat(`    completion) COMPREPLY=($(compgen -W "bash zsh" -- "$cur")) ;;`)
+    .join("\n");
+
+  const script = `_kai_completion() {
+  local cur="\${COMP_WORDS[COMP_CWORD]}"
+  if [[ "$cur" == --* ]]; then
+    COMPREPLY=($(compgen -W "${flags}" -- "$cur"))
+    [[ "\${COMPREPLY[0]}" == *= ]] && compopt -o nospace
+    return
+  fi
+  if [[ $COMP_CWORD -eq 1 ]]; then
+    COMPREPLY=($(compgen -W "${groups}" -- "$cur"))
+    return
+  fi
+  if [[ $COMP_CWORD -eq 2 ]]; then
+    case "\${COMP_WORDS[1]}" in
+${cases}
+    esac
+  fi
+}
+complete -o default -F _kai_completion kai
+`;
+
+  if (shell === "zsh") {
+    return `autoload -U +X bashcompinit && bashcompinit\n${script}`;
+  }
+  return script;
+}
+
+// CLI execution
+// (argv[1] is resolved because `npm link` runs kai through a bin symlink)
+const isMainModule =
+  import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href;
+if (isMainModule) {
+  const rootDir = getRootDir(import.meta.url);
+  const commands = loadCommands(rootDir);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  const [group, command, ...rest] = args;
+  const wantsHelp = (args) => args.includes("--help") || args.includes("-h");
+
+  if (!group || group === "help" || group === "--help" || group === "-h") {
+    printCommandList(rootDir, commands);
+    process.exit(0);
+  }
+
+  if (group === "completion") {
+    if (command !== "bash" && command !== "zsh") {
+      console.error("Error: Shell must be bash or zsh");
+      console.error("Usage: kai completion <bash|zsh>");
+      console.error("Example: kai completion bash >> ~/.bashrc");
+      process.exit(1);
+    }
+    process.stdout.write(buildCompletionScript(commands, command));
+    process.exit(0);
+  }
+
+  if (!commands.has(group)) {
+    console.error(`Error: Unknown command group "${group}"`);
+    console.error(`Available groups: ${[...commands.keys()].join(", ")}`);
+    process.exit(1);
+  }
+
+  if (!command || command === "--help" || command === "-h") {
+    printCommandList(rootDir, commands, group);
+    process.exit(command ? 0 : 1);
+  }
+
+  const scriptPath = commands.get(group).get(command);
+  if (!scriptPath) {
+    console.error(`Error: Unknown command "${group} ${command}"`);
+    console.error(`Available commands: ${[...commands.get(group).keys()].join(", ")}`);
+    process.exit(1);
+  }
+
+  if (wantsHelp(rest)) {
+    printCommandHelp(rootDir, `${group} ${command}`, scriptPath);
+    process.exit(0);
+  }
+
+  const result = spawnSync(
+    process.execPath,
+    [resolve(rootDir, scriptPath), ...rest, ...formatGlobalArgs(globals)],
+    { stdio: "inherit" }
+  );
+  process.exit(result.status ?? 1);
+}
@@ -30,33 +30,64 @@
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  describePropertyChanges,
+  diffByKey,
+  formatDiff,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Update general notification settings
  * @param {string|number} appId - The app ID
  * @param {Object} notificationSettings - Notification settings
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ revision: string }>}
  */
 export async function updateGeneralNotifications(appId, notificationSettings, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Updating general notifications for App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     if (notificationSettings.notifications) {
       console.log(`   Notification entries: ${notificationSettings.notifications.length}`);
     }
   }
 
+  if (dryRun) {
+    const current = await client.app.getGeneralNotifications({ app: appId, preview: true });
+    const { notifications, ...otherSettings } = notificationSettings;
+    const summary = describePropertyChanges(current, otherSettings);
+    if (notifications) {
+      const diff = diffByKey(current.notifications, notifications, (entry) =>
+        [entry.entity.type, entry.entity.code].filter(Boolean).join(":")
+      );
+      summary.push(...formatDiff("Notification entries", diff));
+    }
+    return reportDryRun(
+      { summary, request: { app: appId, ...notificationSettings } },
+      { silent }
+    );
+  }
+
   const result = await client.app.updateGeneralNotifications({
     app: appId,
     ...notificationSettings
@@ -76,8 +107,10 @@ export async function updateGeneralNotifications(appId, notificationSettings, op
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
-  const jsonPath = process.argv[3];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const appId = args[0];
+  const jsonPath = args[1];
 
   if (!appId || !jsonPath) {
     console.error("Error: App ID and notifications JSON path are required");
@@ -98,7 +131,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  updateGeneralNotifications(appId, notificationSettings).catch((error) => {
+  updateGeneralNotifications(appId, notificationSettings, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to update general notifications");
     console.error(error.message);
     if (error.errors) {
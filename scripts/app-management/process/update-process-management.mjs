@@ -29,7 +29,20 @@
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  describePropertyChanges,
+  diffByKey,
+  diffObjects,
+  formatDiff,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Update process management settings of a kintone app
@@ -39,11 +52,14 @@ import { createKintoneClient, getRootDir } from "../common/index.mjs";
  * @param {Object} [processSettings.states] - Status definitions
  * @param {Array} [processSettings.actions] - Action definitions
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ revision: string }>}
  */
 export async function updateProcessManagement(appId, processSettings, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -53,11 +69,11 @@ export async function updateProcessManagement(appId, processSettings, options =
     throw new Error("Process settings object is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Updating process management settings for App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     if (processSettings.enable !== undefined) {
       console.log(`   Enable: ${processSettings.enable}`);
     }
@@ -69,6 +85,23 @@ export async function updateProcessManagement(appId, processSettings, options =
     }
   }
 
+  if (dryRun) {
+    const current = await client.app.getProcessManagement({ app: appId, preview: true });
+    const { states, actions, ...otherSettings } = processSettings;
+    const summary = describePropertyChanges(current, otherSettings);
+    if (states) {
+      summary.push(...formatDiff("States", diffObjects(current.states, states)));
+    }
+    if (actions) {
+      const diff = diffByKey(current.actions || [], actions, (action) => action.name);
+      summary.push(...formatDiff("Actions", diff));
+    }
+    return reportDryRun(
+      { summary, request: { app: appId, ...processSettings } },
+      { silent }
+    );
+  }
+
   const result = await client.app.updateProcessManagement({
     app: appId,
     ...processSettings
@@ -88,8 +121,10 @@ export async function updateProcessManagement(appId, processSettings, options =
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
-  const processJsonPath = process.argv[3];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const appId = args[0];
+  const processJsonPath = args[1];
 
   if (!appId || !processJsonPath) {
     console.error("Error: App ID and process JSON path are required");
@@ -126,7 +161,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  updateProcessManagement(appId, processSettings).catch((error) => {
+  updateProcessManagement(appId, processSettings, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to update process management settings");
     console.error(error.message);
     if (error.errors) {
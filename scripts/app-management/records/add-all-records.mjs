@@ -3,7 +3,8 @@
  * Add unlimited records to a kintone app
  *
  * Usage (CLI):
- *   node scripts/app-management/records/add-all-records.mjs <appId> <recordsJsonPath>
+ *   node scripts/app-management/records/add-all-records.mjs <appId> <recordsJsonPath> [--resume] [--rollback-on-error] [--no-validate]
+ *   node scripts/app-management/records/add-all-records.mjs <appId> <recordsJsonPath> --rollback
  *
  * Usage (Programmatic):
  *   import { addAllRecords } from "./add-all-records.mjs";
@@ -20,22 +21,86 @@
  *
  * WARNING: Records are processed in chunks of 2000. Rollback is per chunk.
  * If an error occurs, some records may have been added.
+ *
+ * Progress is saved to kintone-app-structure/checkpoints/ after every chunk.
+ * After a failure, run the same command with --resume to add only the
+ * remaining chunks, or with --rollback to delete the records that were added.
+ * --rollback-on-error deletes them right away when a chunk fails.
+ *
+ * To import a CSV or XLSX file, use import-records.mjs (npm run record:import).
+ *
+ * Records are checked against the app's form before anything is sent
+ * (required, length, value range, options, unique inside the file); every
+ * problem is listed per record and field. --no-validate skips the check.
  */
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  assertValidRecords,
+  createKintoneClient,
+  fetchRecordSchema,
+  formatGlobalArgs,
+  getCheckpointPath,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  readCheckpoint,
+  redirectLogsToStderr,
+  removeCheckpoint,
+  reportDryRun,
+  runWithCheckpoint,
+  summarizeNewRecords,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
+
+/**
+ * Delete the records a checkpoint says were added, then remove the checkpoint
+ * @param {import("@kintone/rest-api-client").KintoneRestAPIClient} client
+ * @param {string|number} appId - The app ID
+ * @param {string} checkpointPath - Checkpoint file path
+ * @returns {Promise<number>} Number of records deleted
+ */
+async function deleteAddedRecords(client, appId, checkpointPath) {
+  const checkpoint = readCheckpoint(checkpointPath);
+  const added = checkpoint?.results || [];
+  if (added.length > 0) {
+    await client.record.deleteAllRecords({
+      app: appId,
+      records: added.map(({ id }) => ({ id }))
+    });
+  }
+  removeCheckpoint(checkpointPath);
+  return added.length;
+}
 
 /**
  * Add unlimited records
  * @param {string|number} appId - The app ID
  * @param {Object[]} records - Array of record objects (no limit)
  * @param {Object} [options]
+ * @param {boolean} [options.resume=false] - Continue a failed run from its checkpoint
+ * @param {boolean} [options.rollbackOnError=false] - Delete the records already added when a chunk fails
+ * @param {boolean} [options.validate=true] - Check the records against the app's form before sending
+ * @param {{ fields: Object }} [options.schema] - Record schema to check with (default: built from the app's form)
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ records: Array<{id: string, revision: string}> }>}
  */
 export async function addAllRecords(appId, records, options = {}) {
-  const { silent = false } = options;
+  const {
+    resume = false,
+    rollbackOnError = false,
+    validate = true,
+    schema,
+    profile,
+    guestSpaceId,
+    silent = false,
+    dryRun = false
+  } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -44,20 +109,44 @@ export async function addAllRecords(appId, records, options = {}) {
     throw new Error("Records array is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Adding ${records.length} record(s) to App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     if (records.length > 100) {
       console.log(`   ⚠️  Processing in chunks (rollback is per 2000 records)`);
     }
   }
 
-  const result = await client.record.addAllRecords({
-    app: appId,
-    records
-  });
+  if (validate) {
+    assertValidRecords(schema || (await fetchRecordSchema(client, appId)), records);
+  }
+
+  if (dryRun) {
+    const summary = await summarizeNewRecords(client, appId, records);
+    return reportDryRun({ summary, request: { app: appId, records } }, { silent });
+  }
+
+  let result;
+  try {
+    const { results } = await runWithCheckpoint({
+      appId,
+      operation: "add",
+      items: records,
+      resume,
+      silent,
+      writeChunk: async (chunk) => (await client.record.addAllRecords({ app: appId, records: chunk })).records
+    });
+    result = { records: results };
+  } catch (error) {
+    if (rollbackOnError && error.checkpoint) {
+      if (!silent) console.log(`\n↩️  Rolling back records added before the error...`);
+      error.rolledBack = await deleteAddedRecords(client, appId, error.checkpoint);
+      delete error.checkpoint;
+    }
+    throw error;
+  }
 
   if (!silent) {
     console.log(`\n✅ Successfully added ${result.records.length} record(s)`);
@@ -66,15 +155,73 @@ export async function addAllRecords(appId, records, options = {}) {
   return result;
 }
 
+/**
+ * Delete the records added by a failed addAllRecords run
+ * @param {string|number} appId - The app ID
+ * @param {Object[]} records - The same records array the failed run was given
+ * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
+ * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
+ * @returns {Promise<{ deleted: number }>}
+ */
+export async function rollbackAddAllRecords(appId, records, options = {}) {
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
+
+  if (!appId) {
+    throw new Error("App ID is required");
+  }
+  if (!records || !Array.isArray(records) || records.length === 0) {
+    throw new Error("Records array is required");
+  }
+
+  const checkpointPath = getCheckpointPath(appId, "add", records);
+  const checkpoint = readCheckpoint(checkpointPath);
+  if (!checkpoint) {
+    throw new Error(`No checkpoint found for these records (${checkpointPath})`);
+  }
+
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
+
+  if (!silent) {
+    console.log(`\n🔄 Rolling back ${checkpoint.results.length} added record(s) in App ${appId}...`);
+    logConnection(credentials);
+    console.log(`   Checkpoint: ${checkpointPath}`);
+  }
+
+  if (dryRun) {
+    const ids = checkpoint.results.map(({ id }) => ({ id }));
+    return reportDryRun(
+      { summary: [`Records to delete: ${ids.length}`], request: { app: appId, records: ids } },
+      { silent }
+    );
+  }
+
+  const deleted = await deleteAddedRecords(client, appId, checkpointPath);
+
+  if (!silent) {
+    console.log(`\n✅ Successfully deleted ${deleted} record(s) and removed the checkpoint`);
+  }
+
+  return { deleted };
+}
+
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
-  const recordsJsonPath = process.argv[3];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const [appId, recordsJsonPath] = args.filter(arg => !arg.startsWith("--"));
+  const resume = args.includes("--resume");
+  const rollbackOnError = args.includes("--rollback-on-error");
+  const rollback = args.includes("--rollback");
+  const validate = !args.includes("--no-validate");
 
   if (!appId || !recordsJsonPath) {
     console.error("Error: App ID and records JSON path are required");
-    console.error("Usage: node scripts/app-management/records/add-all-records.mjs <appId> <recordsJsonPath>");
+    console.error("Usage: node scripts/app-management/records/add-all-records.mjs <appId> <recordsJsonPath> [--resume] [--rollback-on-error] [--no-validate]");
+    console.error("       node scripts/app-management/records/add-all-records.mjs <appId> <recordsJsonPath> --rollback");
     process.exit(1);
   }
 
@@ -90,16 +237,27 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  addAllRecords(appId, records).catch((error) => {
-    console.error("\n❌ Failed to add all records");
+  const run = rollback
+    ? rollbackAddAllRecords(appId, records, globals)
+    : addAllRecords(appId, records, { resume, rollbackOnError, validate, ...globals });
+
+  run.then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
+    console.error(rollback ? "\n❌ Failed to roll back added records" : "\n❌ Failed to add all records");
     console.error(error.message);
     if (error.errors) {
       console.error("Details:", JSON.stringify(error.errors, null, 2));
     }
     // Check for partial success
-    if (error.processedRecordsResult) {
+    if (error.rolledBack !== undefined) {
+      console.error(`\n↩️  Rolled back ${error.rolledBack} record(s) added before the error`);
+    } else if (error.checkpoint && error.completedRecords !== undefined) {
+      const command = ["node scripts/app-management/records/add-all-records.mjs", appId, recordsJsonPath, ...formatGlobalArgs(globals)].join(" ");
       console.error("\n⚠️  Partial records were added:");
-      console.error(`   Added: ${error.processedRecordsResult.records?.length || 0}`);
+      console.error(`   Added: ${error.completedRecords}`);
+      console.error(`   Checkpoint: ${error.checkpoint}`);
+      console.error(`   Continue: ${command} --resume`);
+      console.error(`   Undo:     ${command} --rollback`);
     }
     process.exit(1);
   });
@@ -27,7 +27,16 @@
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Add a comment to a record
@@ -39,11 +48,14 @@ import { createKintoneClient, getRootDir } from "../common/index.mjs";
  * @param {string} comment.mentions[].code - User/group/organization code
  * @param {string} comment.mentions[].type - USER, GROUP, or ORGANIZATION
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ id: string }>}
  */
 export async function addRecordComment(appId, recordId, comment, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -55,11 +67,24 @@ export async function addRecordComment(appId, recordId, comment, options = {}) {
     throw new Error("Comment text is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Adding comment to record ${recordId} in App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
+  }
+
+  if (dryRun) {
+    // Fails here, as the real request would, when the record does not exist
+    await client.record.getRecord({ app: appId, id: recordId });
+    const summary = [`Would add a ${comment.text.length}-character comment to record ${recordId}`];
+    if (comment.mentions?.length) {
+      summary.push(`Mentions: ${comment.mentions.map((mention) => mention.code).join(", ")}`);
+    }
+    return reportDryRun(
+      { summary, request: { app: appId, record: recordId, comment } },
+      { silent }
+    );
   }
 
   const result = await client.record.addRecordComment({
@@ -79,7 +104,8 @@ export async function addRecordComment(appId, recordId, comment, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const args = process.argv.slice(2);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
   const appId = args[0];
   const recordId = args[1];
   const jsonArg = args.find(arg => arg.startsWith("--json="));
@@ -110,7 +136,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  addRecordComment(appId, recordId, comment).catch((error) => {
+  addRecordComment(appId, recordId, comment, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to add comment");
     console.error(error.message);
     if (error.errors) {
@@ -18,28 +18,46 @@
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  summarizeNewRecords,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Add a single record
  * @param {string|number} appId - The app ID
  * @param {Object} record - Record object with field codes and values
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ id: string, revision: string }>}
  */
 export async function addRecord(appId, record, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Adding record to App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
+  }
+
+  if (dryRun) {
+    const summary = await summarizeNewRecords(client, appId, [record || {}]);
+    return reportDryRun({ summary, request: { app: appId, record: record || {} } }, { silent });
   }
 
   const result = await client.record.addRecord({
@@ -59,8 +77,10 @@ export async function addRecord(appId, record, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
-  const recordJsonPath = process.argv[3];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const appId = args[0];
+  const recordJsonPath = args[1];
 
   if (!appId) {
     console.error("Error: App ID is required");
@@ -82,7 +102,8 @@ if (isMainModule) {
     }
   }
 
-  addRecord(appId, record).catch((error) => {
+  addRecord(appId, record, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to add record");
     console.error(error.message);
     if (error.errors) {
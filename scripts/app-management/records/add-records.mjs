@@ -3,7 +3,7 @@
  * Add multiple records to a kintone app (max 100)
  *
  * Usage (CLI):
- *   node scripts/app-management/records/add-records.mjs <appId> <recordsJsonPath>
+ *   node scripts/app-management/records/add-records.mjs <appId> <recordsJsonPath> [--no-validate]
  *
  * Usage (Programmatic):
  *   import { addRecords } from "./add-records.mjs";
@@ -19,22 +19,43 @@
  * ]
  *
  * Note: Maximum 100 records. Use addAllRecords for more.
+ *
+ * Records are checked against the app's form before anything is sent
+ * (required, length, value range, options, unique inside the file); every
+ * problem is listed per record and field. --no-validate skips the check.
  */
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  assertValidRecords,
+  createKintoneClient,
+  fetchRecordSchema,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  summarizeNewRecords,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Add multiple records
  * @param {string|number} appId - The app ID
  * @param {Object[]} records - Array of record objects
  * @param {Object} [options]
+ * @param {boolean} [options.validate=true] - Check the records against the app's form before sending
+ * @param {{ fields: Object }} [options.schema] - Record schema to check with (default: built from the app's form)
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ ids: string[], revisions: string[], records: Array<{id: string, revision: string}> }>}
  */
 export async function addRecords(appId, records, options = {}) {
-  const { silent = false } = options;
+  const { validate = true, schema, profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -46,11 +67,20 @@ export async function addRecords(appId, records, options = {}) {
     throw new Error("Maximum 100 records allowed. Use addAllRecords for more.");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Adding ${records.length} record(s) to App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
+  }
+
+  if (validate) {
+    assertValidRecords(schema || (await fetchRecordSchema(client, appId)), records);
+  }
+
+  if (dryRun) {
+    const summary = await summarizeNewRecords(client, appId, records);
+    return reportDryRun({ summary, request: { app: appId, records } }, { silent });
   }
 
   const result = await client.record.addRecords({
@@ -69,12 +99,14 @@ export async function addRecords(appId, records, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
-  const recordsJsonPath = process.argv[3];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const [appId, recordsJsonPath] = args.filter(arg => !arg.startsWith("--"));
+  const validate = !args.includes("--no-validate");
 
   if (!appId || !recordsJsonPath) {
     console.error("Error: App ID and records JSON path are required");
-    console.error("Usage: node scripts/app-management/records/add-records.mjs <appId> <recordsJsonPath>");
+    console.error("Usage: node scripts/app-management/records/add-records.mjs <appId> <recordsJsonPath> [--no-validate]");
     process.exit(1);
   }
 
@@ -90,7 +122,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  addRecords(appId, records).catch((error) => {
+  addRecords(appId, records, { validate, ...globals }).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to add records");
     console.error(error.message);
     if (error.errors) {
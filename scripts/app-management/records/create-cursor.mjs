@@ -14,7 +14,14 @@
  * Maximum size is 500 records per getRecordsByCursor call.
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Create a cursor for record retrieval
@@ -23,21 +30,23 @@ import { createKintoneClient } from "../common/index.mjs";
  * @param {string} [options.query] - Query string
  * @param {string[]} [options.fields] - Field codes to include
  * @param {number} [options.size] - Max records per fetch (default 100, max 500)
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
  * @returns {Promise<{ id: string, totalCount: string }>}
  */
 export async function createCursor(appId, options = {}) {
-  const { query, fields, size, silent = false } = options;
+  const { query, fields, size, profile, guestSpaceId, silent = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Creating cursor for App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     if (query) console.log(`   Query: ${query}`);
     if (size) console.log(`   Size: ${size}`);
   }
@@ -64,7 +73,8 @@ export async function createCursor(appId, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const args = process.argv.slice(2);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
   const appId = args.find(arg => !arg.startsWith("--"));
   const queryArg = args.find(arg => arg.startsWith("--query="));
   const fieldsArg = args.find(arg => arg.startsWith("--fields="));
@@ -81,7 +91,8 @@ if (isMainModule) {
   if (fieldsArg) options.fields = fieldsArg.replace("--fields=", "").split(",");
   if (sizeArg) options.size = parseInt(sizeArg.replace("--size=", ""));
 
-  createCursor(appId, options).catch((error) => {
+  createCursor(appId, { ...options, ...globals }).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to create cursor");
     console.error(error.message);
     process.exit(1);
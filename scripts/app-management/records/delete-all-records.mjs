@@ -3,7 +3,7 @@
  * Delete unlimited records from a kintone app
  *
  * Usage (CLI):
- *   node scripts/app-management/records/delete-all-records.mjs <appId> <recordsJsonPath>
+ *   node scripts/app-management/records/delete-all-records.mjs <appId> <recordsJsonPath> [--resume]
  *
  * Usage (Programmatic):
  *   import { deleteAllRecords } from "./delete-all-records.mjs";
@@ -21,22 +21,42 @@
  *
  * WARNING: Records are processed in chunks of 2000. Rollback is per chunk.
  * If an error occurs, some records may have been deleted.
+ *
+ * Progress is saved to kintone-app-structure/checkpoints/ after every chunk.
+ * After a failure, run the same command with --resume to delete only the
+ * remaining chunks (records deleted earlier are not requested again).
  */
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  fetchRecordTargets,
+  formatGlobalArgs,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  runWithCheckpoint,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Delete unlimited records
  * @param {string|number} appId - The app ID
  * @param {Object[]} records - Array of objects with id and optional revision
  * @param {Object} [options]
+ * @param {boolean} [options.resume=false] - Continue a failed run from its checkpoint
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{}>}
  */
 export async function deleteAllRecords(appId, records, options = {}) {
-  const { silent = false } = options;
+  const { resume = false, profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -45,19 +65,36 @@ export async function deleteAllRecords(appId, records, options = {}) {
     throw new Error("Records array is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Deleting ${records.length} record(s) from App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     if (records.length > 100) {
       console.log(`   ⚠️  Processing in chunks (rollback is per 2000 records)`);
     }
   }
 
-  await client.record.deleteAllRecords({
-    app: appId,
-    records
+  if (dryRun) {
+    const current = await fetchRecordTargets(client, appId, records);
+    const missing = records.map((record) => record.id).filter((id) => !current.has(`$id=${id}`));
+    const summary = [`Records to delete: ${records.length - missing.length}`];
+    if (missing.length > 0) {
+      summary.push(`⚠️  ${missing.length} not found, the request would fail: ${missing.slice(0, 20).join(", ")}`);
+    }
+    return reportDryRun({ summary, request: { app: appId, records } }, { silent });
+  }
+
+  await runWithCheckpoint({
+    appId,
+    operation: "delete",
+    items: records,
+    resume,
+    silent,
+    writeChunk: async (chunk) => {
+      await client.record.deleteAllRecords({ app: appId, records: chunk });
+      return [];
+    }
   });
 
   if (!silent) {
@@ -70,12 +107,14 @@ export async function deleteAllRecords(appId, records, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
-  const recordsJsonPath = process.argv[3];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const [appId, recordsJsonPath] = args.filter(arg => !arg.startsWith("--"));
+  const resume = args.includes("--resume");
 
   if (!appId || !recordsJsonPath) {
     console.error("Error: App ID and records JSON path are required");
-    console.error("Usage: node scripts/app-management/records/delete-all-records.mjs <appId> <recordsJsonPath>");
+    console.error("Usage: node scripts/app-management/records/delete-all-records.mjs <appId> <recordsJsonPath> [--resume]");
     console.error("");
     console.error("JSON format: [{ \"id\": \"1\" }, { \"id\": \"2\", \"revision\": \"5\" }]");
     process.exit(1);
@@ -93,14 +132,19 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  deleteAllRecords(appId, records).catch((error) => {
+  deleteAllRecords(appId, records, { resume, ...globals }).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to delete all records");
     console.error(error.message);
     if (error.errors) {
       console.error("Details:", JSON.stringify(error.errors, null, 2));
     }
-    if (error.processedRecordsResult) {
-      console.error("\n⚠️  Partial records were deleted before error");
+    if (error.checkpoint && error.completedRecords !== undefined) {
+      const command = ["node scripts/app-management/records/delete-all-records.mjs", appId, recordsJsonPath, ...formatGlobalArgs(globals)].join(" ");
+      console.error("\n⚠️  Partial records were deleted:");
+      console.error(`   Deleted: ${error.completedRecords}`);
+      console.error(`   Checkpoint: ${error.checkpoint}`);
+      console.error(`   Continue: ${command} --resume`);
     }
     process.exit(1);
   });
@@ -13,27 +13,36 @@
  * but you should manually delete them if you don't need all records.
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Delete a cursor
  * @param {string} cursorId - The cursor ID
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
  * @returns {Promise<{}>}
  */
 export async function deleteCursor(cursorId, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false } = options;
 
   if (!cursorId) {
     throw new Error("Cursor ID is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Deleting cursor...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     console.log(`   Cursor ID: ${cursorId}`);
   }
 
@@ -49,7 +58,9 @@ export async function deleteCursor(cursorId, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const cursorId = process.argv[2];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const cursorId = args[0];
 
   if (!cursorId) {
     console.error("Error: Cursor ID is required");
@@ -57,7 +68,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  deleteCursor(cursorId).catch((error) => {
+  deleteCursor(cursorId, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to delete cursor");
     console.error(error.message);
     process.exit(1);
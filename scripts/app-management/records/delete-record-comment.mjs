@@ -10,7 +10,15 @@
  *   await deleteRecordComment("51", "1", "5");
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Delete a comment from a record
@@ -18,11 +26,14 @@ import { createKintoneClient } from "../common/index.mjs";
  * @param {string|number} recordId - The record ID
  * @param {string|number} commentId - The comment ID
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{}>}
  */
 export async function deleteRecordComment(appId, recordId, commentId, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -34,11 +45,23 @@ export async function deleteRecordComment(appId, recordId, commentId, options =
     throw new Error("Comment ID is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Deleting comment ${commentId} from record ${recordId} in App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
+  }
+
+  if (dryRun) {
+    const { comments } = await client.record.getRecordComments({ app: appId, record: recordId });
+    const target = comments.find((entry) => String(entry.id) === String(commentId));
+    const summary = target
+      ? [`Would delete comment ${commentId} by ${target.creator.name}: "${target.text.slice(0, 60)}"`]
+      : [`⚠️  Comment ${commentId} is not among the latest comments of record ${recordId}`];
+    return reportDryRun(
+      { summary, request: { app: appId, record: recordId, comment: commentId } },
+      { silent }
+    );
   }
 
   await client.record.deleteRecordComment({
@@ -57,9 +80,11 @@ export async function deleteRecordComment(appId, recordId, commentId, options =
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
-  const recordId = process.argv[3];
-  const commentId = process.argv[4];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const appId = args[0];
+  const recordId = args[1];
+  const commentId = args[2];
 
   if (!appId || !recordId || !commentId) {
     console.error("Error: App ID, Record ID, and Comment ID are required");
@@ -67,7 +92,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  deleteRecordComment(appId, recordId, commentId).catch((error) => {
+  deleteRecordComment(appId, recordId, commentId, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to delete comment");
     console.error(error.message);
     process.exit(1);
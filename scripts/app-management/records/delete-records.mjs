@@ -23,7 +23,17 @@
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  fetchRecordTargets,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Delete multiple records
@@ -32,11 +42,14 @@ import { createKintoneClient, getRootDir } from "../common/index.mjs";
  * @param {(string|number)[]} params.ids - Array of record IDs to delete
  * @param {(string|number)[]} [params.revisions] - Array of expected revision numbers
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{}>}
  */
 export async function deleteRecords(appId, params, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -48,17 +61,27 @@ export async function deleteRecords(appId, params, options = {}) {
     throw new Error("Maximum 100 records allowed. Use deleteAllRecords for more.");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Deleting ${params.ids.length} record(s) from App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     console.log(`   Record IDs: ${params.ids.join(", ")}`);
   }
 
   const requestParams = { app: appId, ids: params.ids };
   if (params.revisions) requestParams.revisions = params.revisions;
 
+  if (dryRun) {
+    const current = await fetchRecordTargets(client, appId, params.ids.map((id) => ({ id })));
+    const missing = params.ids.filter((id) => !current.has(`$id=${id}`));
+    const summary = [`Records to delete: ${params.ids.length - missing.length}`];
+    if (missing.length > 0) {
+      summary.push(`⚠️  ${missing.length} not found, the request would fail: ${missing.slice(0, 20).join(", ")}`);
+    }
+    return reportDryRun({ summary, request: requestParams }, { silent });
+  }
+
   await client.record.deleteRecords(requestParams);
 
   if (!silent) {
@@ -71,7 +94,8 @@ export async function deleteRecords(appId, params, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const args = process.argv.slice(2);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
   const appId = args[0];
   const jsonArg = args.find(arg => arg.startsWith("--json="));
 
@@ -109,7 +133,8 @@ if (isMainModule) {
   const params = { ids };
   if (revisions) params.revisions = revisions;
 
-  deleteRecords(appId, params).catch((error) => {
+  deleteRecords(appId, params, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to delete records");
     console.error(error.message);
     if (error.errors) {
@@ -13,7 +13,14 @@
  * Handles cursor creation and deletion automatically.
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Get all records using cursor API
@@ -21,21 +28,23 @@ import { createKintoneClient } from "../common/index.mjs";
  * @param {Object} [options]
  * @param {string} [options.query] - Query string (can include order by)
  * @param {string[]} [options.fields] - Field codes to include
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
  * @returns {Promise<Object[]>} Array of records
  */
 export async function getAllRecordsWithCursor(appId, options = {}) {
-  const { query, fields, silent = false } = options;
+  const { query, fields, profile, guestSpaceId, silent = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Fetching all records (with cursor) from App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     if (query) console.log(`   Query: ${query}`);
   }
 
@@ -55,7 +64,8 @@ export async function getAllRecordsWithCursor(appId, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const args = process.argv.slice(2);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
   const appId = args.find(arg => !arg.startsWith("--"));
   const queryArg = args.find(arg => arg.startsWith("--query="));
   const fieldsArg = args.find(arg => arg.startsWith("--fields="));
@@ -70,7 +80,8 @@ if (isMainModule) {
   if (queryArg) options.query = queryArg.replace("--query=", "");
   if (fieldsArg) options.fields = fieldsArg.replace("--fields=", "").split(",");
 
-  getAllRecordsWithCursor(appId, options).catch((error) => {
+  getAllRecordsWithCursor(appId, { ...options, ...globals }).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to get all records");
     console.error(error.message);
     process.exit(1);
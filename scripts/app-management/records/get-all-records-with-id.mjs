@@ -12,7 +12,14 @@
  * Note: Records are returned sorted by ID in ascending order.
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Get all records using ID-based pagination
@@ -20,21 +27,23 @@ import { createKintoneClient } from "../common/index.mjs";
  * @param {Object} [options]
  * @param {string} [options.condition] - Query condition (without order by, limit, offset)
  * @param {string[]} [options.fields] - Field codes to include
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
  * @returns {Promise<Object[]>} Array of records sorted by ID ascending
  */
 export async function getAllRecordsWithId(appId, options = {}) {
-  const { condition, fields, silent = false } = options;
+  const { condition, fields, profile, guestSpaceId, silent = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Fetching all records (by ID) from App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     if (condition) console.log(`   Condition: ${condition}`);
   }
 
@@ -54,7 +63,8 @@ export async function getAllRecordsWithId(appId, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const args = process.argv.slice(2);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
   const appId = args.find(arg => !arg.startsWith("--"));
   const conditionArg = args.find(arg => arg.startsWith("--condition="));
   const fieldsArg = args.find(arg => arg.startsWith("--fields="));
@@ -69,7 +79,8 @@ if (isMainModule) {
   if (conditionArg) options.condition = conditionArg.replace("--condition=", "");
   if (fieldsArg) options.fields = fieldsArg.replace("--fields=", "").split(",");
 
-  getAllRecordsWithId(appId, options).catch((error) => {
+  getAllRecordsWithId(appId, { ...options, ...globals }).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to get all records");
     console.error(error.message);
     process.exit(1);
@@ -12,7 +12,14 @@
  * WARNING: If the app has over 10,000 records, consider using getAllRecordsWithCursor instead.
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Get all records using offset-based pagination
@@ -21,21 +28,23 @@ import { createKintoneClient } from "../common/index.mjs";
  * @param {string} [options.condition] - Query condition (without order by, limit, offset)
  * @param {string[]} [options.fields] - Field codes to include
  * @param {string} [options.orderBy] - Sort order as query
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
  * @returns {Promise<Object[]>} Array of records
  */
 export async function getAllRecordsWithOffset(appId, options = {}) {
-  const { condition, fields, orderBy, silent = false } = options;
+  const { condition, fields, orderBy, profile, guestSpaceId, silent = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Fetching all records (with offset) from App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     console.log(`   ⚠️  Warning: Use cursor method for apps with >10,000 records`);
     if (condition) console.log(`   Condition: ${condition}`);
     if (orderBy) console.log(`   Order by: ${orderBy}`);
@@ -58,7 +67,8 @@ export async function getAllRecordsWithOffset(appId, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const args = process.argv.slice(2);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
   const appId = args.find(arg => !arg.startsWith("--"));
   const conditionArg = args.find(arg => arg.startsWith("--condition="));
   const fieldsArg = args.find(arg => arg.startsWith("--fields="));
@@ -75,7 +85,8 @@ if (isMainModule) {
   if (fieldsArg) options.fields = fieldsArg.replace("--fields=", "").split(",");
   if (orderByArg) options.orderBy = orderByArg.replace("--orderBy=", "");
 
-  getAllRecordsWithOffset(appId, options).catch((error) => {
+  getAllRecordsWithOffset(appId, { ...options, ...globals }).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to get all records");
     console.error(error.message);
     process.exit(1);
@@ -4,16 +4,69 @@
  *
  * Usage (CLI):
  *   node scripts/app-management/records/get-all-records.mjs <appId> [--condition="..."] [--fields=field1,field2] [--orderBy="..."]
+ *   node scripts/app-management/records/get-all-records.mjs <appId> --format=csv|jsonl|xlsx [--out=<path>] [--subtables=rows|sheets] [--header=label|code]
  *
  * Usage (Programmatic):
  *   import { getAllRecords } from "./get-all-records.mjs";
  *   const records = await getAllRecords("51", { condition: "status = \"Open\"", orderBy: "created_time desc" });
+ *   await exportAllRecords("51", { format: "xlsx", out: "./customers.xlsx", subtables: "sheets" });
  *
  * Note: This method can retrieve records exceeding the 500 limit.
  * Uses cursor API internally when orderBy is specified.
+ *
+ * Export (--format):
+ *   Field values are flattened for spreadsheets: user/group/organization
+ *   selections become names, checkboxes and multi-selects are joined with ", ",
+ *   attachments become file names and date-times are shown in local time.
+ *   --out        Output file (default: kintone-app-structure/app_<appId>_records.<format>)
+ *   --subtables  rows: repeat the record on one row per subtable row (default)
+ *                sheets: one sheet per subtable (CSV/JSONL: one extra file per subtable)
+ *   --header     label: field names as shown in kintone (default), code: field codes
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import { resolve } from "path";
+import {
+  buildRecordTables,
+  createKintoneClient,
+  EXPORT_FORMATS,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  writeError,
+  writeRecordTables,
+  writeResult
+} from "../common/index.mjs";
+
+/**
+ * Fetch all records with an existing client
+ * @param {import("@kintone/rest-api-client").KintoneRestAPIClient} client
+ * @param {string|number} appId - The app ID
+ * @param {{ condition?: string, fields?: string[], orderBy?: string, withCursor?: boolean }} options
+ * @returns {Promise<Object[]>} Array of records
+ */
+function fetchAllRecords(client, appId, options) {
+  const { condition, fields, orderBy, withCursor = true } = options;
+  const params = { app: appId };
+  if (condition) params.condition = condition;
+  if (fields) params.fields = fields;
+  if (orderBy) params.orderBy = orderBy;
+  params.withCursor = withCursor;
+  return client.record.getAllRecords(params);
+}
+
+/**
+ * Print the banner of a fetch of all records
+ * @param {string|number} appId
+ * @param {Object} credentials - Credentials from createKintoneClient
+ * @param {{ condition?: string, orderBy?: string }} options
+ */
+function logFetch(appId, credentials, { condition, orderBy }) {
+  console.log(`\n🔄 Fetching all records from App ${appId}...`);
+  logConnection(credentials);
+  if (condition) console.log(`   Condition: ${condition}`);
+  if (orderBy) console.log(`   Order by: ${orderBy}`);
+}
 
 /**
  * Get all records
@@ -23,63 +76,121 @@ import { createKintoneClient } from "../common/index.mjs";
  * @param {string[]} [options.fields] - Field codes to include
  * @param {string} [options.orderBy] - Sort order as query
  * @param {boolean} [options.withCursor=true] - Whether to use cursor API
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
  * @returns {Promise<Object[]>} Array of records
  */
 export async function getAllRecords(appId, options = {}) {
-  const { condition, fields, orderBy, withCursor = true, silent = false } = options;
+  const { condition, fields, orderBy, withCursor = true, profile, guestSpaceId, silent = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
+
+  if (!silent) logFetch(appId, credentials, { condition, orderBy });
+
+  const records = await fetchAllRecords(client, appId, { condition, fields, orderBy, withCursor });
 
   if (!silent) {
-    console.log(`\n🔄 Fetching all records from App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
-    if (condition) console.log(`   Condition: ${condition}`);
-    if (orderBy) console.log(`   Order by: ${orderBy}`);
+    console.log(`\n✅ Successfully fetched ${records.length} record(s)`);
   }
 
-  const params = { app: appId };
-  if (condition) params.condition = condition;
-  if (fields) params.fields = fields;
-  if (orderBy) params.orderBy = orderBy;
-  params.withCursor = withCursor;
+  return records;
+}
+
+/**
+ * Export all records to a CSV, JSONL or XLSX file
+ * @param {string|number} appId - The app ID
+ * @param {Object} options - Export options, plus any getAllRecords option
+ * @param {"csv"|"jsonl"|"xlsx"} options.format - Output format
+ * @param {string} [options.out] - Output file path (default: kintone-app-structure/app_<appId>_records.<format>)
+ * @param {"rows"|"sheets"} [options.subtables="rows"] - Repeat records per subtable row, or one sheet per subtable
+ * @param {"label"|"code"} [options.header="label"] - Use field labels or field codes as headers
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
+ * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @returns {Promise<{ format: string, files: string[], records: number }>}
+ */
+export async function exportAllRecords(appId, options = {}) {
+  const { format, out, subtables = "rows", header = "label", profile, guestSpaceId, silent = false, ...queryOptions } = options;
 
-  const records = await client.record.getAllRecords(params);
+  if (!EXPORT_FORMATS.includes(format)) {
+    throw new Error(`Format must be one of: ${EXPORT_FORMATS.join(", ")}`);
+  }
+  if (!["rows", "sheets"].includes(subtables)) {
+    throw new Error("Subtables must be rows or sheets");
+  }
+  if (!["label", "code"].includes(header)) {
+    throw new Error("Header must be label or code");
+  }
+
+  if (!appId) {
+    throw new Error("App ID is required");
+  }
+
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
+
+  if (!silent) logFetch(appId, credentials, queryOptions);
+
+  // The Record ID column needs $id, which kintone leaves out of a field list
+  const fields = queryOptions.fields && [...new Set(["$id", ...queryOptions.fields])];
+  const records = await fetchAllRecords(client, appId, { ...queryOptions, fields });
+  const { properties } = await client.app.getFormFields({ app: appId });
+  const tables = buildRecordTables(records, properties, { subtables, header });
+
+  const rootDir = getRootDir(import.meta.url);
+  const outPath = resolve(rootDir, out || `kintone-app-structure/app_${appId}_records.${format}`);
+  const files = writeRecordTables(tables, format, outPath);
 
   if (!silent) {
-    console.log(`\n✅ Successfully fetched ${records.length} record(s)`);
+    console.log(`\n✅ Successfully exported ${records.length} record(s) as ${format.toUpperCase()}`);
+    files.forEach((file) => console.log(`   File: ${file}`));
   }
 
-  return records;
+  return { format, files, records: records.length };
 }
 
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const args = process.argv.slice(2);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
   const appId = args.find(arg => !arg.startsWith("--"));
   const conditionArg = args.find(arg => arg.startsWith("--condition="));
   const fieldsArg = args.find(arg => arg.startsWith("--fields="));
   const orderByArg = args.find(arg => arg.startsWith("--orderBy="));
   const noCursor = args.includes("--noCursor");
+  const formatArg = args.find(arg => arg.startsWith("--format="));
+  const outArg = args.find(arg => arg.startsWith("--out="));
+  const subtablesArg = args.find(arg => arg.startsWith("--subtables="));
+  const headerArg = args.find(arg => arg.startsWith("--header="));
 
   if (!appId) {
     console.error("Error: App ID is required");
     console.error("Usage: node scripts/app-management/records/get-all-records.mjs <appId> [--condition=\"...\"] [--fields=field1,field2] [--orderBy=\"...\"] [--noCursor]");
+    console.error("       node scripts/app-management/records/get-all-records.mjs <appId> --format=csv|jsonl|xlsx [--out=<path>] [--subtables=rows|sheets] [--header=label|code]");
     process.exit(1);
   }
 
-  const options = { withCursor: !noCursor };
+  const options = { withCursor: !noCursor, ...globals };
   if (conditionArg) options.condition = conditionArg.replace("--condition=", "");
   if (fieldsArg) options.fields = fieldsArg.replace("--fields=", "").split(",");
   if (orderByArg) options.orderBy = orderByArg.replace("--orderBy=", "");
 
-  getAllRecords(appId, options).catch((error) => {
-    console.error("\n❌ Failed to get all records");
+  if (formatArg) {
+    options.format = formatArg.replace("--format=", "");
+    if (outArg) options.out = outArg.replace("--out=", "");
+    if (subtablesArg) options.subtables = subtablesArg.replace("--subtables=", "");
+    if (headerArg) options.header = headerArg.replace("--header=", "");
+  }
+
+  const run = options.format ? exportAllRecords : getAllRecords;
+  run(appId, options).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
+    console.error(options.format ? "\n❌ Failed to export records" : "\n❌ Failed to get all records");
     console.error(error.message);
     process.exit(1);
   });
@@ -10,7 +10,14 @@
  *   const comments = await getRecordComments("51", "1", { order: "desc", limit: 10 });
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Get record comments
@@ -20,11 +27,13 @@ import { createKintoneClient } from "../common/index.mjs";
  * @param {string} [options.order] - Sort order: "asc" or "desc"
  * @param {number} [options.offset] - Number of comments to skip
  * @param {number} [options.limit] - Number of comments to retrieve (max 10)
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
  * @returns {Promise<{ comments: Object[], older: boolean, newer: boolean }>}
  */
 export async function getRecordComments(appId, recordId, options = {}) {
-  const { order, offset, limit, silent = false } = options;
+  const { order, offset, limit, profile, guestSpaceId, silent = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -33,11 +42,11 @@ export async function getRecordComments(appId, recordId, options = {}) {
     throw new Error("Record ID is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Fetching comments for record ${recordId} in App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
   }
 
   const params = { app: appId, record: recordId };
@@ -59,7 +68,8 @@ export async function getRecordComments(appId, recordId, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const args = process.argv.slice(2);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
   const appId = args.find(arg => !arg.startsWith("--"));
   const recordId = args.filter(arg => !arg.startsWith("--"))[1];
   const orderArg = args.find(arg => arg.startsWith("--order="));
@@ -77,7 +87,8 @@ if (isMainModule) {
   if (offsetArg) options.offset = parseInt(offsetArg.replace("--offset=", ""));
   if (limitArg) options.limit = parseInt(limitArg.replace("--limit=", ""));
 
-  getRecordComments(appId, recordId, options).catch((error) => {
+  getRecordComments(appId, recordId, { ...options, ...globals }).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to get record comments");
     console.error(error.message);
     process.exit(1);
@@ -10,18 +10,27 @@
  *   const record = await getRecord("51", "1");
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Get a single record
  * @param {string|number} appId - The app ID
  * @param {string|number} recordId - The record ID
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
  * @returns {Promise<{ record: Object }>}
  */
 export async function getRecord(appId, recordId, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -30,11 +39,11 @@ export async function getRecord(appId, recordId, options = {}) {
     throw new Error("Record ID is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Fetching record ${recordId} from App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
   }
 
   const result = await client.record.getRecord({
@@ -53,8 +62,10 @@ export async function getRecord(appId, recordId, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
-  const recordId = process.argv[3];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const appId = args[0];
+  const recordId = args[1];
 
   if (!appId || !recordId) {
     console.error("Error: App ID and Record ID are required");
@@ -62,7 +73,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  getRecord(appId, recordId).catch((error) => {
+  getRecord(appId, recordId, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to get record");
     console.error(error.message);
     process.exit(1);
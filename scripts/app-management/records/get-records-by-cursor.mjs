@@ -14,27 +14,36 @@
  * The cursor is automatically deleted when all records are retrieved.
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Get records using cursor
  * @param {string} cursorId - The cursor ID
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
  * @returns {Promise<{ records: Object[], next: boolean }>}
  */
 export async function getRecordsByCursor(cursorId, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false } = options;
 
   if (!cursorId) {
     throw new Error("Cursor ID is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Fetching records by cursor...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     console.log(`   Cursor ID: ${cursorId}`);
   }
 
@@ -56,7 +65,9 @@ export async function getRecordsByCursor(cursorId, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const cursorId = process.argv[2];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const cursorId = args[0];
 
   if (!cursorId) {
     console.error("Error: Cursor ID is required");
@@ -64,7 +75,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  getRecordsByCursor(cursorId).catch((error) => {
+  getRecordsByCursor(cursorId, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to get records by cursor");
     console.error(error.message);
     process.exit(1);
@@ -12,7 +12,14 @@
  * Note: Maximum 500 records. Use getAllRecords for more.
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Get multiple records
@@ -21,21 +28,23 @@ import { createKintoneClient } from "../common/index.mjs";
  * @param {string} [options.query] - Query string for filtering
  * @param {string[]} [options.fields] - Field codes to include
  * @param {boolean} [options.totalCount=false] - Include total count
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
  * @returns {Promise<{ records: Object[], totalCount: string|null }>}
  */
 export async function getRecords(appId, options = {}) {
-  const { query, fields, totalCount = false, silent = false } = options;
+  const { query, fields, totalCount = false, profile, guestSpaceId, silent = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Fetching records from App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     if (query) console.log(`   Query: ${query}`);
   }
 
@@ -59,7 +68,8 @@ export async function getRecords(appId, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const args = process.argv.slice(2);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
   const appId = args.find(arg => !arg.startsWith("--"));
   const queryArg = args.find(arg => arg.startsWith("--query="));
   const fieldsArg = args.find(arg => arg.startsWith("--fields="));
@@ -75,7 +85,8 @@ if (isMainModule) {
   if (queryArg) options.query = queryArg.replace("--query=", "");
   if (fieldsArg) options.fields = fieldsArg.replace("--fields=", "").split(",");
 
-  getRecords(appId, options).catch((error) => {
+  getRecords(appId, { ...options, ...globals }).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to get records");
     console.error(error.message);
     process.exit(1);
@@ -0,0 +1,328 @@
+#!/usr/bin/env node
+/**
+ * Import records from a CSV or XLSX file using a column mapping
+ *
+ * Usage (CLI):
+ *   node scripts/app-management/records/import-records.mjs <appId> <dataPath> <mappingJsonPath> [--key=<fieldCode>] [--batch=100] [--report=<path>]
+ *
+ * Usage (Programmatic):
+ *   import { importRecords } from "./import-records.mjs";
+ *   const result = await importRecords("51", "Sample/customers.xlsx", mapping, { keyField: "customer_code" });
+ *
+ * Mapping file format:
+ * {
+ *   "sheet": "Customers",          // XLSX sheet (default: first sheet)
+ *   "headerRow": 1,                // Row that holds the column names (default: 1)
+ *   "keyField": "customer_code",   // Upsert by this field; omit to add new records
+ *   "columns": {
+ *     "Customer Code": "customer_code",
+ *     "Joined": { "field": "joined_date", "format": "DD/MM/YYYY" },
+ *     "Sales Rep": { "field": "sales_rep", "separator": ";" },
+ *     "Rank": { "field": "rank", "values": { "A": "Gold", "B": "Silver" } },
+ *     "Country": { "field": "country", "default": "Thailand" }
+ *   }
+ * }
+ *
+ * Values are converted by field type: numbers drop thousands separators,
+ * dates accept Excel dates or text ("format" uses dayjs tokens), user/group/
+ * organization columns hold codes, and option fields are checked against the
+ * field's options ("values" renames spreadsheet values first).
+ *
+ * Converted rows are then checked against the app's form (required fields
+ * not in the mapping, length, value range, unique values repeated in the
+ * file). Rows that fail either step are skipped. Valid rows are sent in batches
+ * (addRecords, or updateRecords with upsert); when kintone rejects a row the
+ * rest of its batch is sent again. Every row is listed in the report CSV
+ * (default: kintone-app-structure/app_<appId>_import_report.csv).
+ */
+
+import { readFileSync } from "fs";
+import { resolve } from "path";
+import {
+  buildRecordSchema,
+  convertRows,
+  createKintoneClient,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  readTable,
+  redirectLogsToStderr,
+  reportDryRun,
+  summarizeRecordUpdates,
+  validateMapping,
+  validateRecords,
+  writeError,
+  writeRecordTables,
+  writeResult
+} from "../common/index.mjs";
+
+/**
+ * Send one batch, dropping rows kintone rejects and resending the rest
+ * @param {import("@kintone/rest-api-client").KintoneRestAPIClient} client
+ * @param {string|number} appId - The app ID
+ * @param {Array<{ row: number, record: Object }>} batch - Converted rows
+ * @param {string} [keyField] - Field used to upsert
+ * @returns {Promise<Array<{ row: number, status: string, id?: string, message?: string }>>}
+ * @throws {Error} Errors other than rejected values, with the results so far in `error.results`
+ */
+async function sendBatch(client, appId, batch, keyField) {
+  const results = [];
+  let pending = batch;
+
+  while (pending.length > 0) {
+    try {
+      if (keyField) {
+        const { records } = await client.record.updateRecords({
+          app: appId,
+          upsert: true,
+          records: pending.map(({ record }) => {
+            const { [keyField]: key, ...fields } = record;
+            return { updateKey: { field: keyField, value: key.value }, record: fields };
+          })
+        });
+        records.forEach((result, i) => {
+          const status = result.operation === "INSERT" ? "added" : "updated";
+          results.push({ row: pending[i].row, status, id: result.id });
+        });
+      } else {
+        const { ids } = await client.record.addRecords({
+          app: appId,
+          records: pending.map(({ record }) => record)
+        });
+        ids.forEach((id, i) => results.push({ row: pending[i].row, status: "added", id }));
+      }
+      return results;
+    } catch (error) {
+      // Validation errors are keyed like "records[3].field_code.value"
+      const rejected = new Map();
+      for (const [key, detail] of Object.entries(error.errors || {})) {
+        const match = key.match(/^records\[(\d+)\]\.(.*)$/);
+        if (!match) continue;
+        const index = Number(match[1]);
+        const messages = rejected.get(index) || [];
+        messages.push(`${match[2].replace(/^record\./, "").replace(/\.value$/, "")}: ${detail.messages.join(" ")}`);
+        rejected.set(index, messages);
+      }
+
+      if (rejected.size === 0) {
+        if (error.status && error.status !== 400) {
+          error.results = results;
+          throw error;
+        }
+        pending.forEach(({ row }) => results.push({ row, status: "failed", message: error.message }));
+        return results;
+      }
+
+      rejected.forEach((messages, index) => {
+        results.push({ row: pending[index].row, status: "failed", message: messages.join("; ") });
+      });
+      pending = pending.filter((_, index) => !rejected.has(index));
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Import records from a CSV or XLSX file
+ * @param {string|number} appId - The app ID
+ * @param {string} dataPath - Path to a .csv or .xlsx file
+ * @param {Object} mapping - Mapping (see file format above)
+ * @param {Object} [options]
+ * @param {string} [options.keyField] - Upsert by this field (default: mapping.keyField)
+ * @param {number} [options.batchSize=100] - Records per request (max 100)
+ * @param {string} [options.reportPath] - Report CSV path (default: kintone-app-structure/app_<appId>_import_report.csv)
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
+ * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
+ * @returns {Promise<{ added: number, updated: number, failed: number, report: string }>}
+ */
+export async function importRecords(appId, dataPath, mapping, options = {}) {
+  const {
+    keyField = mapping.keyField,
+    batchSize = 100,
+    reportPath,
+    profile,
+    guestSpaceId,
+    silent = false,
+    dryRun = false
+  } = options;
+
+  if (!appId) {
+    throw new Error("App ID is required");
+  }
+  if (!dataPath) {
+    throw new Error("Data file path is required");
+  }
+  if (!Number.isInteger(batchSize) || batchSize < 1 || batchSize > 100) {
+    throw new Error("Batch size must be between 1 and 100");
+  }
+
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
+
+  if (!silent) {
+    console.log(`\n🔄 Importing ${dataPath} into App ${appId}...`);
+    logConnection(credentials);
+    console.log(`   Mode: ${keyField ? `UPSERT by ${keyField}` : "ADD"}`);
+  }
+
+  const { properties } = await client.app.getFormFields({ app: appId });
+  const problems = validateMapping(mapping, properties, { keyField });
+  if (problems.length > 0) {
+    throw new Error(`Mapping does not match the app:\n  - ${problems.join("\n  - ")}`);
+  }
+
+  const rows = readTable(dataPath, { sheet: mapping.sheet, delimiter: mapping.delimiter });
+  const converted = convertRows(rows, mapping, properties, { keyField });
+  const errors = [...converted.errors];
+
+  const violations = validateRecords(
+    buildRecordSchema(properties),
+    converted.records.map(({ record }) => record),
+    { partial: Boolean(keyField) }
+  );
+  const invalid = new Map();
+  violations.forEach(({ index, field, message }) => {
+    invalid.set(index, [...(invalid.get(index) || []), `${field}: ${message}`]);
+  });
+  invalid.forEach((messages, index) => errors.push({ row: converted.records[index].row, messages }));
+  const records = converted.records.filter((_, index) => !invalid.has(index));
+
+  if (!silent) {
+    console.log(`   Rows: ${records.length + errors.length} (${errors.length} with invalid values)`);
+  }
+
+  const results = errors.map(({ row, messages }) => ({
+    row,
+    status: "invalid",
+    message: messages.join("; ")
+  }));
+
+  const rootDir = getRootDir(import.meta.url);
+  const report = resolve(rootDir, reportPath || `kintone-app-structure/app_${appId}_import_report.csv`);
+  const writeReport = () => {
+    const sorted = [...results].sort((a, b) => a.row - b.row);
+    writeRecordTables(
+      [
+        {
+          name: "Report",
+          key: "report",
+          rows: [
+            ["Row", "Status", "Record ID", "Message"],
+            ...sorted.map((result) => [result.row, result.status, result.id ?? null, result.message ?? null])
+          ]
+        }
+      ],
+      "csv",
+      report
+    );
+  };
+
+  if (dryRun) {
+    const summary = [`Valid rows: ${records.length}`, `Invalid rows: ${errors.length} (see ${report})`];
+    if (keyField && records.length > 0) {
+      const updates = records.map(({ record }) => ({
+        updateKey: { field: keyField, value: record[keyField].value },
+        record
+      }));
+      summary.push(...(await summarizeRecordUpdates(client, appId, updates, { upsert: true })));
+    }
+    writeReport();
+    return reportDryRun(
+      { summary, request: { app: appId, records: records.map(({ record }) => record) } },
+      { silent }
+    );
+  }
+
+  let sent = 0;
+  try {
+    for (let i = 0; i < records.length; i += batchSize) {
+      const batch = records.slice(i, i + batchSize);
+      results.push(...(await sendBatch(client, appId, batch, keyField)));
+      sent += batch.length;
+      if (!silent) {
+        console.log(`   Sent ${sent}/${records.length}`);
+      }
+    }
+  } catch (error) {
+    // Keep the rows the failed batch already settled; the others were not written
+    const settled = error.results || [];
+    results.push(...settled);
+    records
+      .slice(sent)
+      .filter(({ row }) => !settled.some((result) => result.row === row))
+      .forEach(({ row }) => results.push({ row, status: "not sent", message: error.message }));
+    error.report = report;
+    throw error;
+  } finally {
+    writeReport();
+  }
+
+  const count = (status) => results.filter((result) => result.status === status).length;
+  const summary = {
+    added: count("added"),
+    updated: count("updated"),
+    failed: count("failed") + count("invalid"),
+    report
+  };
+
+  if (!silent) {
+    console.log(`\n✅ Import finished for App ${appId}`);
+    console.log(`   Added: ${summary.added}, Updated: ${summary.updated}, Failed: ${summary.failed}`);
+    console.log(`   Report: ${report}`);
+  }
+
+  return summary;
+}
+
+// CLI execution
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const [appId, dataPath, mappingJsonPath] = args.filter(arg => !arg.startsWith("--"));
+  const keyArg = args.find(arg => arg.startsWith("--key="));
+  const batchArg = args.find(arg => arg.startsWith("--batch="));
+  const reportArg = args.find(arg => arg.startsWith("--report="));
+
+  if (!appId || !dataPath || !mappingJsonPath) {
+    console.error("Error: App ID, data file path and mapping JSON path are required");
+    console.error("Usage: node scripts/app-management/records/import-records.mjs <appId> <dataPath> <mappingJsonPath> [--key=<fieldCode>] [--batch=100] [--report=<path>]");
+    console.error("Example: node scripts/app-management/records/import-records.mjs 51 Sample/customers.xlsx Sample/customers.mapping.json --key=customer_code");
+    process.exit(1);
+  }
+
+  const rootDir = getRootDir(import.meta.url);
+
+  let mapping;
+  try {
+    const jsonContent = readFileSync(resolve(rootDir, mappingJsonPath), "utf-8");
+    mapping = JSON.parse(jsonContent);
+  } catch (error) {
+    console.error(`Error: Failed to read mapping JSON from ${mappingJsonPath}`);
+    console.error(error.message);
+    process.exit(1);
+  }
+
+  const options = {};
+  if (keyArg) options.keyField = keyArg.replace("--key=", "");
+  if (batchArg) options.batchSize = Number(batchArg.replace("--batch=", ""));
+  if (reportArg) options.reportPath = reportArg.replace("--report=", "");
+
+  importRecords(appId, resolve(rootDir, dataPath), mapping, { ...options, ...globals }).then((result) => {
+    writeResult(result, globals);
+    if (result.failed > 0) process.exitCode = 1;
+  }).catch((error) => {
+    writeError(error, globals);
+    console.error("\n❌ Failed to import records");
+    console.error(error.message);
+    if (error.errors) {
+      console.error("Details:", JSON.stringify(error.errors, null, 2));
+    }
+    if (error.report) {
+      console.error(`   Report: ${error.report} (rows not written are marked "not sent")`);
+    }
+    process.exit(1);
+  });
+}
@@ -3,7 +3,7 @@
  * Update unlimited records in a kintone app
  *
  * Usage (CLI):
- *   node scripts/app-management/records/update-all-records.mjs <appId> <recordsJsonPath> [--upsert]
+ *   node scripts/app-management/records/update-all-records.mjs <appId> <recordsJsonPath> [--upsert] [--resume] [--no-validate]
  *
  * Usage (Programmatic):
  *   import { updateAllRecords } from "./update-all-records.mjs";
@@ -20,11 +20,33 @@
  *
  * WARNING: Records are processed in chunks of 2000. Rollback is per chunk.
  * If an error occurs, some records may have been updated.
+ *
+ * Progress is saved to kintone-app-structure/checkpoints/ after every chunk.
+ * After a failure, run the same command with --resume to update only the
+ * remaining chunks. Updates cannot be rolled back automatically.
+ *
+ * The fields set by each update are checked against the app's form before
+ * anything is sent (length, value range, options, unique inside the file);
+ * every problem is listed per record and field. --no-validate skips the check.
  */
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  assertValidRecords,
+  createKintoneClient,
+  fetchRecordSchema,
+  formatGlobalArgs,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  runWithCheckpoint,
+  summarizeRecordUpdates,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Update unlimited records
@@ -32,11 +54,17 @@ import { createKintoneClient, getRootDir } from "../common/index.mjs";
  * @param {Object[]} records - Array of update objects (no limit)
  * @param {Object} [options]
  * @param {boolean} [options.upsert=false] - Enable UPSERT mode
+ * @param {boolean} [options.resume=false] - Continue a failed run from its checkpoint
+ * @param {boolean} [options.validate=true] - Check the records against the app's form before sending
+ * @param {{ fields: Object }} [options.schema] - Record schema to check with (default: built from the app's form)
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ records: Array<{id: string, revision: string, operation?: string}> }>}
  */
 export async function updateAllRecords(appId, records, options = {}) {
-  const { upsert = false, silent = false } = options;
+  const { upsert = false, resume = false, validate = true, schema, profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -45,11 +73,11 @@ export async function updateAllRecords(appId, records, options = {}) {
     throw new Error("Records array is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Updating ${records.length} record(s) in App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     if (upsert) console.log(`   Mode: UPSERT`);
     if (records.length > 100) {
       console.log(`   ⚠️  Processing in chunks (rollback is per 2000 records)`);
@@ -59,7 +87,28 @@ export async function updateAllRecords(appId, records, options = {}) {
   const params = { app: appId, records };
   if (upsert) params.upsert = true;
 
-  const result = await client.record.updateAllRecords(params);
+  if (validate) {
+    assertValidRecords(
+      schema || (await fetchRecordSchema(client, appId)),
+      records.map((update) => update.record || {}),
+      { partial: true, path: (index) => `records[${index}].record` }
+    );
+  }
+
+  if (dryRun) {
+    const summary = await summarizeRecordUpdates(client, appId, records, { upsert });
+    return reportDryRun({ summary, request: params }, { silent });
+  }
+
+  const { results } = await runWithCheckpoint({
+    appId,
+    operation: upsert ? "upsert" : "update",
+    items: records,
+    resume,
+    silent,
+    writeChunk: async (chunk) => (await client.record.updateAllRecords({ ...params, records: chunk })).records
+  });
+  const result = { records: results };
 
   if (!silent) {
     console.log(`\n✅ Successfully updated ${result.records.length} record(s)`);
@@ -76,14 +125,17 @@ export async function updateAllRecords(appId, records, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const args = process.argv.slice(2);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
   const appId = args.find(arg => !arg.startsWith("--"));
   const recordsJsonPath = args.find(arg => !arg.startsWith("--") && arg !== appId);
   const upsert = args.includes("--upsert");
+  const resume = args.includes("--resume");
+  const validate = !args.includes("--no-validate");
 
   if (!appId || !recordsJsonPath) {
     console.error("Error: App ID and records JSON path are required");
-    console.error("Usage: node scripts/app-management/records/update-all-records.mjs <appId> <recordsJsonPath> [--upsert]");
+    console.error("Usage: node scripts/app-management/records/update-all-records.mjs <appId> <recordsJsonPath> [--upsert] [--resume] [--no-validate]");
     process.exit(1);
   }
 
@@ -99,15 +151,19 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  updateAllRecords(appId, records, { upsert }).catch((error) => {
+  updateAllRecords(appId, records, { upsert, resume, validate, ...globals }).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to update all records");
     console.error(error.message);
     if (error.errors) {
       console.error("Details:", JSON.stringify(error.errors, null, 2));
     }
-    if (error.processedRecordsResult) {
+    if (error.checkpoint && error.completedRecords !== undefined) {
+      const command = ["node scripts/app-management/records/update-all-records.mjs", appId, recordsJsonPath, ...(upsert ? ["--upsert"] : []), ...formatGlobalArgs(globals)].join(" ");
       console.error("\n⚠️  Partial records were updated:");
-      console.error(`   Updated: ${error.processedRecordsResult.records?.length || 0}`);
+      console.error(`   Updated: ${error.completedRecords}`);
+      console.error(`   Checkpoint: ${error.checkpoint}`);
+      console.error(`   Continue: ${command} --resume`);
     }
     process.exit(1);
   });
@@ -14,7 +14,15 @@
  * Assignees are login names (user codes).
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Update record assignees
@@ -24,11 +32,14 @@ import { createKintoneClient } from "../common/index.mjs";
  * @param {string[]} params.assignees - Array of user codes (login names)
  * @param {string|number} [params.revision] - Expected revision number
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ revision: string }>}
  */
 export async function updateRecordAssignees(appId, recordId, params, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -40,11 +51,11 @@ export async function updateRecordAssignees(appId, recordId, params, options = {
     throw new Error("Assignees array is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Updating assignees for record ${recordId} in App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     console.log(`   Assignees: ${params.assignees.length === 0 ? "(none)" : params.assignees.join(", ")}`);
   }
 
@@ -55,6 +66,16 @@ export async function updateRecordAssignees(appId, recordId, params, options = {
   };
   if (params.revision) requestParams.revision = params.revision;
 
+  if (dryRun) {
+    const { record } = await client.record.getRecord({ app: appId, id: recordId });
+    const currentAssignees = (record.Assignee?.value || []).map((user) => user.code);
+    const format = (codes) => (codes.length === 0 ? "(none)" : codes.join(", "));
+    const summary = [
+      `Record ${recordId} assignees: ${format(currentAssignees)} → ${format(params.assignees)}`
+    ];
+    return reportDryRun({ summary, request: requestParams }, { silent });
+  }
+
   const result = await client.record.updateRecordAssignees(requestParams);
 
   if (!silent) {
@@ -68,7 +89,8 @@ export async function updateRecordAssignees(appId, recordId, params, options = {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const args = process.argv.slice(2);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
   const appId = args[0];
   const recordId = args[1];
   const clear = args.includes("--clear");
@@ -87,7 +109,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  updateRecordAssignees(appId, recordId, { assignees }).catch((error) => {
+  updateRecordAssignees(appId, recordId, { assignees }, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to update assignees");
     console.error(error.message);
     if (error.errors) {
@@ -16,7 +16,15 @@
  * The action name must match exactly (including localization).
  */
 
-import { createKintoneClient } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Update record status
@@ -27,11 +35,14 @@ import { createKintoneClient } from "../common/index.mjs";
  * @param {string} [params.assignee] - Next assignee (user code)
  * @param {string|number} [params.revision] - Expected revision number
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ revision: string }>}
  */
 export async function updateRecordStatus(appId, recordId, params, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -43,11 +54,11 @@ export async function updateRecordStatus(appId, recordId, params, options = {})
     throw new Error("Action name is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Updating status for record ${recordId} in App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     console.log(`   Action: ${params.action}`);
     if (params.assignee) console.log(`   Next assignee: ${params.assignee}`);
   }
@@ -60,6 +71,12 @@ export async function updateRecordStatus(appId, recordId, params, options = {})
   if (params.assignee) requestParams.assignee = params.assignee;
   if (params.revision) requestParams.revision = params.revision;
 
+  if (dryRun) {
+    const { record } = await client.record.getRecord({ app: appId, id: recordId });
+    const summary = [`Record ${recordId}: status "${record.Status?.value}" → action "${params.action}"`];
+    return reportDryRun({ summary, request: requestParams }, { silent });
+  }
+
   const result = await client.record.updateRecordStatus(requestParams);
 
   if (!silent) {
@@ -74,7 +91,8 @@ export async function updateRecordStatus(appId, recordId, params, options = {})
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const args = process.argv.slice(2);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
   const appId = args[0];
   const recordId = args[1];
   const action = args[2];
@@ -89,7 +107,8 @@ if (isMainModule) {
   const params = { action };
   if (assigneeArg) params.assignee = assigneeArg.replace("--assignee=", "");
 
-  updateRecordStatus(appId, recordId, params).catch((error) => {
+  updateRecordStatus(appId, recordId, params, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to update status");
     console.error(error.message);
     if (error.errors) {
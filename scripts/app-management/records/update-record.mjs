@@ -22,7 +22,17 @@
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  summarizeRecordUpdates,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Update a single record
@@ -35,11 +45,14 @@ import { createKintoneClient, getRootDir } from "../common/index.mjs";
  * @param {Object} [params.record] - Record fields to update
  * @param {string|number} [params.revision] - Expected revision number
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ revision: string }>}
  */
 export async function updateRecord(appId, params, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -48,12 +61,12 @@ export async function updateRecord(appId, params, options = {}) {
     throw new Error("Either id or updateKey is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   const identifier = params.id ? `ID: ${params.id}` : `Key: ${params.updateKey.field}=${params.updateKey.value}`;
   if (!silent) {
     console.log(`\n🔄 Updating record in App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     console.log(`   ${identifier}`);
   }
 
@@ -63,6 +76,11 @@ export async function updateRecord(appId, params, options = {}) {
   if (params.record) requestParams.record = params.record;
   if (params.revision) requestParams.revision = params.revision;
 
+  if (dryRun) {
+    const summary = await summarizeRecordUpdates(client, appId, [requestParams]);
+    return reportDryRun({ summary, request: requestParams }, { silent });
+  }
+
   const result = await client.record.updateRecord(requestParams);
 
   if (!silent) {
@@ -76,7 +94,8 @@ export async function updateRecord(appId, params, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const args = process.argv.slice(2);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
   const appId = args[0];
 
   // Parse --updateKey=field:value format
@@ -122,7 +141,8 @@ if (isMainModule) {
   if (recordId) params.id = recordId;
   if (updateKey) params.updateKey = updateKey;
 
-  updateRecord(appId, params).catch((error) => {
+  updateRecord(appId, params, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to update record");
     console.error(error.message);
     if (error.errors) {
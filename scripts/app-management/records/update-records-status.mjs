@@ -24,7 +24,17 @@
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  fetchRecordTargets,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Update multiple record statuses
@@ -35,11 +45,14 @@ import { createKintoneClient, getRootDir } from "../common/index.mjs";
  * @param {string} [records[].assignee] - Next assignee
  * @param {string|number} [records[].revision] - Expected revision
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ records: Array<{id: string, revision: string}> }>}
  */
 export async function updateRecordsStatus(appId, records, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -51,11 +64,22 @@ export async function updateRecordsStatus(appId, records, options = {}) {
     throw new Error("Maximum 100 records allowed per call");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Updating status for ${records.length} record(s) in App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
+  }
+
+  if (dryRun) {
+    const current = await fetchRecordTargets(client, appId, records);
+    const summary = records.map((entry) => {
+      const record = current.get(`$id=${entry.id}`);
+      return record
+        ? `Record ${entry.id}: status "${record.Status?.value}" → action "${entry.action}"`
+        : `⚠️  Record ${entry.id}: not found, the request would fail`;
+    });
+    return reportDryRun({ summary, request: { app: appId, records } }, { silent });
   }
 
   const result = await client.record.updateRecordsStatus({
@@ -74,8 +98,10 @@ export async function updateRecordsStatus(appId, records, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
-  const recordsJsonPath = process.argv[3];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const appId = args[0];
+  const recordsJsonPath = args[1];
 
   if (!appId || !recordsJsonPath) {
     console.error("Error: App ID and records JSON path are required");
@@ -98,7 +124,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  updateRecordsStatus(appId, records).catch((error) => {
+  updateRecordsStatus(appId, records, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to update records status");
     console.error(error.message);
     if (error.errors) {
@@ -3,7 +3,7 @@
  * Update multiple records in a kintone app (max 100)
  *
  * Usage (CLI):
- *   node scripts/app-management/records/update-records.mjs <appId> <recordsJsonPath> [--upsert]
+ *   node scripts/app-management/records/update-records.mjs <appId> <recordsJsonPath> [--upsert] [--no-validate]
  *
  * Usage (Programmatic):
  *   import { updateRecords } from "./update-records.mjs";
@@ -24,11 +24,27 @@
  * ]
  *
  * Note: Maximum 100 records. Use updateAllRecords for more.
+ *
+ * The fields set by each update are checked against the app's form before
+ * anything is sent (length, value range, options, unique inside the file);
+ * every problem is listed per record and field. --no-validate skips the check.
  */
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  assertValidRecords,
+  createKintoneClient,
+  fetchRecordSchema,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  summarizeRecordUpdates,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Update multiple records
@@ -36,11 +52,16 @@ import { createKintoneClient, getRootDir } from "../common/index.mjs";
  * @param {Object[]} records - Array of update objects with id/updateKey and record
  * @param {Object} [options]
  * @param {boolean} [options.upsert=false] - Enable UPSERT mode
+ * @param {boolean} [options.validate=true] - Check the records against the app's form before sending
+ * @param {{ fields: Object }} [options.schema] - Record schema to check with (default: built from the app's form)
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ records: Array<{id: string, revision: string, operation?: string}> }>}
  */
 export async function updateRecords(appId, records, options = {}) {
-  const { upsert = false, silent = false } = options;
+  const { upsert = false, validate = true, schema, profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -52,17 +73,30 @@ export async function updateRecords(appId, records, options = {}) {
     throw new Error("Maximum 100 records allowed. Use updateAllRecords for more.");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Updating ${records.length} record(s) in App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     if (upsert) console.log(`   Mode: UPSERT`);
   }
 
   const params = { app: appId, records };
   if (upsert) params.upsert = true;
 
+  if (validate) {
+    assertValidRecords(
+      schema || (await fetchRecordSchema(client, appId)),
+      records.map((update) => update.record || {}),
+      { partial: true, path: (index) => `records[${index}].record` }
+    );
+  }
+
+  if (dryRun) {
+    const summary = await summarizeRecordUpdates(client, appId, records, { upsert });
+    return reportDryRun({ summary, request: params }, { silent });
+  }
+
   const result = await client.record.updateRecords(params);
 
   if (!silent) {
@@ -80,14 +114,16 @@ export async function updateRecords(appId, records, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const args = process.argv.slice(2);
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
   const appId = args.find(arg => !arg.startsWith("--"));
   const recordsJsonPath = args.find(arg => !arg.startsWith("--") && arg !== appId);
   const upsert = args.includes("--upsert");
+  const validate = !args.includes("--no-validate");
 
   if (!appId || !recordsJsonPath) {
     console.error("Error: App ID and records JSON path are required");
-    console.error("Usage: node scripts/app-management/records/update-records.mjs <appId> <recordsJsonPath> [--upsert]");
+    console.error("Usage: node scripts/app-management/records/update-records.mjs <appId> <recordsJsonPath> [--upsert] [--no-validate]");
     process.exit(1);
   }
 
@@ -103,7 +139,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  updateRecords(appId, records, { upsert }).catch((error) => {
+  updateRecords(appId, records, { upsert, validate, ...globals }).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to update records");
     console.error(error.message);
     if (error.errors) {
@@ -19,11 +19,23 @@
  * }
  *
  * Note: The updateKey field must have "Prohibit duplicate values" option enabled.
+ *
+ * To import a CSV or XLSX file, use import-records.mjs (npm run record:import).
  */
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  summarizeRecordUpdates,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Upsert a single record
@@ -35,11 +47,14 @@ import { createKintoneClient, getRootDir } from "../common/index.mjs";
  * @param {Object} [params.record] - Record fields
  * @param {string|number} [params.revision] - Expected revision number (for update)
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ id: string, revision: string }>}
  */
 export async function upsertRecord(appId, params, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -48,11 +63,11 @@ export async function upsertRecord(appId, params, options = {}) {
     throw new Error("updateKey with field and value is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   if (!silent) {
     console.log(`\n🔄 Upserting record in App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
     console.log(`   Key: ${params.updateKey.field}=${params.updateKey.value}`);
   }
 
@@ -63,6 +78,11 @@ export async function upsertRecord(appId, params, options = {}) {
   if (params.record) requestParams.record = params.record;
   if (params.revision) requestParams.revision = params.revision;
 
+  if (dryRun) {
+    const summary = await summarizeRecordUpdates(client, appId, [requestParams], { upsert: true });
+    return reportDryRun({ summary, request: requestParams }, { silent });
+  }
+
   const result = await client.record.upsertRecord(requestParams);
 
   if (!silent) {
@@ -77,10 +97,12 @@ export async function upsertRecord(appId, params, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
-  const updateKeyField = process.argv[3];
-  const updateKeyValue = process.argv[4];
-  const recordJsonPath = process.argv[5];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const appId = args[0];
+  const updateKeyField = args[1];
+  const updateKeyValue = args[2];
+  const recordJsonPath = args[3];
 
   if (!appId || !updateKeyField || updateKeyValue === undefined) {
     console.error("Error: App ID, updateKey field and value are required");
@@ -105,7 +127,8 @@ if (isMainModule) {
   upsertRecord(appId, {
     updateKey: { field: updateKeyField, value: updateKeyValue },
     record
-  }).catch((error) => {
+  }, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to upsert record");
     console.error(error.message);
     if (error.errors) {
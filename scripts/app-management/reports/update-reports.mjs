@@ -38,7 +38,18 @@
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  diffObjects,
+  formatDiff,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Update report settings
@@ -46,11 +57,14 @@ import { createKintoneClient, getRootDir } from "../common/index.mjs";
  * @param {Object} reportsSettings - Reports settings
  * @param {Object} reportsSettings.reports - Reports object
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ revision: string, reports: Object }>}
  */
 export async function updateReports(appId, reportsSettings, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -61,12 +75,23 @@ export async function updateReports(appId, reportsSettings, options = {}) {
     throw new Error("Reports object is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   const reportCount = Object.keys(reports).length;
   if (!silent) {
     console.log(`\n🔄 Updating ${reportCount} report(s) for App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
+  }
+
+  if (dryRun) {
+    const current = await client.app.getReports({ app: appId, preview: true });
+    // Only the properties in the request are compared; reports left out are deleted
+    const diff = diffObjects(current.reports, reports, { partial: true });
+    diff.removed = Object.keys(current.reports).filter((name) => !(reports[name]));
+    return reportDryRun(
+      { summary: formatDiff("Reports", diff), request: { app: appId, reports } },
+      { silent }
+    );
   }
 
   const result = await client.app.updateReports({
@@ -88,8 +113,10 @@ export async function updateReports(appId, reportsSettings, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
-  const reportsJsonPath = process.argv[3];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const appId = args[0];
+  const reportsJsonPath = args[1];
 
   if (!appId || !reportsJsonPath) {
     console.error("Error: App ID and reports JSON path are required");
@@ -110,7 +137,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  updateReports(appId, reportsSettings).catch((error) => {
+  updateReports(appId, reportsSettings, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to update reports");
     console.error(error.message);
     if (error.errors) {
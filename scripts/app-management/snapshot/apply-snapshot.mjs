@@ -0,0 +1,156 @@
+#!/usr/bin/env node
+/**
+ * Apply a snapshot folder to a kintone app and deploy it
+ *
+ * Usage (CLI):
+ *   node scripts/app-management/snapshot/apply-snapshot.mjs <dir> [appId] [--no-deploy]
+ *
+ * Usage (Programmatic):
+ *   import { applySnapshot } from "./apply-snapshot.mjs";
+ *   const result = await applySnapshot("apps/customers", "51");
+ *
+ * Only the parts that differ (see plan-snapshot.mjs) are written, in this order:
+ *   1. Form fields (add, update, then delete)
+ *   2. Form layout
+ *   3. App settings
+ *   4. Views, reports
+ *   5. Process management
+ *   6. App, field and record permissions
+ *   7. General, per-record and reminder notifications
+ * Then the app is deployed and the script waits for the deploy to finish.
+ *
+ * Options:
+ *   --no-deploy  Leave the changes in the pre-live settings
+ *
+ * Note: If a step fails, the steps before it are already in the pre-live
+ * settings. Fix the snapshot and run again, or discard them with
+ * npm run deploy:app -- <appId> --revert
+ */
+
+import { resolve } from "path";
+import {
+  applySnapshotParts,
+  createKintoneClient,
+  fetchSnapshotParts,
+  formatPlan,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  planSnapshot,
+  readSnapshot,
+  redirectLogsToStderr,
+  reportDryRun,
+  waitForDeploy,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
+
+/**
+ * Apply a snapshot folder to an app
+ * @param {string} dir - Snapshot folder (relative to the project root)
+ * @param {string|number} [appId] - Target app (default: appId in snapshot.json)
+ * @param {Object} [options]
+ * @param {boolean} [options.deploy=true] - Deploy the app after applying
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
+ * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
+ * @returns {Promise<{ appId: string, applied: string[], fields?: Object, deploy: { success: boolean, status: string }|null }>}
+ */
+export async function applySnapshot(dir, appId, options = {}) {
+  const { deploy = true, profile, guestSpaceId, silent = false, dryRun = false } = options;
+
+  if (!dir) {
+    throw new Error("Snapshot folder is required");
+  }
+
+  const rootDir = getRootDir(import.meta.url);
+  const { manifest, parts } = readSnapshot(resolve(rootDir, dir));
+  const targetAppId = String(appId || manifest.appId);
+
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId: targetAppId, profile, guestSpaceId, silent });
+
+  if (!silent) {
+    console.log(`\n🔄 Applying ${dir} to App ${targetAppId}...`);
+    logConnection(credentials);
+  }
+
+  const current = await fetchSnapshotParts(client, targetAppId);
+  const plan = planSnapshot(current, parts);
+
+  if (dryRun) {
+    return reportDryRun(
+      { summary: formatPlan(plan), request: { app: targetAppId, files: plan.changes.map(({ file }) => file), deploy } },
+      { silent }
+    );
+  }
+
+  if (plan.changes.length === 0) {
+    if (!silent) console.log(`\n✅ App ${targetAppId} already matches the snapshot`);
+    return { appId: targetAppId, applied: [], deploy: null };
+  }
+
+  if (!silent) {
+    console.log("");
+    formatPlan(plan).forEach((line) => console.log(`   ${line}`));
+    console.log("");
+  }
+
+  const result = {
+    appId: targetAppId,
+    ...(await applySnapshotParts(client, targetAppId, current, parts, { silent })),
+    deploy: null
+  };
+
+  if (deploy) {
+    if (!silent) console.log("   Deploying...");
+    await client.app.deployApp({ apps: [{ app: targetAppId }] });
+    result.deploy = await waitForDeploy(client, targetAppId);
+    if (!result.deploy.success) {
+      const error = new Error(`Deploy of App ${targetAppId} finished with status ${result.deploy.status}`);
+      error.applied = result.applied;
+      throw error;
+    }
+  }
+
+  if (!silent) {
+    console.log(`\n✅ Successfully applied ${result.applied.length} part(s) to App ${targetAppId}`);
+    if (!deploy) {
+      console.log("");
+      console.log("📝 Next step:");
+      console.log(`   Deploy app: npm run deploy:app -- ${targetAppId}`);
+    }
+  }
+
+  return result;
+}
+
+// CLI execution
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const [dir, appId] = args.filter(arg => !arg.startsWith("--"));
+  const deploy = !args.includes("--no-deploy");
+
+  if (!dir) {
+    console.error("Error: Snapshot folder is required");
+    console.error("Usage: node scripts/app-management/snapshot/apply-snapshot.mjs <dir> [appId] [--no-deploy]");
+    console.error("Example: node scripts/app-management/snapshot/apply-snapshot.mjs apps/customers 51");
+    process.exit(1);
+  }
+
+  applySnapshot(dir, appId, { deploy, ...globals }).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
+    console.error("\n❌ Failed to apply snapshot");
+    console.error(error.message);
+    if (error.errors) {
+      console.error("Details:", JSON.stringify(error.errors, null, 2));
+    }
+    if (error.applied?.length > 0) {
+      console.error(`\n⚠️  Already written to the pre-live settings: ${error.applied.join(", ")}`);
+      console.error(`   Discard them with: npm run deploy:app -- ${appId || "<appId>"} --revert`);
+    }
+    process.exit(1);
+  });
+}
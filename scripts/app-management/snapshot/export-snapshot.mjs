@@ -0,0 +1,123 @@
+#!/usr/bin/env node
+/**
+ * Export every setting of a kintone app into a snapshot folder
+ *
+ * Usage (CLI):
+ *   node scripts/app-management/snapshot/export-snapshot.mjs <appId> <dir> [--preview]
+ *
+ * Usage (Programmatic):
+ *   import { exportSnapshot } from "./export-snapshot.mjs";
+ *   const { files } = await exportSnapshot("51", "apps/customers");
+ *
+ * Folder layout:
+ *   snapshot.json                  App ID and list of files
+ *   app.json                       App settings (name, description, icon, theme, ...)
+ *   fields.json / layout.json      Form fields and layout
+ *   views.json / reports.json      Views and graphs
+ *   acl/app.json, acl/field.json, acl/record.json
+ *   process.json                   Process management
+ *   notifications/general.json, notifications/per-record.json, notifications/reminder.json
+ *   customize.json                 JS/CSS settings; uploaded files are saved in customize/
+ *
+ * Keys are sorted and revisions are removed, so exporting an unchanged app
+ * gives the same files. Commit the folder to git next to src/.
+ *
+ * Note: An uploaded app icon is recorded by name only.
+ */
+
+import { resolve } from "path";
+import {
+  SNAPSHOT_MANIFEST,
+  SNAPSHOT_PARTS,
+  createKintoneClient,
+  downloadCustomizeFiles,
+  getRootDir,
+  logConnection,
+  normalizeSnapshotPart,
+  parseCliArgs,
+  redirectLogsToStderr,
+  writeError,
+  writeResult,
+  writeSnapshotFile
+} from "../common/index.mjs";
+
+/**
+ * Export an app snapshot
+ * @param {string|number} appId - The app ID
+ * @param {string} dir - Snapshot folder (relative to the project root)
+ * @param {Object} [options]
+ * @param {boolean} [options.preview=false] - Export pre-live settings instead of the deployed ones
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
+ * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @returns {Promise<{ dir: string, files: string[] }>} Absolute folder and files written (relative to it)
+ */
+export async function exportSnapshot(appId, dir, options = {}) {
+  const { preview = false, profile, guestSpaceId, silent = false } = options;
+
+  if (!appId) {
+    throw new Error("App ID is required");
+  }
+  if (!dir) {
+    throw new Error("Snapshot folder is required");
+  }
+
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
+  const rootDir = getRootDir(import.meta.url);
+  const snapshotDir = resolve(rootDir, dir);
+
+  if (!silent) {
+    console.log(`\n🔄 Exporting snapshot of App ${appId}...`);
+    logConnection(credentials);
+    if (preview) console.log(`   Mode: Preview (pre-live)`);
+    console.log(`   Folder: ${snapshotDir}`);
+  }
+
+  const params = { app: appId };
+  if (preview) params.preview = true;
+
+  const files = [];
+  for (const part of SNAPSHOT_PARTS) {
+    let data = await part.fetch(client, params);
+    if (part.file === "customize.json") {
+      const downloaded = await downloadCustomizeFiles(client, data, snapshotDir);
+      data = downloaded.customize;
+      files.push(...downloaded.files);
+    }
+    writeSnapshotFile(snapshotDir, part.file, normalizeSnapshotPart(data));
+    files.push(part.file);
+    if (!silent) console.log(`   ${part.label}: ${part.file}`);
+  }
+
+  writeSnapshotFile(snapshotDir, SNAPSHOT_MANIFEST, { appId: String(appId), files: [...files].sort() });
+
+  if (!silent) {
+    console.log(`\n✅ Successfully exported ${files.length} file(s) to ${dir}`);
+    console.log(`\n📝 Next step: commit ${dir} to git, or compare it with an app: npm run snapshot:plan -- ${dir}`);
+  }
+
+  return { dir: snapshotDir, files };
+}
+
+// CLI execution
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const [appId, dir] = args.filter(arg => !arg.startsWith("--"));
+  const preview = args.includes("--preview");
+
+  if (!appId || !dir) {
+    console.error("Error: App ID and snapshot folder are required");
+    console.error("Usage: node scripts/app-management/snapshot/export-snapshot.mjs <appId> <dir> [--preview]");
+    console.error("Example: node scripts/app-management/snapshot/export-snapshot.mjs 51 apps/customers");
+    process.exit(1);
+  }
+
+  exportSnapshot(appId, dir, { preview, ...globals }).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
+    console.error("\n❌ Failed to export snapshot");
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+/**
+ * Show how a kintone app differs from a snapshot folder
+ *
+ * Usage (CLI):
+ *   node scripts/app-management/snapshot/plan-snapshot.mjs <dir> [appId]
+ *
+ * Usage (Programmatic):
+ *   import { planSnapshotChanges } from "./plan-snapshot.mjs";
+ *   const { changes, totals } = await planSnapshotChanges("apps/customers");
+ *
+ * The snapshot (see export-snapshot.mjs) is compared with the pre-live
+ * settings of the app: the app ID in snapshot.json, or [appId] to compare
+ * with another app. Output lines read like a terraform plan:
+ *   + added   ~ changed   - removed
+ *
+ * Note: customize.json is not compared or applied. A field whose code was
+ * changed in the snapshot shows up as one field removed and one added.
+ */
+
+import { resolve } from "path";
+import {
+  createKintoneClient,
+  fetchSnapshotParts,
+  formatPlan,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  planSnapshot,
+  readSnapshot,
+  redirectLogsToStderr,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
+
+/**
+ * Compare an app with a snapshot folder
+ * @param {string} dir - Snapshot folder (relative to the project root)
+ * @param {string|number} [appId] - Target app (default: appId in snapshot.json)
+ * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
+ * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @returns {Promise<{ appId: string, changes: Array, totals: { added: number, changed: number, removed: number } }>}
+ */
+export async function planSnapshotChanges(dir, appId, options = {}) {
+  const { profile, guestSpaceId, silent = false } = options;
+
+  if (!dir) {
+    throw new Error("Snapshot folder is required");
+  }
+
+  const rootDir = getRootDir(import.meta.url);
+  const { manifest, parts } = readSnapshot(resolve(rootDir, dir));
+  const targetAppId = String(appId || manifest.appId);
+
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId: targetAppId, profile, guestSpaceId, silent });
+
+  if (!silent) {
+    console.log(`\n🔄 Comparing ${dir} with App ${targetAppId} (pre-live settings)...`);
+    logConnection(credentials);
+  }
+
+  const current = await fetchSnapshotParts(client, targetAppId);
+  const plan = planSnapshot(current, parts);
+
+  if (!silent) {
+    console.log("");
+    formatPlan(plan).forEach((line) => console.log(`   ${line}`));
+    if (plan.changes.length > 0) {
+      console.log("");
+      console.log("📝 Next step:");
+      console.log(`   Apply: npm run snapshot:apply -- ${dir}${appId ? ` ${appId}` : ""}`);
+    }
+  }
+
+  return { appId: targetAppId, ...plan };
+}
+
+// CLI execution
+const isMainModule = import.meta.url === `file://${process.argv[1]}`;
+if (isMainModule) {
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const [dir, appId] = args.filter(arg => !arg.startsWith("--"));
+
+  if (!dir) {
+    console.error("Error: Snapshot folder is required");
+    console.error("Usage: node scripts/app-management/snapshot/plan-snapshot.mjs <dir> [appId]");
+    console.error("Example: node scripts/app-management/snapshot/plan-snapshot.mjs apps/customers");
+    process.exit(1);
+  }
+
+  planSnapshotChanges(dir, appId, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
+    console.error("\n❌ Failed to plan snapshot");
+    console.error(error.message);
+    process.exit(1);
+  });
+}
@@ -35,7 +35,18 @@
 
 import { readFileSync } from "fs";
 import { resolve } from "path";
-import { createKintoneClient, getRootDir } from "../common/index.mjs";
+import {
+  createKintoneClient,
+  diffObjects,
+  formatDiff,
+  getRootDir,
+  logConnection,
+  parseCliArgs,
+  redirectLogsToStderr,
+  reportDryRun,
+  writeError,
+  writeResult
+} from "../common/index.mjs";
 
 /**
  * Update view settings of a kintone app
@@ -43,11 +54,14 @@ import { createKintoneClient, getRootDir } from "../common/index.mjs";
  * @param {Object} viewsSettings - Views settings
  * @param {Object} viewsSettings.views - Views object
  * @param {Object} [options]
+ * @param {string} [options.profile] - Profile to connect with (default: KINTONE_PROFILE)
+ * @param {string|number} [options.guestSpaceId] - Guest space of the app (default: from env)
  * @param {boolean} [options.silent=false] - Whether to suppress console output
+ * @param {boolean} [options.dryRun=false] - Report what would change instead of writing
  * @returns {Promise<{ revision: string, views: Object }>}
  */
 export async function updateViews(appId, viewsSettings, options = {}) {
-  const { silent = false } = options;
+  const { profile, guestSpaceId, silent = false, dryRun = false } = options;
 
   if (!appId) {
     throw new Error("App ID is required");
@@ -58,12 +72,23 @@ export async function updateViews(appId, viewsSettings, options = {}) {
     throw new Error("Views object is required");
   }
 
-  const { client, credentials } = await createKintoneClient(import.meta.url);
+  const { client, credentials } = await createKintoneClient(import.meta.url, { appId, profile, guestSpaceId, silent });
 
   const viewCount = Object.keys(views).length;
   if (!silent) {
     console.log(`\n🔄 Updating ${viewCount} view(s) for App ${appId}...`);
-    console.log(`   Domain: ${credentials.domain}`);
+    logConnection(credentials);
+  }
+
+  if (dryRun) {
+    const current = await client.app.getViews({ app: appId, preview: true });
+    // Only the properties in the request are compared; views left out are deleted
+    const diff = diffObjects(current.views, views, { partial: true });
+    diff.removed = Object.keys(current.views).filter((name) => !(views[name]));
+    return reportDryRun(
+      { summary: formatDiff("Views", diff), request: { app: appId, views } },
+      { silent }
+    );
   }
 
   const result = await client.app.updateViews({
@@ -85,8 +110,10 @@ export async function updateViews(appId, viewsSettings, options = {}) {
 // CLI execution
 const isMainModule = import.meta.url === `file://${process.argv[1]}`;
 if (isMainModule) {
-  const appId = process.argv[2];
-  const viewsJsonPath = process.argv[3];
+  const { args, globals } = parseCliArgs(process.argv.slice(2));
+  if (globals.json) redirectLogsToStderr();
+  const appId = args[0];
+  const viewsJsonPath = args[1];
 
   if (!appId || !viewsJsonPath) {
     console.error("Error: App ID and views JSON path are required");
@@ -107,7 +134,8 @@ if (isMainModule) {
     process.exit(1);
   }
 
-  updateViews(appId, viewsSettings).catch((error) => {
+  updateViews(appId, viewsSettings, globals).then((result) => writeResult(result, globals)).catch((error) => {
+    writeError(error, globals);
     console.error("\n❌ Failed to update views");
     console.error(error.message);
     if (error.errors) {
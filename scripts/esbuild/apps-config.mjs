@@ -0,0 +1,261 @@
+import { existsSync, readFileSync } from "node:fs";
+import { resolve } from "node:path";
+
+/**
+ * Apps built from this repository: customize.config.json in the project root
+ *
+ * {
+ *   "apps": {
+ *     "customers": {
+ *       "appIds": { "default": 51, "prod": 120 },
+ *       "desktop": { "js": "src/js/apps/customers/index.ts", "css": "src/js/apps/customers/style.css" },
+ *       "mobile": { "js": "src/js/apps/customers/mobile.ts" },
+ *       "shared": { "js": "src/js/apps/customers/shared.ts" }
+ *     }
+ *   }
+ * }
+ *
+ * `appIds` maps a profile (.env.<profile>, "default" for .env) to the app ID
+ * in that environment. Each entry becomes dist/<name>/js/<platform>.js or
+ * dist/<name>/style/<platform>.css.
+ *
+ * `shared` is bundled once into dist/<name>/js/shared.js, loaded before the
+ * desktop and mobile JS. Its imports in the desktop and mobile entries are
+ * not bundled again (plugins/shared-code-plugin.mjs).
+ *
+ * `budgets` (optional) limits the size of production bundles, by path in
+ * dist/ with * as a wildcard; the most specific matching key applies:
+ *
+ *   "budgets": { "*.js": "300 KB", "customers/js/desktop.js": "120 KB", "*.css": 51200 }
+ *
+ * Without the file, or without `apps`, the single app of the template is built:
+ * src/js/index.ts -> dist/js/index.js, src/style/style.css -> dist/style/style.css,
+ * and when they exist src/js/mobile.ts -> dist/js/mobile.js,
+ * src/style/mobile.css -> dist/style/mobile.css, src/js/shared.ts -> dist/js/shared.js
+ */
+
+export const APPS_CONFIG_FILE = "customize.config.json";
+
+export const DEFAULT_PROFILE = "default";
+
+const PLATFORMS = ["desktop", "mobile"];
+const TYPES = ["js", "css"];
+const OUTPUT_DIR = { js: "js", css: "style" };
+
+/** Entry point name of a shared bundle: resolved by the shared code plugin */
+export const SHARED_ENTRY_PREFIX = "kintone-shared:";
+
+const DEFAULT_APP = {
+  name: "default",
+  appIds: {},
+  entries: {
+    desktop: { js: "src/js/index.ts", css: "src/style/style.css" },
+    mobile: { js: "src/js/mobile.ts", css: "src/style/mobile.css" },
+    shared: { js: "src/js/shared.ts" }
+  },
+  out: {
+    desktop: { js: "js/index", css: "style/style" },
+    mobile: { js: "js/mobile", css: "style/mobile" },
+    shared: { js: "js/shared" }
+  }
+};
+
+const SIZE_UNITS = { B: 1, KB: 1024, MB: 1024 * 1024 };
+
+/**
+ * Parse a size budget
+ * @param {string|number} value - Bytes, or e.g. "120 KB", "1.5 MB"
+ * @returns {number|null} Bytes, null when the value is not a size
+ */
+const parseSize = (value) => {
+  if (typeof value === "number") return value > 0 ? value : null;
+  const match = String(value).trim().match(/^(\d+(?:\.\d+)?)\s*(B|KB|MB)?$/i);
+  return match ? Math.round(Number(match[1]) * SIZE_UNITS[(match[2] || "B").toUpperCase()]) : null;
+};
+
+/**
+ * Check the size budgets of the config file
+ * @param {Object} budgets - Path pattern -> size
+ * @returns {Array<{ pattern: string, bytes: number, limit: string }>} Most specific first
+ */
+const normalizeBudgets = (budgets) =>
+  Object.entries(budgets || {})
+    .map(([pattern, limit]) => {
+      const bytes = parseSize(limit);
+      if (bytes === null) {
+        throw new Error(`${APPS_CONFIG_FILE}: budgets.${pattern} must be a size like "120 KB" (${limit})`);
+      }
+      return { pattern, bytes, limit: String(limit) };
+    })
+    // Fewer wildcards, then longer patterns, are more specific
+    .sort((a, b) => a.pattern.split("*").length - b.pattern.split("*").length || b.pattern.length - a.pattern.length);
+
+/**
+ * Find the budget of a bundle
+ * @param {Array<{ pattern: string, bytes: number, limit: string }>} budgets - From loadAppsConfig
+ * @param {string} path - Path in dist/, e.g. "js/index.js"
+ * @returns {{ pattern: string, bytes: number, limit: string }|undefined}
+ */
+export const findBudget = (budgets, path) =>
+  budgets.find(({ pattern }) => {
+    const source = pattern.split("*").map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&")).join(".*");
+    return new RegExp(`^${source}$`).test(path);
+  });
+
+/**
+ * Add the dist/ path of a bundle
+ * @param {{ platform: string, type: string, entry: string, out: string }} bundle
+ * @returns {{ platform: string, type: string, entry: string, out: string, path: string }}
+ */
+const withPath = (bundle) => ({ ...bundle, path: `dist/${bundle.out}.${bundle.type}` });
+
+/**
+ * Check and normalize one app of the config file
+ * @param {string} name - App name (folder in dist/)
+ * @param {Object} app - App settings
+ * @param {string} rootDir - Project root
+ * @returns {{ name: string, appIds: Object<string, string>, sharedEntry?: string, bundles: Object[] }}
+ */
+const normalizeApp = (name, app, rootDir) => {
+  const fail = (message) => {
+    throw new Error(`${APPS_CONFIG_FILE}: apps.${name}: ${message}`);
+  };
+
+  if (!/^[\w-]+$/.test(name)) fail("the name may only contain letters, digits, _ and -");
+  if (!app || typeof app !== "object") fail("must be an object");
+
+  const appIds = {};
+  for (const [profile, appId] of Object.entries(app.appIds || {})) {
+    if (!/^\d+$/.test(String(appId))) fail(`appIds.${profile} must be an app ID (${appId})`);
+    appIds[profile] = String(appId);
+  }
+
+  for (const platform of [...PLATFORMS, "shared"]) {
+    for (const type of TYPES) {
+      const entry = app[platform]?.[type];
+      if (entry && !existsSync(resolve(rootDir, entry))) fail(`${platform}.${type} not found: ${entry}`);
+    }
+  }
+  if (app.shared?.css) fail("shared only takes js; import the CSS from the desktop or mobile entries");
+
+  const bundles = getBundles(name, app, (platform, type) => `${name}/${OUTPUT_DIR[type]}/${platform}`);
+  if (bundles.length === 0) fail("set at least one of desktop.js, desktop.css, mobile.js, mobile.css");
+  if (app.shared?.js && !bundles.some((bundle) => bundle.shared)) {
+    fail("shared.js needs desktop.js or mobile.js to use it");
+  }
+
+  return { name, appIds, sharedEntry: app.shared?.js, bundles };
+};
+
+/**
+ * List the bundles of an app, in the order kintone must load them
+ * The shared bundle is listed for each platform with JS, before that JS.
+ * @param {string} name - App name
+ * @param {Object} entries - { desktop: { js, css }, mobile: { js, css }, shared: { js } }
+ * @param {(platform: string, type: string) => string} getOut - Output name (without extension)
+ * @returns {Array<{ platform: string, type: string, entry: string, out: string, path: string, shared?: boolean }>}
+ */
+const getBundles = (name, entries, getOut) => {
+  const bundles = [];
+  for (const platform of PLATFORMS) {
+    for (const type of TYPES) {
+      const entry = entries[platform]?.[type];
+      if (!entry) continue;
+      if (type === "js" && entries.shared?.js) {
+        bundles.push({ platform, type, entry: `${SHARED_ENTRY_PREFIX}${name}`, out: getOut("shared", "js"), shared: true });
+      }
+      bundles.push({ platform, type, entry, out: getOut(platform, type) });
+    }
+  }
+  return bundles.map(withPath);
+};
+
+/**
+ * The template's single app: the optional mobile and shared entries are built when they exist
+ * @param {string} rootDir - Project root
+ * @returns {Object}
+ */
+const getDefaultApp = (rootDir) => {
+  const { name, appIds, entries, out } = DEFAULT_APP;
+  const existing = {};
+  for (const [platform, types] of Object.entries(entries)) {
+    for (const [type, entry] of Object.entries(types)) {
+      if (platform !== "desktop" && !existsSync(resolve(rootDir, entry))) continue;
+      existing[platform] = { ...existing[platform], [type]: entry };
+    }
+  }
+  const bundles = getBundles(name, existing, (platform, type) => out[platform][type]);
+  return { name, appIds, sharedEntry: existing.shared?.js, bundles };
+};
+
+/**
+ * Load the apps to build
+ * @param {string} rootDir - Project root
+ * @returns {{ file: string|null, defaultApp: boolean, budgets: Array<{ pattern: string, bytes: number, limit: string }>, apps: Array<{ name: string, appIds: Object<string, string>, sharedEntry?: string, bundles: Array<{ platform: string, type: string, entry: string, out: string, path: string, shared?: boolean }> }> }}
+ *   `file` is null without a config file; `defaultApp` is true when the template's single app is used
+ * @throws {Error} When the config file is invalid
+ */
+export const loadAppsConfig = (rootDir) => {
+  const file = resolve(rootDir, APPS_CONFIG_FILE);
+  if (!existsSync(file)) {
+    return { file: null, defaultApp: true, budgets: [], apps: [getDefaultApp(rootDir)] };
+  }
+
+  let config;
+  try {
+    config = JSON.parse(readFileSync(file, "utf-8"));
+  } catch (error) {
+    throw new Error(`${APPS_CONFIG_FILE} is not valid JSON: ${error.message}`);
+  }
+  const budgets = normalizeBudgets(config.budgets);
+  if (config.apps === undefined) {
+    return { file, defaultApp: true, budgets, apps: [getDefaultApp(rootDir)] };
+  }
+
+  const entries = Object.entries(config.apps);
+  if (entries.length === 0) {
+    throw new Error(`${APPS_CONFIG_FILE} has no apps`);
+  }
+  const apps = entries.map(([name, app]) => normalizeApp(name, app, rootDir));
+
+  // One app ID per profile may only be mapped once, or the deploy could not choose
+  const seen = new Map();
+  for (const app of apps) {
+    for (const [profile, appId] of Object.entries(app.appIds)) {
+      const other = seen.get(`${profile}:${appId}`);
+      if (other) {
+        throw new Error(`${APPS_CONFIG_FILE}: App ${appId} (${profile}) is mapped to both ${other} and ${app.name}`);
+      }
+      seen.set(`${profile}:${appId}`, app.name);
+    }
+  }
+
+  return { file, defaultApp: false, budgets, apps };
+};
+
+/**
+ * Find the app built for a kintone app
+ * The template's single app is used for every app ID.
+ * @param {{ file: string|null, apps: Object[] }} config - From loadAppsConfig
+ * @param {string|number} appId - The app ID
+ * @param {string} [profile] - Active profile (default: "default")
+ * @returns {Object|undefined}
+ */
+export const findApp = (config, appId, profile = DEFAULT_PROFILE) => {
+  if (config.defaultApp) return config.apps[0];
+  return config.apps.find((app) => app.appIds[profile] === String(appId));
+};
+
+/**
+ * esbuild entry points of the apps
+ * A shared bundle used by both platforms is built once.
+ * @param {Object[]} apps - From loadAppsConfig
+ * @returns {Array<{ in: string, out: string }>}
+ */
+export const getEntryPoints = (apps) => {
+  const entryPoints = new Map();
+  for (const bundle of apps.flatMap((app) => app.bundles)) {
+    entryPoints.set(bundle.out, { in: bundle.entry, out: bundle.out });
+  }
+  return [...entryPoints.values()];
+};
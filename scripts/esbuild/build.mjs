@@ -1,14 +1,36 @@
 import * as esbuild from "esbuild";
+import { dirname, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+import { writeFileSync } from "node:fs";
 import { parseArgs } from "node:util";
+import { APPS_CONFIG_FILE, DEFAULT_PROFILE, getEntryPoints, loadAppsConfig } from "./apps-config.mjs";
+import { METAFILE_PATH, reportBundleSizes } from "./bundle-report.mjs";
+import { ensureDevCertificate, getTrustInstructions } from "./dev-cert.mjs";
+import configPlugin from "./plugins/config-plugin.mjs";
+import liveReloadPlugin from "./plugins/live-reload-plugin.mjs";
 import serveModePlugin from "./plugins/serve-mode-plugin.mjs";
+import sharedCodePlugin from "./plugins/shared-code-plugin.mjs";
+
+const rootDir = resolve(dirname(fileURLToPath(import.meta.url)), "../..");
+
+const DEV_SERVER_PORT = 9000;
+const DEV_SERVER_URL = `https://localhost:${DEV_SERVER_PORT}`;
+
+// kintone pages allowed to open the live reload event stream
+const KINTONE_ORIGINS = ["https://*.cybozu.com", "https://*.kintone.com", "https://*.cybozu.cn"];
 
 const {
-  values: { mode }
+  values: { mode, profile }
 } = parseArgs({
   options: {
     mode: {
       type: "string",
       default: "development"
+    },
+    // Config of src/js/constant/profiles.ts to build with (.env.<profile>)
+    profile: {
+      type: "string",
+      default: process.env.KINTONE_PROFILE || DEFAULT_PROFILE
     }
   },
   allowPositionals: false
@@ -21,25 +43,76 @@ if (!["production", "development"].includes(mode)) {
   process.exit(1);
 }
 
+let appsConfig;
+try {
+  appsConfig = loadAppsConfig(rootDir);
+} catch (error) {
+  console.error(`\x1b[31mError: ${error.message}\x1b[0m`);
+  process.exit(1);
+}
+
+const printApps = (baseUrl) => {
+  for (const app of appsConfig.apps) {
+    const appIds = Object.entries(app.appIds)
+      .map(([profile, appId]) => `${profile}: ${appId}`)
+      .join(", ");
+    if (!appsConfig.defaultApp) {
+      console.log(`\x1b[1m${app.name}\x1b[0m${appIds ? ` (${appIds})` : ""}`);
+    }
+    for (const bundle of app.bundles) {
+      const file = baseUrl ? `${baseUrl}/${bundle.path.replace(/^dist\//, "")}` : bundle.path;
+      console.log(`  ${bundle.platform}.${bundle.type}: ${file}`);
+    }
+  }
+};
+
 const context = await esbuild.context({
-  entryPoints: ["src/js/index.ts", "src/style/style.css"],
+  absWorkingDir: rootDir,
+  entryPoints: getEntryPoints(appsConfig.apps),
   bundle: true,
   sourcemap: mode === "production" ? false : "inline",
   minify: mode === "production",
   legalComments: mode === "production" ? "eof" : "none",
   outdir: "dist",
-  plugins: [serveModePlugin]
+  metafile: mode === "production",
+  plugins: [
+    configPlugin({ profile, mode, rootDir }),
+    sharedCodePlugin(appsConfig.apps, rootDir),
+    ...(mode === "development" ? [liveReloadPlugin(DEV_SERVER_URL)] : []),
+    serveModePlugin
+  ]
 });
 
+const prepareCertificate = () => {
+  try {
+    const certificate = ensureDevCertificate(rootDir);
+    if (certificate.created) {
+      const action = certificate.reason === "not found" ? "Created" : `Replaced the certificate (${certificate.reason}) with`;
+      console.log(
+        `\x1b[33m${action} a self-signed certificate for localhost and 127.0.0.1, valid until ${certificate.validTo}\x1b[0m`
+      );
+      console.log(`  ${certificate.certfile}`);
+      console.log("Trust it once so the browser loads the files without a warning:");
+      getTrustInstructions(certificate.certfile).forEach((line) => console.log(`  ${line}`));
+    }
+    return certificate;
+  } catch (error) {
+    console.error("\x1b[31mError: Could not create the HTTPS certificate for the dev server:\x1b[0m", error.message);
+    process.exit(1);
+  }
+};
+
 const runServeMode = async () => {
+  const { keyfile, certfile } = prepareCertificate();
   try {
-    await context.rebuild();
+    await context.watch();
     const serveResult = await context.serve({
       host: "localhost",
-      port: 9000,
+      port: DEV_SERVER_PORT,
       servedir: "dist",
-      keyfile: ".cert/private.key",
-      certfile: ".cert/private.cert"
+      keyfile,
+      certfile,
+      cors: { origin: KINTONE_ORIGINS }
     });
 
     console.log("\x1b[36m========================================\x1b[0m");
@@ -47,6 +120,9 @@ const runServeMode = async () => {
       `\x1b[32m🚀 Server is running at: \x1b[1m\x1b[4mhttps://localhost:${serveResult.port}\x1b[0m`
     );
     console.log("\x1b[36m========================================\x1b[0m");
+    console.log(`Profile: ${profile}`);
+    printApps(`https://localhost:${serveResult.port}`);
+    console.log("Live reload is on: kintone pages reload (or swap the CSS) after each build");
   } catch (error) {
     console.error("\x1b[31mError during watch mode:\x1b[0m", error);
     process.exit(1);
@@ -55,8 +131,22 @@ const runServeMode = async () => {
 
 const runProductionBuild = async () => {
   try {
-    await context.rebuild();
+    const { metafile } = await context.rebuild();
+    writeFileSync(resolve(rootDir, METAFILE_PATH), JSON.stringify(metafile));
+    const exceeded = reportBundleSizes(metafile, appsConfig.budgets, rootDir);
+    console.log(`Metafile: ${METAFILE_PATH} (open it in https://esbuild.github.io/analyze/)`);
+    if (exceeded.length > 0) {
+      console.error(
+        `\x1b[31mError: ${exceeded.length} bundle(s) over the size budget in ${APPS_CONFIG_FILE}: ${exceeded.map(({ path }) => path).join(", ")}\x1b[0m`
+      );
+      process.exit(1);
+    }
     console.log("\x1b[32mProduction build completed successfully.\x1b[0m");
+    console.log(`Profile: ${profile}`);
+    if (!appsConfig.defaultApp) {
+      console.log(`Apps from ${APPS_CONFIG_FILE}:`);
+    }
+    printApps();
   } catch (error) {
     console.error("\x1b[31mError during production build:\x1b[0m", error);
     process.exit(1);
@@ -0,0 +1,92 @@
+import { readFileSync } from "node:fs";
+import { resolve } from "node:path";
+import { gzipSync } from "node:zlib";
+import { findBudget } from "./apps-config.mjs";
+
+/**
+ * Size report of a production build, from the esbuild metafile
+ *
+ * For each bundle: its size (and gzip size), the modules that take the most
+ * of it, with node_modules grouped by package, and its budget from
+ * customize.config.json.
+ */
+
+export const METAFILE_PATH = "dist/metafile.json";
+
+const TOP_MODULES = 10;
+
+const formatSize = (bytes) =>
+  bytes < 1024 ? `${bytes} B` : bytes < 1024 * 1024 ? `${(bytes / 1024).toFixed(1)} KB` : `${(bytes / 1024 / 1024).toFixed(2)} MB`;
+
+/**
+ * Name a module by its package, or by its path for project files
+ * @param {string} input - Input path of the metafile
+ * @returns {string}
+ */
+const getModuleName = (input) => {
+  const match = input.match(/(?:^|\/)node_modules\/((?:@[^/]+\/)?[^/]+)/);
+  return match ? match[1] : input;
+};
+
+/**
+ * Sizes of the modules in one bundle, largest first
+ * @param {Object} output - metafile.outputs[<path>]
+ * @returns {Array<{ name: string, bytes: number }>}
+ */
+const getModuleSizes = (output) => {
+  const sizes = new Map();
+  for (const [input, { bytesInOutput }] of Object.entries(output.inputs)) {
+    const name = getModuleName(input);
+    sizes.set(name, (sizes.get(name) || 0) + bytesInOutput);
+  }
+  return [...sizes]
+    .map(([name, bytes]) => ({ name, bytes }))
+    .filter(({ bytes }) => bytes > 0)
+    .sort((a, b) => b.bytes - a.bytes);
+};
+
+/**
+ * Print the size report and check the budgets
+ * @param {Object} metafile - esbuild metafile
+ * @param {Array<{ pattern: string, bytes: number, limit: string }>} budgets - From loadAppsConfig
+ * @param {string} rootDir - Project root
+ * @returns {Array<{ path: string, bytes: number, budget: { pattern: string, bytes: number, limit: string } }>}
+ *   Bundles over budget
+ */
+export const reportBundleSizes = (metafile, budgets, rootDir) => {
+  const exceeded = [];
+  const outputs = Object.entries(metafile.outputs)
+    .filter(([path]) => /\.(js|css)$/.test(path))
+    .sort(([a], [b]) => a.localeCompare(b));
+
+  console.log("Bundle sizes:");
+  for (const [outputPath, output] of outputs) {
+    const path = outputPath.replace(/^dist\//, "");
+    const gzip = gzipSync(readFileSync(resolve(rootDir, outputPath))).length;
+    const budget = findBudget(budgets, path);
+    const over = budget && output.bytes > budget.bytes;
+    if (over) exceeded.push({ path, bytes: output.bytes, budget });
+
+    const status = !budget
+      ? ""
+      : over
+        ? `  \x1b[31mover budget ${budget.limit} (${budget.pattern}) by ${formatSize(output.bytes - budget.bytes)}\x1b[0m`
+        : `  \x1b[32mbudget ${budget.limit} (${Math.round((output.bytes / budget.bytes) * 100)}%)\x1b[0m`;
+    console.log(`  \x1b[1m${path}\x1b[0m  ${formatSize(output.bytes)} (gzip ${formatSize(gzip)})${status}`);
+
+    const modules = getModuleSizes(output);
+    const total = modules.reduce((sum, { bytes }) => sum + bytes, 0);
+    const width = Math.max(0, ...modules.slice(0, TOP_MODULES).map(({ name }) => name.length));
+    for (const { name, bytes } of modules.slice(0, TOP_MODULES)) {
+      const share = total > 0 ? ((bytes / total) * 100).toFixed(1) : "0.0";
+      console.log(`    ${name.padEnd(width)}  ${formatSize(bytes).padStart(9)}  ${share.padStart(5)}%`);
+    }
+    const rest = modules.slice(TOP_MODULES);
+    if (rest.length > 0) {
+      const bytes = rest.reduce((sum, module) => sum + module.bytes, 0);
+      console.log(`    ${`${rest.length} more`.padEnd(width)}  ${formatSize(bytes).padStart(9)}`);
+    }
+  }
+
+  return exceeded;
+};
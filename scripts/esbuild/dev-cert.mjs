@@ -0,0 +1,197 @@
+import { X509Certificate, createPrivateKey, generateKeyPairSync, randomBytes, sign } from "node:crypto";
+import { existsSync, mkdirSync, readFileSync, writeFileSync } from "node:fs";
+import { dirname, resolve } from "node:path";
+
+/**
+ * HTTPS certificate of the dev server (.cert/private.key, .cert/private.cert)
+ *
+ * A self-signed certificate for localhost and 127.0.0.1 is created with
+ * node:crypto when the files are missing, unreadable, expired, or not valid
+ * for localhost. A valid certificate (e.g. from mkcert) is left as it is.
+ */
+
+export const DEV_CERT = { keyfile: ".cert/private.key", certfile: ".cert/private.cert" };
+
+const VALID_DAYS = 365;
+const COMMON_NAME = "localhost";
+const DNS_NAMES = ["localhost"];
+const IP_ADDRESSES = ["127.0.0.1"];
+
+// --- DER encoding, only what a certificate needs ---
+
+const encodeLength = (length) => {
+  if (length < 0x80) return Buffer.from([length]);
+  const bytes = [];
+  for (let rest = length; rest > 0; rest >>= 8) bytes.unshift(rest & 0xff);
+  return Buffer.from([0x80 | bytes.length, ...bytes]);
+};
+
+const tlv = (tag, ...contents) => {
+  const value = Buffer.concat(contents);
+  return Buffer.concat([Buffer.from([tag]), encodeLength(value.length), value]);
+};
+
+const sequence = (...items) => tlv(0x30, ...items);
+const set = (...items) => tlv(0x31, ...items);
+const octetString = (value) => tlv(0x04, value);
+const bitString = (value, unusedBits = 0) => tlv(0x03, Buffer.from([unusedBits]), value);
+const utf8String = (text) => tlv(0x0c, Buffer.from(text, "utf-8"));
+const nullValue = () => Buffer.from([0x05, 0x00]);
+const boolean = (value) => tlv(0x01, Buffer.from([value ? 0xff : 0x00]));
+
+const integer = (bytes) => {
+  // Unsigned: a leading 1 bit would make it negative
+  const value = bytes[0] & 0x80 ? Buffer.concat([Buffer.from([0]), bytes]) : bytes;
+  return tlv(0x02, value);
+};
+
+const oid = (text) => {
+  const [first, second, ...rest] = text.split(".").map(Number);
+  const bytes = [first * 40 + second];
+  for (const part of rest) {
+    const encoded = [part & 0x7f];
+    for (let value = part >> 7; value > 0; value >>= 7) encoded.unshift((value & 0x7f) | 0x80);
+    bytes.push(...encoded);
+  }
+  return tlv(0x06, Buffer.from(bytes));
+};
+
+const time = (date) => {
+  const iso = date.toISOString().replace(/[-:T]/g, "").slice(0, 14);
+  // UTCTime until 2049, GeneralizedTime after (RFC 5280)
+  return date.getUTCFullYear() < 2050
+    ? tlv(0x17, Buffer.from(`${iso.slice(2)}Z`))
+    : tlv(0x18, Buffer.from(`${iso}Z`));
+};
+
+const extension = (id, critical, value) =>
+  sequence(oid(id), ...(critical ? [boolean(true)] : []), octetString(value));
+
+const toPem = (label, der) => {
+  const lines = der.toString("base64").match(/.{1,64}/g).join("\n");
+  return `-----BEGIN ${label}-----\n${lines}\n-----END ${label}-----\n`;
+};
+
+/**
+ * Create a self-signed certificate for the dev server
+ * @returns {{ key: string, cert: string }} PEM
+ */
+export const createDevCertificate = () => {
+  const { privateKey, publicKey } = generateKeyPairSync("rsa", { modulusLength: 2048 });
+  const signatureAlgorithm = sequence(oid("1.2.840.113549.1.1.11"), nullValue()); // sha256WithRSAEncryption
+  const name = sequence(set(sequence(oid("2.5.4.3"), utf8String(COMMON_NAME))));
+  const notBefore = new Date(Date.now() - 60 * 60 * 1000);
+  const notAfter = new Date(notBefore.getTime() + VALID_DAYS * 24 * 60 * 60 * 1000);
+
+  const serial = randomBytes(16);
+  serial[0] &= 0x7f;
+  serial[0] |= 0x01;
+
+  const subjectAltName = sequence(
+    ...DNS_NAMES.map((dns) => tlv(0x82, Buffer.from(dns))),
+    ...IP_ADDRESSES.map((ip) => tlv(0x87, Buffer.from(ip.split(".").map(Number))))
+  );
+
+  const tbsCertificate = sequence(
+    tlv(0xa0, integer(Buffer.from([2]))), // v3
+    integer(serial),
+    signatureAlgorithm,
+    name,
+    sequence(time(notBefore), time(notAfter)),
+    name,
+    publicKey.export({ type: "spki", format: "der" }),
+    tlv(
+      0xa3,
+      sequence(
+        extension("2.5.29.19", true, sequence()), // basicConstraints: not a CA
+        extension("2.5.29.15", true, bitString(Buffer.from([0xa0]), 5)), // keyUsage: digitalSignature, keyEncipherment
+        extension("2.5.29.37", false, sequence(oid("1.3.6.1.5.5.7.3.1"))), // extKeyUsage: serverAuth
+        extension("2.5.29.17", false, subjectAltName)
+      )
+    )
+  );
+
+  const certificate = sequence(
+    tbsCertificate,
+    signatureAlgorithm,
+    bitString(sign("sha256", tbsCertificate, privateKey))
+  );
+
+  return {
+    key: privateKey.export({ type: "pkcs8", format: "pem" }),
+    cert: toPem("CERTIFICATE", certificate)
+  };
+};
+
+/**
+ * Why the dev server certificate must be (re)created
+ * @param {string} keyPath
+ * @param {string} certPath
+ * @returns {string|null} null when the certificate can be used
+ */
+const checkDevCertificate = (keyPath, certPath) => {
+  if (!existsSync(keyPath) || !existsSync(certPath)) return "not found";
+
+  let cert;
+  try {
+    cert = new X509Certificate(readFileSync(certPath));
+    if (!cert.checkPrivateKey(createPrivateKey(readFileSync(keyPath)))) {
+      return "the key does not belong to the certificate";
+    }
+  } catch (error) {
+    return `unreadable (${error.message})`;
+  }
+  if (new Date(cert.validTo) <= new Date()) return `expired on ${cert.validTo}`;
+  if (!cert.checkHost("localhost")) return "not valid for localhost";
+  return null;
+};
+
+/**
+ * Make sure the dev server has a usable certificate
+ * @param {string} rootDir - Project root
+ * @returns {{ keyfile: string, certfile: string, created: boolean, reason: string|null, validTo: string }}
+ *   `reason` tells why a new certificate was created
+ */
+export const ensureDevCertificate = (rootDir) => {
+  const keyPath = resolve(rootDir, DEV_CERT.keyfile);
+  const certPath = resolve(rootDir, DEV_CERT.certfile);
+  const reason = checkDevCertificate(keyPath, certPath);
+
+  if (reason) {
+    const { key, cert } = createDevCertificate();
+    mkdirSync(dirname(keyPath), { recursive: true });
+    writeFileSync(keyPath, key, { mode: 0o600 });
+    writeFileSync(certPath, cert);
+  }
+
+  const { validTo } = new X509Certificate(readFileSync(certPath));
+  return { keyfile: keyPath, certfile: certPath, created: Boolean(reason), reason, validTo };
+};
+
+const getSystemTrustInstructions = (certfile) => {
+  switch (process.platform) {
+    case "darwin":
+      return [
+        "macOS (Chrome, Edge, Safari):",
+        `  sudo security add-trusted-cert -d -r trustRoot -k /Library/Keychains/System.keychain "${certfile}"`
+      ];
+    case "win32":
+      return ["Windows (Chrome, Edge):", `  certutil -user -addstore Root "${certfile}"`];
+    default:
+      return [
+        "Linux (Chrome, needs libnss3-tools):",
+        `  certutil -d sql:$HOME/.pki/nssdb -A -t "P,," -n kintone-dev-server -i "${certfile}"`
+      ];
+  }
+};
+
+/**
+ * Commands that make the browser trust the certificate, for this OS
+ * @param {string} certfile - Certificate path
+ * @returns {string[]}
+ */
+export const getTrustInstructions = (certfile) => [
+  ...getSystemTrustInstructions(certfile),
+  "Firefox: Settings > Privacy & Security > View Certificates > Authorities > Import",
+  "Then restart the browser. Without trusting it, open the server URL once and accept the warning."
+];
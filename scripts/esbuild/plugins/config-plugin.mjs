@@ -0,0 +1,69 @@
+import * as esbuild from "esbuild";
+import { existsSync } from "node:fs";
+import { resolve } from "node:path";
+
+export const PROFILES_FILE = "src/js/constant/profiles.ts";
+
+/**
+ * Read the values of every profile from profiles.ts
+ * @param {string} path - Absolute path of profiles.ts
+ * @param {string} rootDir - Project root
+ * @returns {Promise<{ profiles: Object, watchFiles: string[] }>}
+ */
+const readProfiles = async (path, rootDir) => {
+  const result = await esbuild.build({
+    absWorkingDir: rootDir,
+    entryPoints: [path],
+    bundle: true,
+    write: false,
+    format: "esm",
+    platform: "node",
+    metafile: true,
+    logLevel: "silent"
+  });
+  const source = result.outputFiles[0].text;
+  const { profiles } = await import(`data:text/javascript;base64,${Buffer.from(source).toString("base64")}`);
+  return { profiles, watchFiles: Object.keys(result.metafile.inputs).map((input) => resolve(rootDir, input)) };
+};
+
+/**
+ * Inject the config of one profile into src/js/constant/config.ts
+ *
+ * __BUILD_PROFILE__ and __BUILD_MODE__ are defined, and profiles.ts is
+ * replaced by the values of that profile only. In watch mode, edits to
+ * profiles.ts rebuild with the new values.
+ */
+export default ({ profile, mode, rootDir }) => ({
+  name: "config-plugin",
+  setup(build) {
+    const profilesPath = resolve(rootDir, PROFILES_FILE);
+    build.initialOptions.define = {
+      ...build.initialOptions.define,
+      __BUILD_PROFILE__: JSON.stringify(profile),
+      __BUILD_MODE__: JSON.stringify(mode)
+    };
+
+    if (!existsSync(profilesPath)) return;
+
+    build.onLoad({ filter: /profiles\.ts$/ }, async (args) => {
+      if (resolve(args.path) !== profilesPath) return undefined;
+
+      const { profiles, watchFiles } = await readProfiles(profilesPath, rootDir);
+      if (!Object.hasOwn(profiles, profile)) {
+        return {
+          errors: [
+            {
+              text: `Profile "${profile}" is not in ${PROFILES_FILE} (${Object.keys(profiles).join(", ")})`
+            }
+          ],
+          watchFiles
+        };
+      }
+      return {
+        contents: `export const profiles = ${JSON.stringify({ [profile]: profiles[profile] })};`,
+        loader: "js",
+        watchFiles
+      };
+    });
+  }
+});
@@ -0,0 +1,36 @@
+// Live reload client, added to the top of every JS bundle in development mode
+(() => {
+  if (window.__kintoneLiveReload) return;
+  window.__kintoneLiveReload = true;
+
+  const origin = document.currentScript
+    ? new URL(document.currentScript.src).origin
+    : "__DEV_SERVER__";
+
+  // Files of the dev server this page loaded, by path (e.g. "/js/index.js")
+  const findLoaded = (path) =>
+    [...document.querySelectorAll("script[src], link[rel='stylesheet'][href]")].filter((element) => {
+      const url = new URL(element.src || element.href, location.href);
+      return url.origin === origin && url.pathname === path;
+    });
+
+  const swapStylesheet = (link, path) => {
+    const next = link.cloneNode();
+    next.href = `${origin}${path}?${Date.now()}`;
+    next.onload = () => link.remove();
+    link.after(next);
+  };
+
+  new EventSource(`${origin}/esbuild`).addEventListener("change", (event) => {
+    const { added, removed, updated } = JSON.parse(event.data);
+    const changed = [...added, ...removed, ...updated].filter((path) => findLoaded(path).length > 0);
+    if (changed.length === 0) return;
+
+    if (changed.every((path) => path.endsWith(".css"))) {
+      changed.forEach((path) => findLoaded(path).forEach((link) => swapStylesheet(link, path)));
+      console.log(`[live reload] Updated ${changed.join(", ")}`);
+      return;
+    }
+    location.reload();
+  });
+})();
@@ -0,0 +1,21 @@
+import { readFileSync } from "node:fs";
+
+/**
+ * Add the live reload client to every JS bundle
+ *
+ * The client listens to the dev server's /esbuild event stream, which sends
+ * the changed files after each finished watch build. A change to a CSS file
+ * the page loaded swaps just that stylesheet; any other change to a file the
+ * page loaded reloads the page. Changes of other apps' bundles are ignored.
+ */
+export default (serverUrl) => ({
+  name: "live-reload-plugin",
+  setup(build) {
+    const client = readFileSync(new URL("./live-reload-client.js", import.meta.url), "utf-8").replace(
+      "__DEV_SERVER__",
+      serverUrl
+    );
+    const banner = build.initialOptions.banner || {};
+    build.initialOptions.banner = { ...banner, js: [client, banner.js].filter(Boolean).join("\n") };
+  }
+});
@@ -0,0 +1,57 @@
+import { resolve } from "node:path";
+import { SHARED_ENTRY_PREFIX } from "../apps-config.mjs";
+
+/**
+ * Build each app's shared code once, into its own bundle
+ *
+ * The shared bundle (entry "kintone-shared:<name>") puts the exports of the
+ * shared entry on globalThis.__kintoneShared[<name>]. Desktop and mobile
+ * entries that import the shared entry get those exports instead of a copy,
+ * so shared.js must be loaded before them (customize:deploy does this).
+ */
+export default (apps, rootDir) => {
+  const sharedApps = new Map(
+    apps.filter((app) => app.sharedEntry).map((app) => [resolve(rootDir, app.sharedEntry), app.name])
+  );
+
+  return {
+    name: "shared-code-plugin",
+    setup(build) {
+      build.onResolve({ filter: new RegExp(`^${SHARED_ENTRY_PREFIX}`) }, (args) => ({
+        path: args.path.slice(SHARED_ENTRY_PREFIX.length),
+        namespace: "kintone-shared"
+      }));
+
+      build.onLoad({ filter: /.*/, namespace: "kintone-shared" }, (args) => {
+        const entry = [...sharedApps].find(([, name]) => name === args.path)[0];
+        return {
+          contents: [
+            `import * as shared from ${JSON.stringify(entry)};`,
+            `(globalThis.__kintoneShared ||= {})[${JSON.stringify(args.path)}] = shared;`
+          ].join("\n"),
+          resolveDir: rootDir,
+          loader: "js"
+        };
+      });
+
+      if (sharedApps.size === 0) return;
+
+      build.onResolve({ filter: /^\.|^\// }, async (args) => {
+        if (args.namespace === "kintone-shared" || args.pluginData?.sharedCode) return undefined;
+        const result = await build.resolve(args.path, {
+          kind: args.kind,
+          importer: args.importer,
+          resolveDir: args.resolveDir,
+          pluginData: { sharedCode: true }
+        });
+        const name = sharedApps.get(result.path);
+        return name ? { path: name, namespace: "kintone-shared-ref" } : undefined;
+      });
+
+      build.onLoad({ filter: /.*/, namespace: "kintone-shared-ref" }, (args) => ({
+        contents: `module.exports = globalThis.__kintoneShared[${JSON.stringify(args.path)}];`,
+        loader: "js"
+      }));
+    }
+  };
+};
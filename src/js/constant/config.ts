@@ -0,0 +1,29 @@
+import { profiles } from "./profiles";
+
+/**
+ * Settings that differ between environments (dev / prod domains)
+ *
+ * Values for each profile are in ./profiles.ts. The build keeps only the
+ * profile chosen with --profile (default: "default"), so other
+ * environments' IDs never end up in a bundle.
+ * Every profile must set every key here, or `tsc --noEmit` fails.
+ */
+export interface Config {
+  /** App IDs, e.g. for REST API calls and lookups: customers: number; */
+  appIds: {};
+  /** Space IDs: sales: number; */
+  spaceIds: {};
+  /** Feature flags: newLayout: boolean; */
+  features: {};
+}
+
+declare const __BUILD_PROFILE__: keyof typeof profiles;
+declare const __BUILD_MODE__: "development" | "production";
+
+export const config: Config = profiles[__BUILD_PROFILE__];
+
+/** Profile the bundle was built for */
+export const buildProfile = __BUILD_PROFILE__;
+
+/** --mode of the build */
+export const buildMode = __BUILD_MODE__;
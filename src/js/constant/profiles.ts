@@ -0,0 +1,13 @@
+import type { Config } from "./config";
+
+/**
+ * Config values per profile: "default" for .env, "<name>" for .env.<name>
+ * Values must be JSON (no functions or dates); they are read at build time.
+ */
+export const profiles = {
+  default: {
+    appIds: {},
+    spaceIds: {},
+    features: {}
+  }
+} satisfies Record<string, Config>;